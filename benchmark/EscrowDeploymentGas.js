@@ -0,0 +1,46 @@
+// benchmark/EscrowDeploymentGas.js - full-bytecode CREATE2 escrows vs EIP-1167 clones
+// Run with `npm run gas`: REPORT_GAS=true adds hardhat-gas-reporter's per-method table.
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowFactoryClient, DEFAULT_FEE_TIERS, toEscrowParams, toSalt } = require("../sdk");
+
+describe("Escrow deployment gas", function() {
+    const rows = [];
+
+    after(function() {
+        console.table(rows);
+    });
+
+    it("should compare createEscrow and predictAddress on both paths", async function() {
+        const [deployer, depositor, payee, feeRecipient, arbiter] = await ethers.getSigners();
+        const factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        const legacy = await (await ethers.getContractFactory("LegacyEscrowFactory")).deploy();
+        const deadline = (await time.latest()) + 3600;
+
+        const cases = {
+            "ETH": {},
+            "ETH, 3 milestones": { milestones: [1n, 2n, 3n].map((n) => ethers.parseEther(String(n))) },
+            "token + arbiter": { token: ethers.Wallet.createRandom().address, arbiter: arbiter.address, arbiterFeeBps: 100n },
+        };
+
+        for (const [name, extra] of Object.entries(cases)) {
+            const terms = { depositor: depositor.address, payee: payee.address, deadline, ...extra };
+            const params = toEscrowParams(terms);
+            const salt = toSalt(name);
+
+            const legacyCreate = (await (await legacy.createEscrow(params, DEFAULT_FEE_TIERS, salt)).wait()).gasUsed;
+            const cloneCreate = (await factory.createEscrow({ ...terms, salt })).receipt.gasUsed;
+            const legacyPredict = await legacy.predictAddress.estimateGas(params, DEFAULT_FEE_TIERS, salt);
+            const clonePredict = await factory.contract["predictAddress((address,address,uint256,uint256[],address,address,uint256,bytes32),bytes32)"].estimateGas(params, salt);
+
+            rows.push({
+                case: name,
+                "createEscrow (full)": Number(legacyCreate),
+                "createEscrow (clone)": Number(cloneCreate),
+                "create saving": `${(100 - Number(cloneCreate * 1000n / legacyCreate) / 10).toFixed(1)}%`,
+                "predictAddress (full)": Number(legacyPredict),
+                "predictAddress (clone)": Number(clonePredict),
+            });
+        }
+    });
+});
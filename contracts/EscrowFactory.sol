@@ -1,65 +1,154 @@
     // SPDX-License-Identifier: MIT
 pragma solidity 0.8.20;
 
+import "@openzeppelin/contracts/proxy/Clones.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./SimpleEscrow.sol";
 
-contract EscrowFactory is Pausable, Ownable2Step, ReentrancyGuard {
+contract EscrowFactory is Pausable, Ownable2Step, AccessControl, ReentrancyGuard, IEscrowGuard {
+    using SafeERC20 for IERC20;
 
     //State Variables
-    address public immutable feeRecipient;
-    uint256 public constant feePercent = 1;
+    address public immutable implementation; // SimpleEscrow every escrow is a minimal-proxy clone of
+    address public feeRecipient;
+    uint256 public constant DEFAULT_FEE_BPS = 100; // 1%
+    uint256 public constant MAX_FEE_BPS = 500; // 5%
+    uint256 public constant MAX_FEE_TIERS = 8; // Every escrow copies its schedule, so keep it short
+    uint256 public constant MAX_ARBITER_FEE_BPS = 1000; // 10%
+    // Can freeze releases from one escrow or all of them; granted and revoked by the owner
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bool public allFrozen;
 
-    //Mappings
+    // What the registry keeps for each escrow this factory created
+    struct EscrowRecord {
+        address depositor;
+        uint64 createdAt;
+        address payee;
+        address token;
+        uint256 deadline; // At creation; extendDeadline() only moves the escrow's own deadline
+        bytes32 salt; // As passed to createEscrow(), before it is bound to the deal terms
+        bytes32 referenceHash;
+    }
+
+    //Registry - every escrow in creation order, and by depositor and payee
+    address[] private allEscrows;
     mapping(address => address[]) public escrows;
+    mapping(address => address[]) private payeeEscrows;
+    mapping(address => EscrowRecord) private records;
+    mapping(address => bool) public frozenEscrows;
+
+    //Mappings
+    // Fee schedule per asset; address(0) is the default for ETH and any token without its own
+    mapping(address => SimpleEscrow.FeeTier[]) private feeTiers;
 
     //Events
     event EscrowCreated(address indexed escrowAddress, address indexed depositor, address indexed payee);
+    event FeesWithdrawn(address indexed token, address indexed recipient, uint256 amount);
+    event FeeRecipientUpdated(address indexed previousRecipient, address indexed newRecipient);
+    event FeeScheduleUpdated(address indexed token, SimpleEscrow.FeeTier[] tiers);
+    event EscrowFrozen(address indexed escrow, address indexed guardian); // address(0) for all escrows
+    event EscrowUnfrozen(address indexed escrow, address indexed guardian);
+
+    //Errors - sdk/revertDecoder.js turns these into typed SDK errors
+    error InvalidFeeRecipient();
+    error InvalidDepositor();
+    error InvalidPayee();
+    error InvalidDeadline(uint256 deadline, uint256 timestamp);
+    error InvalidMilestone(uint256 index);
+    error InvalidArbiter(address arbiter);
+    error InvalidArbiterFee(uint256 arbiterFeeBps);
+    error InvalidBatch();
+    error IncorrectFundingAmount(uint256 expected, uint256 received);
+    error OnlyDepositor(address caller);
+    error InvalidFeeSchedule();
+    error FeeTooHigh(uint256 feeBps, uint256 maxFeeBps);
+    error NoFeesToWithdraw(address token);
+    error TransferFailed(address to, uint256 amount);
+    error NotAnEscrow(address account);
+    error AlreadyFrozen(address escrow);
+    error NotFrozen(address escrow);
+    error AdminIsOwner(address account);
 
     // Constructor
     constructor(address _feeRecipient) Ownable(msg.sender) {
+        if (_feeRecipient == address(0)) revert InvalidFeeRecipient();
         feeRecipient = _feeRecipient;
+        implementation = address(new SimpleEscrow());
+        feeTiers[address(0)].push(SimpleEscrow.FeeTier(0, DEFAULT_FEE_BPS));
     }
 
-    //createEscrow() function - Deploy SimpleEscrow with CREATE2
+    //createEscrow() function - Deploy a SimpleEscrow clone with CREATE2
     function createEscrow(address depositor, address payee, uint256 deadline, bytes32 salt) external whenNotPaused returns (address) {
-        require(depositor != address(0), "Invalid Depositor");
-        require(payee != address(0), "Invalid Payee");
-        require(deadline > block.timestamp, "Invalid Deadline");
+        return _createEscrow(SimpleEscrow.EscrowParams(depositor, payee, deadline, new uint256[](0), address(0), address(0), 0, bytes32(0)), salt);
+    }
 
-        // Get bytecode for SimpleEscrow with constructor parameters
-        bytes memory bytecode = abi.encodePacked(type(SimpleEscrow).creationCode, abi.encode(address(this), depositor, payee, deadline, feePercent));
+    //createEscrow() overload - Deploy SimpleEscrow with the full parameter set (milestone schedule)
+    function createEscrow(SimpleEscrow.EscrowParams calldata params, bytes32 salt) external whenNotPaused returns (address) {
+        return _createEscrow(params, salt);
+    }
 
-        address escrowAddress;
+    //createEscrowBatch() function - Deploy one escrow per params entry, each with its own salt
+    function createEscrowBatch(SimpleEscrow.EscrowParams[] calldata params, bytes32[] calldata salts) external whenNotPaused returns (address[] memory escrowAddresses) {
+        if (params.length == 0 || params.length != salts.length) revert InvalidBatch();
 
-        // Deploy using CREATE2
-        assembly {
-            escrowAddress := create2(0, add(bytecode, 0x20), mload(bytecode), salt)
+        escrowAddresses = new address[](params.length);
+        for (uint256 i = 0; i < params.length; i++) {
+            escrowAddresses[i] = _createEscrow(params[i], salts[i]);
         }
+    }
 
-        require(escrowAddress != address(0), "Deployment failed");
+    //createAndFund() function - Deploy an escrow and deposit `amount` in the same transaction. Only the depositor
+    // can call it: ETH escrows take msg.value == amount, token escrows pull `amount` after approving this factory.
+    function createAndFund(SimpleEscrow.EscrowParams calldata params, bytes32 salt, uint256 amount) external payable whenNotPaused nonReentrant returns (address escrowAddress) {
+        uint256 expected = params.token == address(0) ? amount : 0;
+        if (msg.value != expected) revert IncorrectFundingAmount(expected, msg.value);
 
-        // Store the escrow address for the depositor
-        escrows[depositor].push(escrowAddress);
+        escrowAddress = _createEscrow(params, salt);
+        _fundEscrow(escrowAddress, params, amount);
+    }
 
-        // Emit the event
-        emit EscrowCreated(escrowAddress, depositor, payee);
+    //createAndFundBatch() function - createAndFund() for many escrows; msg.value must cover all the ETH ones
+    function createAndFundBatch(SimpleEscrow.EscrowParams[] calldata params, bytes32[] calldata salts, uint256[] calldata amounts) external payable whenNotPaused nonReentrant returns (address[] memory escrowAddresses) {
+        if (params.length == 0 || params.length != salts.length || params.length != amounts.length) revert InvalidBatch();
 
-        return escrowAddress;
+        uint256 ethTotal = 0;
+        for (uint256 i = 0; i < params.length; i++) {
+            if (params[i].token == address(0)) {
+                ethTotal += amounts[i];
+            }
+        }
+        if (msg.value != ethTotal) revert IncorrectFundingAmount(ethTotal, msg.value);
+
+        escrowAddresses = new address[](params.length);
+        for (uint256 i = 0; i < params.length; i++) {
+            escrowAddresses[i] = _createEscrow(params[i], salts[i]);
+            _fundEscrow(escrowAddresses[i], params[i], amounts[i]);
+        }
     }
 
     //predictAddress() function - Calculate CREATE2 address without deploying contract
     function predictAddress(address depositor, address payee, uint256 deadline, bytes32 salt) external view returns (address) {
-        // Get bytecode hash for SimpleEscrow with constructor parameters
-        bytes32 bytecodeHash = _getBytecodeHash(depositor, payee, deadline);
+        return _predictAddress(SimpleEscrow.EscrowParams(depositor, payee, deadline, new uint256[](0), address(0), address(0), 0, bytes32(0)), salt);
+    }
+
+    //predictAddress() overload - Calculate CREATE2 address for the full parameter set
+    function predictAddress(SimpleEscrow.EscrowParams calldata params, bytes32 salt) external view returns (address) {
+        return _predictAddress(params, salt);
+    }
 
-        //Calculate CREATE2 address
-        bytes32 computedAddress = keccak256(abi.encodePacked(bytes1(0xff), address(this), salt, bytecodeHash));
+    //predictAddresses() function - predictAddress() for each params entry and its salt
+    function predictAddresses(SimpleEscrow.EscrowParams[] calldata params, bytes32[] calldata salts) external view returns (address[] memory escrowAddresses) {
+        if (params.length != salts.length) revert InvalidBatch();
 
-        // Convert the computed address to an actual address type
-        return address(uint160(uint256(computedAddress)));
+        escrowAddresses = new address[](params.length);
+        for (uint256 i = 0; i < params.length; i++) {
+            escrowAddresses[i] = _predictAddress(params[i], salts[i]);
+        }
     }
 
     // getEscrows() function - Return arraw of esrows per deporistor
@@ -67,6 +156,72 @@ contract EscrowFactory is Pausable, Ownable2Step, ReentrancyGuard {
         return escrows[depositor];
     }
 
+    // isEscrow() function - true only for clones this factory created
+    function isEscrow(address account) public view returns (bool) {
+        return records[account].depositor != address(0);
+    }
+
+    // getEscrowRecord() function - what the registry recorded when `escrowAddress` was created
+    function getEscrowRecord(address escrowAddress) external view returns (EscrowRecord memory) {
+        if (!isEscrow(escrowAddress)) revert NotAnEscrow(escrowAddress);
+        return records[escrowAddress];
+    }
+
+    function getEscrowCount() external view returns (uint256) {
+        return allEscrows.length;
+    }
+
+    function getEscrowCountByDepositor(address depositor) external view returns (uint256) {
+        return escrows[depositor].length;
+    }
+
+    function getEscrowCountByPayee(address payee) external view returns (uint256) {
+        return payeeEscrows[payee].length;
+    }
+
+    // getAllEscrows() function - up to `limit` escrows from position `offset`, in creation order.
+    // Lists only grow at the end, so paging through them never skips or repeats an escrow.
+    function getAllEscrows(uint256 offset, uint256 limit) external view returns (address[] memory) {
+        return _page(allEscrows, offset, limit);
+    }
+
+    function getEscrowsByDepositor(address depositor, uint256 offset, uint256 limit) external view returns (address[] memory) {
+        return _page(escrows[depositor], offset, limit);
+    }
+
+    function getEscrowsByPayee(address payee, uint256 offset, uint256 limit) external view returns (address[] memory) {
+        return _page(payeeEscrows[payee], offset, limit);
+    }
+
+    // getFeeSchedule() function - Fee tiers new escrows of `token` get (address(0) for ETH)
+    function getFeeSchedule(address token) public view returns (SimpleEscrow.FeeTier[] memory) {
+        return feeTiers[token].length > 0 ? feeTiers[token] : feeTiers[address(0)];
+    }
+
+    // setFeeSchedule() function - Owner sets the tiers for `token`, ordered by minDeposit starting at 0.
+    // Only escrows created afterwards are affected. An empty list drops a token back to the default schedule.
+    function setFeeSchedule(address token, SimpleEscrow.FeeTier[] calldata tiers) external onlyOwner {
+        if (tiers.length == 0 && token == address(0)) revert InvalidFeeSchedule();
+        if (tiers.length > MAX_FEE_TIERS) revert InvalidFeeSchedule();
+        if (tiers.length > 0 && tiers[0].minDeposit != 0) revert InvalidFeeSchedule();
+
+        delete feeTiers[token];
+        for (uint256 i = 0; i < tiers.length; i++) {
+            if (tiers[i].feeBps > MAX_FEE_BPS) revert FeeTooHigh(tiers[i].feeBps, MAX_FEE_BPS);
+            if (i > 0 && tiers[i].minDeposit <= tiers[i - 1].minDeposit) revert InvalidFeeSchedule();
+            feeTiers[token].push(tiers[i]);
+        }
+
+        emit FeeScheduleUpdated(token, tiers);
+    }
+
+    // setFeeRecipient() function - Owner changes where withdrawFees() sends the fees
+    function setFeeRecipient(address newRecipient) external onlyOwner {
+        if (newRecipient == address(0)) revert InvalidFeeRecipient();
+        emit FeeRecipientUpdated(feeRecipient, newRecipient);
+        feeRecipient = newRecipient;
+    }
+
     // Pausable - Owner can pause/unpause deployments
     function pause() external onlyOwner {
         _pause();
@@ -76,21 +231,168 @@ contract EscrowFactory is Pausable, Ownable2Step, ReentrancyGuard {
         _unpause();
     }
 
-    // withdrawFees() function - Only owner can withdraw accumulated fees
+    // freezeEscrow() function - Guardian stops releases from one escrow; its depositor can still reclaim after the deadline
+    function freezeEscrow(address escrowAddress) external onlyRole(GUARDIAN_ROLE) {
+        if (!isEscrow(escrowAddress)) revert NotAnEscrow(escrowAddress);
+        if (frozenEscrows[escrowAddress]) revert AlreadyFrozen(escrowAddress);
+        frozenEscrows[escrowAddress] = true;
+        emit EscrowFrozen(escrowAddress, msg.sender);
+    }
+
+    function unfreezeEscrow(address escrowAddress) external onlyRole(GUARDIAN_ROLE) {
+        if (!frozenEscrows[escrowAddress]) revert NotFrozen(escrowAddress);
+        frozenEscrows[escrowAddress] = false;
+        emit EscrowUnfrozen(escrowAddress, msg.sender);
+    }
+
+    // freezeAll() function - Guardian stops releases from every escrow, on top of any frozen one by one
+    function freezeAll() external onlyRole(GUARDIAN_ROLE) {
+        if (allFrozen) revert AlreadyFrozen(address(0));
+        allFrozen = true;
+        emit EscrowFrozen(address(0), msg.sender);
+    }
+
+    function unfreezeAll() external onlyRole(GUARDIAN_ROLE) {
+        if (!allFrozen) revert NotFrozen(address(0));
+        allFrozen = false;
+        emit EscrowUnfrozen(address(0), msg.sender);
+    }
+
+    // isFrozen() function - what SimpleEscrow.release() checks
+    function isFrozen(address escrowAddress) external view returns (bool) {
+        return allFrozen || frozenEscrows[escrowAddress];
+    }
+
+    // withdrawFees() function - Only owner can withdraw accumulated ETH fees
     function withdrawFees() external onlyOwner nonReentrant {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No fees to withdraw");
+        _withdrawFees(address(0));
+    }
 
-        (bool success, ) = feeRecipient.call{value: balance}("");
-        require(success, "Fee withdrawal failed");
+    // withdrawFees() overload - Sweep the fees collected in one token (address(0) for ETH)
+    function withdrawFees(address token) external onlyOwner nonReentrant {
+        _withdrawFees(token);
     }
 
-    // Function to receive fees from escrow contract
-    receive() external payable {}
+    // Function to receive fees from escrow contract - ETH from anyone else would only be swept up with the fees
+    receive() external payable {
+        if (!isEscrow(msg.sender)) revert NotAnEscrow(msg.sender);
+    }
+
+    // Ownership carries the admin role, so whoever owns the factory (after acceptOwnership()) rotates guardians
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+        if (previousOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner);
+        }
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+    }
+
+    // The admin role only ever belongs to the owner; it moves with ownership, not through grantRole()/revokeRole()
+    function _grantRole(bytes32 role, address account) internal override returns (bool) {
+        if (role == DEFAULT_ADMIN_ROLE && account != owner()) revert AdminIsOwner(account);
+        return super._grantRole(role, account);
+    }
+
+    function _revokeRole(bytes32 role, address account) internal override returns (bool) {
+        if (role == DEFAULT_ADMIN_ROLE && account == owner()) revert AdminIsOwner(account);
+        return super._revokeRole(role, account);
+    }
+
+    // Helper function to send the factory's whole balance of `token` to the fee recipient
+    function _withdrawFees(address token) private {
+        uint256 balance = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        if (balance == 0) revert NoFeesToWithdraw(token);
+
+        if (token == address(0)) {
+            (bool success, ) = feeRecipient.call{value: balance}("");
+            if (!success) revert TransferFailed(feeRecipient, balance);
+        } else {
+            IERC20(token).safeTransfer(feeRecipient, balance);
+        }
+
+        emit FeesWithdrawn(token, feeRecipient, balance);
+    }
+
+    // Helper function to deploy with CREATE2
+    function _createEscrow(SimpleEscrow.EscrowParams memory params, bytes32 salt) private returns (address) {
+        if (params.depositor == address(0)) revert InvalidDepositor();
+        if (params.payee == address(0)) revert InvalidPayee();
+        if (params.deadline <= block.timestamp) revert InvalidDeadline(params.deadline, block.timestamp);
+        for (uint256 i = 0; i < params.milestones.length; i++) {
+            if (params.milestones[i] == 0) revert InvalidMilestone(i);
+        }
+        if (params.arbiter == params.depositor || params.arbiter == params.payee) revert InvalidArbiter(params.arbiter);
+        if (params.arbiterFeeBps > MAX_ARBITER_FEE_BPS) revert InvalidArbiterFee(params.arbiterFeeBps);
+        if (params.arbiter == address(0) && params.arbiterFeeBps != 0) revert InvalidArbiterFee(params.arbiterFeeBps);
+
+        // Clone the implementation and hand it the deal terms and current fee schedule
+        SimpleEscrow.FeeTier[] memory tiers = getFeeSchedule(params.token);
+        address escrowAddress = Clones.cloneDeterministic(implementation, _freeCloneSalt(params, tiers, salt));
+        SimpleEscrow(escrowAddress).initialize(address(this), tiers, params);
+
+        // Register the escrow
+        records[escrowAddress] = EscrowRecord(params.depositor, uint64(block.timestamp), params.payee, params.token, params.deadline, salt, params.referenceHash);
+        allEscrows.push(escrowAddress);
+        escrows[params.depositor].push(escrowAddress);
+        payeeEscrows[params.payee].push(escrowAddress);
+
+        // Emit the event
+        emit EscrowCreated(escrowAddress, params.depositor, params.payee);
+
+        return escrowAddress;
+    }
+
+    // Helper function to fund a new escrow on behalf of its depositor. Tokens go straight from the depositor
+    // to the escrow; the escrow is credited what actually arrived, as with fundToken().
+    function _fundEscrow(address escrowAddress, SimpleEscrow.EscrowParams memory params, uint256 amount) private {
+        if (msg.sender != params.depositor) revert OnlyDepositor(msg.sender);
+
+        if (params.token == address(0)) {
+            SimpleEscrow(escrowAddress).fundFromFactory{value: amount}(amount);
+        } else {
+            uint256 balanceBefore = IERC20(params.token).balanceOf(escrowAddress);
+            IERC20(params.token).safeTransferFrom(msg.sender, escrowAddress, amount);
+            SimpleEscrow(escrowAddress).fundFromFactory(IERC20(params.token).balanceOf(escrowAddress) - balanceBefore);
+        }
+    }
+
+    // Helper function to copy one page of a registry list; empty past the end
+    function _page(address[] storage list, uint256 offset, uint256 limit) private view returns (address[] memory page) {
+        if (offset >= list.length) {
+            return new address[](0);
+        }
+        uint256 size = list.length - offset < limit ? list.length - offset : limit;
+        page = new address[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+
+    // Helper function to calculate the CREATE2 address of the clone
+    function _predictAddress(SimpleEscrow.EscrowParams memory params, bytes32 salt) private view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, _freeCloneSalt(params, getFeeSchedule(params.token), salt));
+    }
+
+    // Helper function to pick the clone salt of the first free generation. A closed escrow's code stays on
+    // chain (EIP-6780), so reusing its salt moves on to a new address, where none of its signatures are valid.
+    // An escrow that is still open keeps its address, so creating the same deal twice still fails.
+    function _freeCloneSalt(SimpleEscrow.EscrowParams memory params, SimpleEscrow.FeeTier[] memory tiers, bytes32 salt) private view returns (bytes32 cloneSalt) {
+        for (uint256 generation = 0; ; generation++) {
+            cloneSalt = _cloneSalt(params, tiers, salt, generation);
+            address predicted = Clones.predictDeterministicAddress(implementation, cloneSalt);
+            if (predicted.code.length == 0 || !SimpleEscrow(predicted).closed()) {
+                return cloneSalt;
+            }
+        }
+    }
 
-    // Helper function to get bytecode hash
-    function _getBytecodeHash(address depositor, address payee, uint256 deadline) private view returns (bytes32) {
-        return keccak256(abi.encodePacked(type(SimpleEscrow).creationCode, abi.encode(address(this), depositor, payee, deadline, feePercent)));
+    // Helper function to derive the clone salt. A clone's address only depends on its salt, so the salt
+    // commits to the deal terms and fee schedule: nobody can deploy different terms at a predicted address.
+    function _cloneSalt(SimpleEscrow.EscrowParams memory params, SimpleEscrow.FeeTier[] memory tiers, bytes32 salt, uint256 generation) private pure returns (bytes32) {
+        return keccak256(abi.encode(params, tiers, salt, generation));
     }
 
-}
\ No newline at end of file
+}
@@ -1,90 +1,406 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.20;
 
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 
-contract SimpleEscrow is ReentrancyGuard {
-    // Immutable variables set in constructor
-    address public immutable factory;
-    address public immutable depositor;
-    address public immutable payee;
-    uint256 public immutable deadline;
-    uint256 public immutable feePercent;
+// What an escrow asks its factory before paying the payee
+interface IEscrowGuard {
+    function isFrozen(address escrow) external view returns (bool);
+}
+
+// Deployed once as an implementation; every escrow is an EIP-1167 clone set up through initialize()
+contract SimpleEscrow is Initializable, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+
+    // Per-deal parameters passed through EscrowFactory.createEscrow
+    struct EscrowParams {
+        address depositor;
+        address payee;
+        uint256 deadline;
+        uint256[] milestones; // Optional payout schedule in wei (or token units), empty for free-form partial releases
+        address token; // ERC-20 to escrow, address(0) for native ETH
+        address arbiter; // Optional dispute resolver, address(0) disables disputes
+        uint256 arbiterFeeBps; // Arbiter's cut of the disputed amount, in basis points
+        bytes32 referenceHash; // Optional off-chain reference (e.g. a hashed invoice ID), kept in the factory's registry
+    }
+
+    // Protocol fee for deposits of at least `minDeposit` (wei or token units), in basis points
+    struct FeeTier {
+        uint256 minDeposit;
+        uint256 feeBps;
+    }
+
+    // Dispute lifecycle - only reachable when an arbiter is set
+    enum DisputeState { None, Disputed, Resolved }
+
+    // EIP-712 typehash for release authorizations signed by the depositor
+    bytes32 public constant RELEASE_TYPEHASH = keccak256("Release(address escrow,address payee,uint256 amount,uint256 nonce,uint256 validUntil)");
+    // Same as Release, plus the relayer allowed to submit it (address(0) for anyone) and the part of the payout it keeps
+    bytes32 public constant RELAYED_RELEASE_TYPEHASH = keccak256("RelayedRelease(address escrow,address payee,uint256 amount,address relayer,uint256 relayerFee,uint256 nonce,uint256 validUntil)");
+    // Depositor's authorization for `relayer` (anyone if address(0)) to reclaim on their behalf once the deadline has passed
+    bytes32 public constant RECLAIM_TYPEHASH = keccak256("Reclaim(address escrow,address depositor,address relayer,uint256 relayerFee,uint256 validUntil)");
+    // Payee's consent to move the deadline; the current deadline is part of it, so it only works once
+    bytes32 public constant EXTEND_DEADLINE_TYPEHASH = keccak256("ExtendDeadline(address escrow,address payee,uint256 deadline,uint256 newDeadline)");
+    // Payee's consent to refund the depositor now; any release in between (nonce) voids it
+    bytes32 public constant CANCEL_TYPEHASH = keccak256("Cancel(address escrow,address payee,uint256 nonce,uint256 validUntil)");
+
+    // Upper bound for s (secp256k1n / 2) - anything above is a malleable signature
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    // Deal terms, written once by initialize() - only extendDeadline() can move the deadline
+    address public factory;
+    address public depositor;
+    address public payee;
+    uint256 public deadline;
+    address public token;
+    address public arbiter;
+    uint256 public arbiterFeeBps;
     
     // State variables
     bool public funded;
-    bool public released;
+    bool public released; // True once the whole deposit has been released
+    bool public reclaimed;
+    bool public cancelled;
+    bool public closed; // Terminal: set by close() once the deal is over, after which only recoverStray() works
     uint256 public depositAmount;
+    uint256 public releasedAmount;
+    uint256 public nonce;
+    DisputeState public disputeState;
+    uint256 public feeBps; // Picked from the fee tiers when the escrow is funded
+
+    // Factory fee schedule at creation time, so later changes don't alter this deal
+    FeeTier[] private feeTiers;
+
+    // Milestone schedule
+    uint256[] public milestones;
+    uint256 public milestoneTotal;
+    uint256 public nextMilestone;
 
     // Events
     event Funded(uint256 amount);
-    event Released(address payee, uint256 amountAfterFee);
+    event Released(address payee, uint256 amount, uint256 amountAfterFee);
+    event MilestoneReleased(uint256 indexed index, uint256 amount, uint256 amountAfterFee);
     event Reclaimed(address depositor, uint256 amount);
+    event RelayerPaid(address indexed relayer, uint256 amount);
+    event DisputeRaised(address indexed raisedBy);
+    event DisputeResolved(uint256 payeeShare, uint256 depositorShare, uint256 arbiterFee);
+    event DeadlineExtended(uint256 previousDeadline, uint256 newDeadline);
+    event Cancelled(address depositor, uint256 amount);
+    event Closed(address indexed closedBy);
+    event StrayRecovered(address indexed asset, address to, uint256 amount);
+
+    // Errors - sdk/revertDecoder.js turns these into typed SDK errors
+    error NotEthEscrow();
+    error NotTokenEscrow();
+    error OnlyDepositor(address caller);
+    error OnlyFactory(address caller);
+    error OnlyArbiter(address caller);
+    error OnlyParties(address caller);
+    error OnlyRelayer(address caller);
+    error AlreadyFunded();
+    error NotFunded();
+    error ZeroAmount();
+    error IncorrectFundingAmount(uint256 expected, uint256 received);
+    error DepositMismatch(uint256 milestoneTotal, uint256 amount);
+    error MilestoneMismatch(uint256 index, uint256 milestone, uint256 amount);
+    error AmountExceedsDeposit(uint256 requested, uint256 available);
+    error RelayerFeeTooHigh(uint256 relayerFee, uint256 maxRelayerFee);
+    error AlreadyReleased();
+    error AlreadyReclaimed();
+    error EscrowCancelled();
+    error DeadlinePassed(uint256 deadline, uint256 timestamp);
+    error DeadlineNotPassed(uint256 deadline, uint256 timestamp);
+    error DeadlineNotLater(uint256 deadline, uint256 newDeadline);
+    error SignatureExpired(uint256 validUntil, uint256 timestamp);
+    error InvalidSignature();
+    error InvalidSignatureLength(uint256 length);
+    error InvalidSignatureS(bytes32 s);
+    error InvalidSignatureV(uint8 v);
+    error NoArbiter();
+    error AlreadyDisputed();
+    error NotDisputed();
+    error EscrowInDispute();
+    error SharesMismatch(uint256 shares, uint256 remaining);
+    error EscrowClosed();
+    error EscrowFrozen();
+    error NotClosed();
+    error EscrowNotSettled();
+    error NothingToRecover(address asset);
+    error TransferFailed(address to, uint256 amount);
     
-    constructor(
+    // The EIP-712 name and version live in the implementation's code and are shared by its clones
+    constructor() EIP712("SimpleEscrow", "1") {
+        _disableInitializers();
+    }
+
+    // initialize() function - called by the factory in the same transaction that deploys the clone
+    function initialize(
         address _factory,
-        address _depositor,
-        address _payee,
-        uint256 _deadline,
-        uint256 _feePercent
-    ) {
+        FeeTier[] calldata _feeTiers,
+        EscrowParams calldata params
+    ) external initializer {
+        _initialize(_factory, _feeTiers, params);
+    }
+
+    // Helper function to store the deal terms and the fee schedule snapshot
+    function _initialize(
+        address _factory,
+        FeeTier[] memory _feeTiers,
+        EscrowParams memory params
+    ) internal {
         factory = _factory;
-        depositor = _depositor;
-        payee = _payee;
-        deadline = _deadline;
-        feePercent = _feePercent;
+        depositor = params.depositor;
+        payee = params.payee;
+        deadline = params.deadline;
+        token = params.token;
+        arbiter = params.arbiter;
+        arbiterFeeBps = params.arbiterFeeBps;
+
+        for (uint256 i = 0; i < params.milestones.length; i++) {
+            milestones.push(params.milestones[i]);
+            milestoneTotal += params.milestones[i];
+        }
+        for (uint256 i = 0; i < _feeTiers.length; i++) {
+            feeTiers.push(_feeTiers[i]);
+        }
     }
     
-    // fund() function
+    // fund() function - native ETH escrows
     function fund() external payable nonReentrant {
-        require(msg.sender == depositor, "Only depositor can fund");
-        require(!funded, "Already funded");
-        require(msg.value > 0, "Must send some Ether");
-        
-        funded = true;
-        depositAmount = msg.value;
-        
-        emit Funded(msg.value);
+        if (token != address(0)) revert NotEthEscrow();
+        if (msg.sender != depositor) revert OnlyDepositor(msg.sender);
+        if (funded) revert AlreadyFunded();
+        if (msg.value == 0) revert ZeroAmount();
+
+        _recordDeposit(msg.value);
     }
 
-    // release() function
-    function release(uint256 amount, bytes memory sig) external nonReentrant {
-        require(funded, "Not funded");
-        require(!released, "Already released");
-        require(block.timestamp <= deadline, "Deadline has passed");
-        require(amount <= depositAmount, "Amount exceeds deposit");
-        
-        // Verify signature
-        bytes32 messageHash = hashRelease(amount);
-        require(verify(messageHash, sig) == depositor, "Invalid signature");
-        
-        uint256 feeAmount = (amount * feePercent) / 100;
-        uint256 amountAfterFee = amount - feeAmount;
+    // fundFromFactory() function - EscrowFactory.createAndFund() deposits for the depositor in the creation
+    // transaction. ETH comes with the call; tokens were already moved here and `amount` is what arrived.
+    function fundFromFactory(uint256 amount) external payable nonReentrant {
+        if (msg.sender != factory) revert OnlyFactory(msg.sender);
+        if (funded) revert AlreadyFunded();
+        uint256 expected = token == address(0) ? amount : 0;
+        if (msg.value != expected) revert IncorrectFundingAmount(expected, msg.value);
+        if (amount == 0) revert ZeroAmount();
+
+        _recordDeposit(amount);
+    }
+
+    // fundToken() function - ERC-20 escrows, after the depositor has approved this escrow
+    function fundToken(uint256 amount) external nonReentrant {
+        _fundToken(amount);
+    }
+
+    // fundWithPermit() function - ERC-20 escrows, approval given by an EIP-2612 permit signature
+    function fundWithPermit(uint256 amount, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant {
+        if (token == address(0)) revert NotTokenEscrow();
+        // A front-run permit leaves the allowance in place, so only fail if it is actually missing
+        try IERC20Permit(token).permit(depositor, address(this), amount, permitDeadline, v, r, s) {} catch {}
+        _fundToken(amount);
+    }
+
+    // release() function - pays `amount` of the remaining deposit to the payee. Can be called repeatedly for partial releases.
+    // `sig` is the depositor's EIP-712 signature over Release(escrow, payee, amount, nonce, validUntil)
+    function release(uint256 amount, uint256 validUntil, bytes memory sig) external nonReentrant {
+        _checkRelease(amount, validUntil);
+        if (verify(hashRelease(amount, nonce, validUntil), sig) != depositor) revert InvalidSignature();
+
+        _release(amount, 0);
+    }
+
+    // relayRelease() function - release() submitted by a relayer, who keeps `relayerFee` of the payout for the gas.
+    // `sig` is the depositor's signature over RelayedRelease(escrow, payee, amount, relayer, relayerFee, nonce, validUntil)
+    function relayRelease(uint256 amount, address relayer, uint256 relayerFee, uint256 validUntil, bytes memory sig) external nonReentrant {
+        _checkRelayer(relayer);
+        _checkRelease(amount, validUntil);
+        if (verify(hashRelayedRelease(amount, relayer, relayerFee, nonce, validUntil), sig) != depositor) revert InvalidSignature();
+        uint256 maxRelayerFee = amount - _fee(amount);
+        if (relayerFee > maxRelayerFee) revert RelayerFeeTooHigh(relayerFee, maxRelayerFee);
+
+        _release(amount, relayerFee);
+    }
+
+    // Helper function with the checks every release shares
+    function _checkRelease(uint256 amount, uint256 validUntil) private view {
+        if (!funded) revert NotFunded();
+        if (cancelled) revert EscrowCancelled();
+        if (released) revert AlreadyReleased();
+        if (disputeState != DisputeState.None) revert EscrowInDispute();
+        if (frozen()) revert EscrowFrozen();
+        if (block.timestamp > deadline) revert DeadlinePassed(deadline, block.timestamp);
+        if (block.timestamp > validUntil) revert SignatureExpired(validUntil, block.timestamp);
+        if (amount == 0) revert ZeroAmount();
+        if (amount > depositAmount - releasedAmount) revert AmountExceedsDeposit(amount, depositAmount - releasedAmount);
+        if (milestones.length > 0 && amount != milestones[nextMilestone]) {
+            revert MilestoneMismatch(nextMilestone, milestones[nextMilestone], amount);
+        }
+    }
+
+    // Helper function to pay out an authorized release; the relayer fee comes out of the payee's share
+    function _release(uint256 amount, uint256 relayerFee) private {
+        uint256 feeAmount = _fee(amount);
+        uint256 amountAfterFee = amount - feeAmount - relayerFee;
         
-        released = true;
+        nonce++;
+        releasedAmount += amount;
+        if (releasedAmount == depositAmount) {
+            released = true;
+        }
+        if (milestones.length > 0) {
+            emit MilestoneReleased(nextMilestone, amount, amountAfterFee);
+            nextMilestone++;
+        }
 
     // Transfer fee to factory
-        (bool feeSuccess, ) = factory.call{value: feeAmount}("");
-        require(feeSuccess, "Fee transfer failed");
+        _transferOut(factory, feeAmount);
+        _payRelayer(relayerFee);
         
         // Transfer remaining amount to payee
-        (bool payeeSuccess, ) = payable(payee).call{value: amountAfterFee}("");
-        require(payeeSuccess, "Payee transfer failed");
+        _transferOut(payee, amountAfterFee);
         
-        emit Released(payee, amountAfterFee);
+        emit Released(payee, amount, amountAfterFee);
+    }
+
+    // raiseDispute() function - either party freezes release and reclaim until the arbiter resolves
+    function raiseDispute() external {
+        if (arbiter == address(0)) revert NoArbiter();
+        if (msg.sender != depositor && msg.sender != payee) revert OnlyParties(msg.sender);
+        if (!funded) revert NotFunded();
+        if (cancelled) revert EscrowCancelled();
+        if (released) revert AlreadyReleased();
+        if (disputeState != DisputeState.None) revert AlreadyDisputed();
+        if (block.timestamp > deadline) revert DeadlinePassed(deadline, block.timestamp);
+
+        disputeState = DisputeState.Disputed;
+
+        emit DisputeRaised(msg.sender);
+    }
+
+    // resolve() function - arbiter splits what is left; the arbiter fee comes off the top. While the escrow
+    // is frozen nothing can go to the payee, but the arbiter can still refund the depositor.
+    function resolve(uint256 payeeShare, uint256 depositorShare) external nonReentrant {
+        if (msg.sender != arbiter) revert OnlyArbiter(msg.sender);
+        if (disputeState != DisputeState.Disputed) revert NotDisputed();
+        if (payeeShare > 0 && frozen()) revert EscrowFrozen();
+
+        uint256 disputed = remaining();
+        uint256 arbiterFee = (disputed * arbiterFeeBps) / 10000;
+        if (payeeShare + depositorShare + arbiterFee != disputed) revert SharesMismatch(payeeShare + depositorShare + arbiterFee, disputed);
+
+        uint256 feeAmount = _fee(payeeShare);
+
+        disputeState = DisputeState.Resolved;
+        releasedAmount += payeeShare;
+
+        _transferOut(factory, feeAmount);
+        _transferOut(payee, payeeShare - feeAmount);
+        _transferOut(depositor, depositorShare);
+        _transferOut(arbiter, arbiterFee);
+
+        emit DisputeResolved(payeeShare, depositorShare, arbiterFee);
+    }
+
+    // extendDeadline() function - depositor moves the deadline later, with the payee's signature over
+    // ExtendDeadline(escrow, payee, deadline, newDeadline). Only before the current deadline has passed.
+    function extendDeadline(uint256 newDeadline, bytes memory payeeSig) external {
+        if (msg.sender != depositor) revert OnlyDepositor(msg.sender);
+        if (closed) revert EscrowClosed();
+        if (cancelled) revert EscrowCancelled();
+        if (released) revert AlreadyReleased();
+        if (block.timestamp > deadline) revert DeadlinePassed(deadline, block.timestamp);
+        if (newDeadline <= deadline) revert DeadlineNotLater(deadline, newDeadline);
+        if (verify(hashExtendDeadline(newDeadline), payeeSig) != payee) revert InvalidSignature();
+
+        emit DeadlineExtended(deadline, newDeadline);
+        deadline = newDeadline;
     }
 
-    // Helper function to create the message hash
-    function hashRelease(uint256 amount) private view returns (bytes32) {
-        return keccak256(abi.encodePacked("RELEASE", address(this), amount));
+    // cancel() function - depositor gets the whole remaining deposit back before the deadline, with the
+    // payee's signature over Cancel(escrow, payee, nonce, validUntil). No protocol fee is charged. An unfunded
+    // escrow is just closed for funding.
+    function cancel(uint256 validUntil, bytes memory payeeSig) external nonReentrant {
+        if (msg.sender != depositor) revert OnlyDepositor(msg.sender);
+        if (closed) revert EscrowClosed();
+        if (cancelled) revert EscrowCancelled();
+        if (released) revert AlreadyReleased();
+        if (disputeState != DisputeState.None) revert EscrowInDispute();
+        if (block.timestamp > deadline) revert DeadlinePassed(deadline, block.timestamp);
+        if (block.timestamp > validUntil) revert SignatureExpired(validUntil, block.timestamp);
+        if (verify(hashCancel(nonce, validUntil), payeeSig) != payee) revert InvalidSignature();
+
+        uint256 amount = remaining();
+        cancelled = true;
+
+        _transferOut(depositor, amount);
+
+        emit Cancelled(depositor, amount);
+    }
+
+    // remaining() - deposit still held for the payee or, after the deadline, the depositor
+    function remaining() public view returns (uint256) {
+        return (reclaimed || cancelled || disputeState == DisputeState.Resolved) ? 0 : depositAmount - releasedAmount;
+    }
+
+    // frozen() - whether a factory guardian has frozen releases from this escrow; reclaim() is never frozen
+    function frozen() public view returns (bool) {
+        return IEscrowGuard(factory).isFrozen(address(this));
+    }
+
+    // feeBpsFor() - protocol fee rate a deposit of `amount` gets: the highest tier it reaches
+    function feeBpsFor(uint256 amount) public view returns (uint256) {
+        for (uint256 i = feeTiers.length; i > 0; i--) {
+            if (amount >= feeTiers[i - 1].minDeposit) {
+                return feeTiers[i - 1].feeBps;
+            }
+        }
+        return 0;
+    }
+
+    // getFeeTiers() - the fee schedule snapshotted at creation
+    function getFeeTiers() external view returns (FeeTier[] memory) {
+        return feeTiers;
+    }
+
+    // getMilestones() - the full payout schedule (empty when releases are free-form)
+    function getMilestones() external view returns (uint256[] memory) {
+        return milestones;
+    }
+
+    // hashRelease() - EIP-712 digest the depositor signs for a release
+    function hashRelease(uint256 amount, uint256 releaseNonce, uint256 validUntil) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(RELEASE_TYPEHASH, address(this), payee, amount, releaseNonce, validUntil)));
+    }
+
+    // hashRelayedRelease() - EIP-712 digest the depositor signs for a release through a relayer
+    function hashRelayedRelease(uint256 amount, address relayer, uint256 relayerFee, uint256 releaseNonce, uint256 validUntil) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(RELAYED_RELEASE_TYPEHASH, address(this), payee, amount, relayer, relayerFee, releaseNonce, validUntil)));
+    }
+
+    // hashExtendDeadline() - EIP-712 digest the payee signs to agree to `newDeadline`
+    function hashExtendDeadline(uint256 newDeadline) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(EXTEND_DEADLINE_TYPEHASH, address(this), payee, deadline, newDeadline)));
+    }
+
+    // hashCancel() - EIP-712 digest the payee signs to agree to a refund at `cancelNonce` until `validUntil`
+    function hashCancel(uint256 cancelNonce, uint256 validUntil) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(CANCEL_TYPEHASH, address(this), payee, cancelNonce, validUntil)));
+    }
+
+    // hashReclaim() - EIP-712 digest the depositor signs for relayReclaim()
+    function hashReclaim(address relayer, uint256 relayerFee, uint256 validUntil) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(RECLAIM_TYPEHASH, address(this), depositor, relayer, relayerFee, validUntil)));
     }
     
-    // Helper function to verify signature
-    function verify(bytes32 messageHash, bytes memory sig) internal pure returns (address) {
-        require(sig.length == 65, "Invalid signature length");
-        
-        // Add Ethereum message prefix
-        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+    // Helper function to verify signature - rejects malleable (high-s) signatures and any v other than 27/28
+    function verify(bytes32 digest, bytes memory sig) internal pure returns (address) {
+        if (sig.length != 65) revert InvalidSignatureLength(sig.length);
         
         bytes32 r;
         bytes32 s;
@@ -97,32 +413,136 @@ contract SimpleEscrow is ReentrancyGuard {
             v := byte(0, mload(add(sig, 96)))
         }
 
+        if (uint256(s) > MAX_S) revert InvalidSignatureS(s);
+        if (v != 27 && v != 28) revert InvalidSignatureV(v);
+
+        address signer = ecrecover(digest, v, r, s);
+        if (signer == address(0)) revert InvalidSignature();
+
         // Return
-        return ecrecover(ethSignedMessageHash, v, r, s);
+        return signer;
     }
 
-    // reclaim() function
+    // reclaim() function - returns whatever was not released before the deadline
     function reclaim() external nonReentrant {
-        require(msg.sender == depositor, "Only depositor can reclaim");
-        require(block.timestamp > deadline, "Deadline not passed");
-        require(!released, "Already released");
-        require(funded, "Not funded");
+        if (msg.sender != depositor) revert OnlyDepositor(msg.sender);
+        _reclaim(0);
+    }
+
+    // relayReclaim() function - reclaim() submitted by `relayer` (or anyone, if address(0)) holding the depositor's
+    // signature over Reclaim(escrow, depositor, relayer, relayerFee, validUntil); the caller keeps `relayerFee` of the refund
+    function relayReclaim(address relayer, uint256 relayerFee, uint256 validUntil, bytes memory sig) external nonReentrant {
+        _checkRelayer(relayer);
+        if (block.timestamp > validUntil) revert SignatureExpired(validUntil, block.timestamp);
+        if (verify(hashReclaim(relayer, relayerFee, validUntil), sig) != depositor) revert InvalidSignature();
+        _reclaim(relayerFee);
+    }
+
+    // Helper function to refund the remainder, less the relayer's cut
+    function _reclaim(uint256 relayerFee) private {
+        if (block.timestamp <= deadline) revert DeadlineNotPassed(deadline, block.timestamp);
+        if (released) revert AlreadyReleased();
+        if (!funded) revert NotFunded();
+        if (reclaimed) revert AlreadyReclaimed();
+        if (cancelled) revert EscrowCancelled();
+        if (disputeState != DisputeState.None) revert EscrowInDispute();
 
-        uint256 amount = depositAmount;
-        depositAmount = 0; // Reset to mark as empty
+        uint256 amount = remaining();
+        if (relayerFee > amount) revert RelayerFeeTooHigh(relayerFee, amount);
+        reclaimed = true;
         
         // Transfer remaining funds back to depositor
-        (bool success, ) = depositor.call{value: amount}("");
-        require(success, "Transfer failed");
+        _payRelayer(relayerFee);
+        _transferOut(depositor, amount - relayerFee);
 
         emit Reclaimed(depositor, amount);
     }
 
-    // destroy() function - Only work when the contract balance is zero - Can be called by anyone - Should follow EIP-6780 rules
-    function destroy() external {
-        require(address(this).balance == 0, "Contract must be empty");
-        
-        // Send any remaining balance to factory (should be 0)
-        selfdestruct(payable(factory));
+    // close() function - ends the escrow for good once nothing is left to settle: released, reclaimed,
+    // cancelled or resolved, for either party, or never funded, for the depositor. The code stays on chain
+    // (EIP-6780), so the escrow keeps answering, but nothing can be funded or paid out of it again.
+    function close() external {
+        if (msg.sender != depositor && msg.sender != payee) revert OnlyParties(msg.sender);
+        if (closed) revert EscrowClosed();
+        bool settled = released || reclaimed || cancelled || disputeState == DisputeState.Resolved;
+        if (!settled && (funded || msg.sender != depositor)) revert EscrowNotSettled();
+
+        closed = true;
+
+        emit Closed(msg.sender);
+    }
+
+    // recoverStray() function - after close(), sends ETH (asset address(0)) or tokens that were forced or sent
+    // to the escrow to the depositor. The deal itself holds nothing by then, so all of it is stray.
+    function recoverStray(address asset) external nonReentrant {
+        if (msg.sender != depositor && msg.sender != payee) revert OnlyParties(msg.sender);
+        if (!closed) revert NotClosed();
+        uint256 amount = asset == address(0) ? address(this).balance : IERC20(asset).balanceOf(address(this));
+        if (amount == 0) revert NothingToRecover(asset);
+
+        if (asset == address(0)) {
+            (bool success, ) = payable(depositor).call{value: amount}("");
+            if (!success) revert TransferFailed(depositor, amount);
+        } else {
+            IERC20(asset).safeTransfer(depositor, amount);
+        }
+
+        emit StrayRecovered(asset, depositor, amount);
+    }
+
+    // Helper function to pull the deposit - the amount actually received is recorded, so fee-on-transfer tokens are safe
+    function _fundToken(uint256 amount) private {
+        if (token == address(0)) revert NotTokenEscrow();
+        if (msg.sender != depositor) revert OnlyDepositor(msg.sender);
+        if (funded) revert AlreadyFunded();
+        if (amount == 0) revert ZeroAmount();
+
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(depositor, address(this), amount);
+        _recordDeposit(IERC20(token).balanceOf(address(this)) - balanceBefore);
+    }
+
+    // Helper function to record the deposit and pick its fee tier
+    function _recordDeposit(uint256 amount) private {
+        if (closed) revert EscrowClosed();
+        if (cancelled) revert EscrowCancelled();
+        if (milestones.length > 0 && amount != milestoneTotal) revert DepositMismatch(milestoneTotal, amount);
+
+        funded = true;
+        depositAmount = amount;
+        feeBps = feeBpsFor(amount);
+
+        emit Funded(amount);
+    }
+
+    // Helper function for the protocol fee on a payout, rounded up so small releases still pay one
+    function _fee(uint256 amount) private view returns (uint256) {
+        return Math.mulDiv(amount, feeBps, 10000, Math.Rounding.Ceil);
+    }
+
+    // Helper function - an authorization bound to a relayer can't be taken by whoever sees it in the mempool first
+    function _checkRelayer(address relayer) private view {
+        if (relayer != address(0) && msg.sender != relayer) revert OnlyRelayer(msg.sender);
+    }
+
+    // Helper function to pay whoever submitted a relayed release or reclaim
+    function _payRelayer(uint256 relayerFee) private {
+        if (relayerFee > 0) {
+            _transferOut(msg.sender, relayerFee);
+            emit RelayerPaid(msg.sender, relayerFee);
+        }
+    }
+
+    // Helper function to send ETH or tokens out of the escrow
+    function _transferOut(address to, uint256 amount) private {
+        if (amount == 0) {
+            return;
+        }
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) revert TransferFailed(to, amount);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
     }
 }
\ No newline at end of file
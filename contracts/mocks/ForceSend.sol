@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+// Sends ETH to contracts that refuse it, through selfdestruct. From the constructor the contract is removed
+// as well; from forceSend() only the ETH moves and the code stays, as on any chain since Cancun (EIP-6780).
+contract ForceSend {
+    constructor(address payable to) payable {
+        if (to != address(0)) {
+            selfdestruct(to);
+        }
+    }
+
+    function forceSend(address payable to) external payable {
+        selfdestruct(to);
+    }
+}
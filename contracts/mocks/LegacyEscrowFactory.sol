@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import "../SimpleEscrow.sol";
+
+// SimpleEscrow deployed in full by its constructor, as escrows were before clones
+contract FullDeployEscrow is SimpleEscrow {
+    constructor(address _factory, FeeTier[] memory _feeTiers, EscrowParams memory params) {
+        _initialize(_factory, _feeTiers, params);
+    }
+}
+
+// The pre-clone deployment path (CREATE2 over the whole creation code), kept only for the gas benchmark
+contract LegacyEscrowFactory {
+    mapping(address => address[]) public escrows;
+
+    event EscrowCreated(address indexed escrowAddress, address indexed depositor, address indexed payee);
+
+    function createEscrow(SimpleEscrow.EscrowParams calldata params, SimpleEscrow.FeeTier[] calldata feeTiers, bytes32 salt) external returns (address escrowAddress) {
+        bytes memory bytecode = _getBytecode(params, feeTiers);
+        assembly {
+            escrowAddress := create2(0, add(bytecode, 0x20), mload(bytecode), salt)
+        }
+        require(escrowAddress != address(0), "Deployment failed");
+
+        escrows[params.depositor].push(escrowAddress);
+        emit EscrowCreated(escrowAddress, params.depositor, params.payee);
+    }
+
+    function predictAddress(SimpleEscrow.EscrowParams calldata params, SimpleEscrow.FeeTier[] calldata feeTiers, bytes32 salt) external view returns (address) {
+        bytes32 bytecodeHash = keccak256(_getBytecode(params, feeTiers));
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), salt, bytecodeHash)))));
+    }
+
+    function _getBytecode(SimpleEscrow.EscrowParams calldata params, SimpleEscrow.FeeTier[] calldata feeTiers) private view returns (bytes memory) {
+        return abi.encodePacked(type(FullDeployEscrow).creationCode, abi.encode(address(this), feeTiers, params));
+    }
+}
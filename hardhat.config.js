@@ -1,10 +1,17 @@
 // hardhat.config.js
 require("@nomicfoundation/hardhat-toolbox");
-require("dotenv").config();
+require("dotenv").config({ quiet: true });
+require("./tasks/escrow");
+require("./tasks/factory");
+require("./tasks/indexer");
+require("./tasks/relayer");
+require("./tasks/watcher");
 
 const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "";
 const DEPLOYER_PRIVATE_KEY = process.env.DEPLOYER_PRIVATE_KEY || "";
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
+const FEE_RECIPIENT = process.env.FEE_RECIPIENT || "";
+const ADMIN_ADDRESS = process.env.ADMIN_ADDRESS || "";
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -19,6 +26,10 @@ module.exports = {
     },
   },
   networks: {
+    // Pinned so tests see the same selfdestruct rules (EIP-6780) as mainnet and Sepolia
+    hardhat: {
+      hardfork: "cancun",
+    },
     sepolia: {
       url: SEPOLIA_RPC_URL,
       accounts: DEPLOYER_PRIVATE_KEY !== "" ? [DEPLOYER_PRIVATE_KEY] : [],
@@ -31,5 +42,10 @@ module.exports = {
   },
   etherscan: {
     apiKey: ETHERSCAN_API_KEY
-  }
+  },
+  // Read by scripts/deploy.js; empty values fall back to the deployer
+  escrowDeployment: {
+    feeRecipient: FEE_RECIPIENT,
+    admin: ADMIN_ADDRESS,
+  },
 };
\ No newline at end of file
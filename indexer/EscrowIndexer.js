@@ -0,0 +1,269 @@
+// indexer/EscrowIndexer.js - follows EscrowFactory and its escrows through their logs
+const { ethers } = require("ethers");
+const { loadArtifact } = require("../sdk/artifacts");
+const { MemoryStore } = require("./stores");
+const { emptyState, compareEvents, applyEvent, rebuild, toEscrow, queryEscrows } = require("./state");
+
+// Escrow events that change an escrow record
+const ESCROW_EVENTS = ["Funded", "Released", "Reclaimed", "DisputeRaised", "DisputeResolved", "DeadlineExtended", "Cancelled", "Closed"];
+
+// Addresses per eth_getLogs call when following escrows
+const ADDRESS_CHUNK = 250;
+
+// Args of a parsed log as plain JSON values
+function toArgs(fragment, args) {
+    return Object.fromEntries(fragment.inputs.map((input, i) => {
+        const value = args[i];
+        return [input.name, typeof value === "bigint" ? value.toString() : value];
+    }));
+}
+
+class EscrowIndexer {
+    // `factory` is the EscrowFactory address; indexing starts at `fromBlock` (its deployment block)
+    // and stays `confirmations` blocks behind the head. The last `reorgDepth` block hashes are kept
+    // to find where a reorg forked.
+    constructor({ provider, factory, store = new MemoryStore(), fromBlock = 0, confirmations = 0, batchSize = 2000, reorgDepth = 64 }) {
+        this.provider = provider;
+        this.factory = ethers.getAddress(factory);
+        this.store = store;
+        this.fromBlock = Number(fromBlock);
+        this.confirmations = confirmations;
+        this.batchSize = batchSize;
+        this.reorgDepth = reorgDepth;
+
+        this.factoryInterface = new ethers.Interface(loadArtifact("EscrowFactory").abi);
+        this.escrowInterface = new ethers.Interface(loadArtifact("SimpleEscrow").abi);
+        this.factoryContract = new ethers.Contract(this.factory, this.factoryInterface, provider);
+        this.state = null;
+    }
+
+    // sync() - index everything up to the confirmed head (or `toBlock`), checkpointing after each batch
+    async sync({ toBlock } = {}) {
+        if (!this._syncing) {
+            this._syncing = this._sync(toBlock).finally(() => {
+                this._syncing = null;
+            });
+        }
+        return this._syncing;
+    }
+
+    // start() - keep syncing every `pollInterval` ms until stop()
+    start({ pollInterval = 4000, onError = (error) => console.error(error) } = {}) {
+        if (this._running) {
+            return;
+        }
+        this._running = true;
+        const tick = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                onError(error);
+            }
+            if (this._running) {
+                this._timer = setTimeout(tick, pollInterval);
+            }
+        };
+        tick();
+    }
+
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+    }
+
+    // load() - read the saved state so it can be queried without syncing
+    async load() {
+        if (this.state) {
+            return;
+        }
+        const { chainId } = await this.provider.getNetwork();
+        const saved = await this.store.load();
+        if (saved) {
+            if (saved.chainId !== chainId.toString() || saved.factory !== this.factory) {
+                throw new Error(`Indexer store belongs to factory ${saved.factory} on chain ${saved.chainId}`);
+            }
+            // Version 1 stores kept every event and no base; the next batch compacts them
+            this.state = { base: {}, ...saved, version: 2 };
+        } else {
+            this.state = emptyState({ chainId: chainId.toString(), factory: this.factory, fromBlock: this.fromBlock });
+        }
+    }
+
+    get checkpoint() {
+        return this.state ? this.state.checkpoint : null;
+    }
+
+    getEscrow(address) {
+        const record = this._escrows()[ethers.getAddress(address)];
+        return record ? toEscrow(record) : null;
+    }
+
+    // findEscrows() - filter by any of { depositor, payee, status, deadlineFrom, deadlineTo, token }
+    findEscrows(filter = {}) {
+        return queryEscrows(this._escrows(), filter);
+    }
+
+    getEscrowsByDepositor(depositor) {
+        return this.findEscrows({ depositor });
+    }
+
+    getEscrowsByPayee(payee) {
+        return this.findEscrows({ payee });
+    }
+
+    getEscrowsByStatus(status) {
+        return this.findEscrows({ status });
+    }
+
+    // getEscrowsByDeadline() - deadlines in [from, to], e.g. funded escrows already past theirs:
+    // findEscrows({ status: "funded", deadlineTo: now })
+    getEscrowsByDeadline(from, to) {
+        return this.findEscrows({ deadlineFrom: from, deadlineTo: to });
+    }
+
+    async _sync(toBlock) {
+        await this.load();
+        const rolledBackTo = await this._handleReorg();
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const target = toBlock === undefined ? head : Math.min(Number(toBlock), head);
+        const start = this.state.checkpoint ? this.state.checkpoint.blockNumber + 1 : this.fromBlock;
+
+        let events = 0;
+        for (let from = start; from <= target; from += this.batchSize) {
+            const to = Math.min(from + this.batchSize - 1, target);
+            events += await this._indexRange(from, to, head);
+        }
+
+        return { fromBlock: start, toBlock: Math.max(target, start - 1), events, rolledBackTo };
+    }
+
+    async _indexRange(from, to, head) {
+        // Hashes are read before the logs, so a reorg in between shows up as a mismatch on the next sync
+        const blocks = [];
+        for (let number = Math.max(from, head - this.reorgDepth + 1); number <= to; number++) {
+            const block = await this.provider.getBlock(number);
+            blocks.push({ number, hash: block.hash });
+        }
+        const checkpointHash = blocks.length > 0 ? blocks[blocks.length - 1].hash : (await this.provider.getBlock(to)).hash;
+
+        const events = [...await this._fetchCreated(from, to)];
+        for (const event of events) {
+            applyEvent(this.state.escrows, event);
+        }
+        const escrowEvents = await this._fetchEscrowEvents(from, to);
+        for (const event of escrowEvents) {
+            applyEvent(this.state.escrows, event);
+        }
+        events.push(...escrowEvents);
+
+        this.state.events.push(...events.sort(compareEvents));
+        this.state.recentBlocks = [...this.state.recentBlocks, ...blocks].filter((b) => b.number > head - this.reorgDepth);
+        this._compact(head - this.reorgDepth);
+        this.state.checkpoint = { blockNumber: to, blockHash: checkpointHash };
+        await this.store.save(this.state);
+
+        return events.length;
+    }
+
+    // Fold events at or below `cutoff` into the base records: no reorg the indexer handles reaches them,
+    // so only the recent window is kept and saved
+    _compact(cutoff) {
+        const settled = this.state.events.filter((e) => e.blockNumber <= cutoff);
+        if (settled.length === 0) {
+            return;
+        }
+        for (const event of settled) {
+            applyEvent(this.state.base, event);
+        }
+        this.state.events = this.state.events.filter((e) => e.blockNumber > cutoff);
+    }
+
+    async _fetchCreated(from, to) {
+        const fragment = this.factoryInterface.getEvent("EscrowCreated");
+        const logs = await this.provider.getLogs({ address: this.factory, topics: [fragment.topicHash], fromBlock: from, toBlock: to });
+
+        return Promise.all(logs.map(async (log) => {
+            const parsed = this.factoryInterface.parseLog(log);
+            const escrow = ethers.getAddress(parsed.args.escrowAddress);
+
+            // The event only carries the parties. The rest never changes after creation, so it is read at
+            // the latest block (no archive node needed): the deadline at creation and the token from the
+            // factory's registry, the arbiter from the escrow. DeadlineExtended events move the deadline later.
+            const contract = new ethers.Contract(escrow, this.escrowInterface, this.provider);
+            const [record, arbiter] = await Promise.all([this.factoryContract.getEscrowRecord(escrow), contract.arbiter()]);
+
+            return {
+                ...this._toEvent(log, "EscrowCreated", escrow),
+                args: { depositor: parsed.args.depositor, payee: parsed.args.payee, deadline: record.deadline.toString(), token: record.token, arbiter },
+            };
+        }));
+    }
+
+    async _fetchEscrowEvents(from, to) {
+        const addresses = Object.keys(this.state.escrows);
+        const topics = [ESCROW_EVENTS.map((name) => this.escrowInterface.getEvent(name).topicHash)];
+
+        const events = [];
+        for (let i = 0; i < addresses.length; i += ADDRESS_CHUNK) {
+            const logs = await this.provider.getLogs({ address: addresses.slice(i, i + ADDRESS_CHUNK), topics, fromBlock: from, toBlock: to });
+            for (const log of logs) {
+                const parsed = this.escrowInterface.parseLog(log);
+                events.push({ ...this._toEvent(log, parsed.name, ethers.getAddress(log.address)), args: toArgs(parsed.fragment, parsed.args) });
+            }
+        }
+        return events.sort(compareEvents);
+    }
+
+    _toEvent(log, name, escrow) {
+        return {
+            name,
+            escrow,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+        };
+    }
+
+    // If the checkpoint block was replaced, roll back to the newest block that is still canonical
+    async _handleReorg() {
+        const { checkpoint } = this.state;
+        if (!checkpoint || await this._isCanonical(checkpoint.blockNumber, checkpoint.blockHash)) {
+            return null;
+        }
+
+        const candidates = this.state.recentBlocks
+            .filter((b) => b.number < checkpoint.blockNumber)
+            .sort((a, b) => b.number - a.number);
+        for (const block of candidates) {
+            if (await this._isCanonical(block.number, block.hash)) {
+                await this._rollback(block);
+                return block.number;
+            }
+        }
+        throw new Error(`Reorg deeper than the ${this.reorgDepth} blocks the indexer tracks; delete its store and resync`);
+    }
+
+    async _isCanonical(number, hash) {
+        const block = await this.provider.getBlock(number);
+        return block !== null && block.hash === hash;
+    }
+
+    async _rollback(block) {
+        this.state.events = this.state.events.filter((e) => e.blockNumber <= block.number);
+        this.state.escrows = rebuild(this.state.events, this.state.base);
+        this.state.recentBlocks = this.state.recentBlocks.filter((b) => b.number <= block.number);
+        this.state.checkpoint = { blockNumber: block.number, blockHash: block.hash };
+        await this.store.save(this.state);
+    }
+
+    _escrows() {
+        if (!this.state) {
+            throw new Error("Indexer has not synced yet, call sync() first");
+        }
+        return this.state.escrows;
+    }
+}
+
+module.exports = { EscrowIndexer, ESCROW_EVENTS };
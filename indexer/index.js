@@ -0,0 +1,13 @@
+// indexer/index.js - rebuilds escrow state from EscrowFactory and SimpleEscrow logs
+const { EscrowIndexer, ESCROW_EVENTS } = require("./EscrowIndexer");
+const { MemoryStore, JsonFileStore } = require("./stores");
+const { STATUSES, queryEscrows } = require("./state");
+
+module.exports = {
+    EscrowIndexer,
+    ESCROW_EVENTS,
+    MemoryStore,
+    JsonFileStore,
+    STATUSES,
+    queryEscrows,
+};
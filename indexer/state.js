@@ -0,0 +1,136 @@
+// indexer/state.js - escrow records rebuilt from factory and escrow events
+//
+// The indexer keeps the decoded events of the blocks a reorg can still replace, and folds older
+// ones into a `base` snapshot of the escrow records. The records are the base plus a fold over the
+// recent events, so rolling back a reorg is: drop the orphaned events and fold the rest onto the base.
+
+const STATUSES = ["created", "funded", "released", "reclaimed", "disputed", "resolved", "cancelled", "closed"];
+
+function emptyState({ chainId, factory, fromBlock }) {
+    return {
+        version: 2,
+        chainId,
+        factory,
+        fromBlock,
+        checkpoint: null, // { blockNumber, blockHash } of the last block fully indexed
+        recentBlocks: [], // [{ number, hash }] near the head, used to find the fork point of a reorg
+        base: {}, // escrow records folded from events older than the reorg window
+        events: [], // events inside the reorg window, in replay order
+        escrows: {},
+    };
+}
+
+// Replay order: block, then EscrowCreated before the escrow's own logs, then log index
+function compareEvents(a, b) {
+    return a.blockNumber - b.blockNumber
+        || (a.name === "EscrowCreated" ? 0 : 1) - (b.name === "EscrowCreated" ? 0 : 1)
+        || a.logIndex - b.logIndex;
+}
+
+// applyEvent() - update `escrows` for one event record (amounts are decimal strings so the state is plain JSON)
+function applyEvent(escrows, event) {
+    if (event.name === "EscrowCreated") {
+        escrows[event.escrow] = {
+            address: event.escrow,
+            depositor: event.args.depositor,
+            payee: event.args.payee,
+            deadline: event.args.deadline,
+            token: event.args.token,
+            arbiter: event.args.arbiter,
+            status: "created",
+            depositAmount: "0",
+            releasedAmount: "0",
+            reclaimedAmount: "0", // returned to the depositor by reclaim() or cancel()
+            createdBlock: event.blockNumber,
+            createdTx: event.transactionHash,
+            updatedBlock: event.blockNumber,
+        };
+        return;
+    }
+
+    const escrow = escrows[event.escrow];
+    if (!escrow) {
+        return;
+    }
+    escrow.updatedBlock = event.blockNumber;
+
+    switch (event.name) {
+        case "Funded":
+            escrow.status = "funded";
+            escrow.depositAmount = event.args.amount;
+            break;
+        case "Released":
+            escrow.releasedAmount = String(BigInt(escrow.releasedAmount) + BigInt(event.args.amount));
+            if (escrow.releasedAmount === escrow.depositAmount) {
+                escrow.status = "released";
+            }
+            break;
+        case "Reclaimed":
+            escrow.status = "reclaimed";
+            escrow.reclaimedAmount = event.args.amount;
+            break;
+        case "DisputeRaised":
+            escrow.status = "disputed";
+            break;
+        case "DisputeResolved":
+            escrow.status = "resolved";
+            escrow.releasedAmount = String(BigInt(escrow.releasedAmount) + BigInt(event.args.payeeShare));
+            break;
+        case "DeadlineExtended":
+            escrow.deadline = event.args.newDeadline;
+            break;
+        case "Cancelled":
+            escrow.status = "cancelled";
+            escrow.reclaimedAmount = event.args.amount;
+            break;
+        case "Closed":
+            // The amounts still tell how it ended
+            escrow.status = "closed";
+            break;
+    }
+}
+
+// rebuild() - fold events into a copy of the `base` records
+function rebuild(events, base = {}) {
+    const escrows = structuredClone(base);
+    for (const event of [...events].sort(compareEvents)) {
+        applyEvent(escrows, event);
+    }
+    return escrows;
+}
+
+// toEscrow() - query result with amounts and deadline as bigints, like the SDK's status()
+function toEscrow(record) {
+    return {
+        ...record,
+        deadline: BigInt(record.deadline),
+        depositAmount: BigInt(record.depositAmount),
+        releasedAmount: BigInt(record.releasedAmount),
+        reclaimedAmount: BigInt(record.reclaimedAmount),
+    };
+}
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// queryEscrows() - every filter is optional; `status` may be one status or a list,
+// `deadlineFrom`/`deadlineTo` are inclusive unix timestamps. Sorted by deadline.
+function queryEscrows(escrows, { depositor, payee, status, deadlineFrom, deadlineTo, token } = {}) {
+    const statuses = status === undefined ? null : [].concat(status);
+    for (const s of statuses || []) {
+        if (!STATUSES.includes(s)) {
+            throw new Error(`Unknown escrow status "${s}", expected one of ${STATUSES.join(", ")}`);
+        }
+    }
+
+    return Object.values(escrows)
+        .filter((e) => depositor === undefined || sameAddress(e.depositor, depositor))
+        .filter((e) => payee === undefined || sameAddress(e.payee, payee))
+        .filter((e) => token === undefined || sameAddress(e.token, token))
+        .filter((e) => statuses === null || statuses.includes(e.status))
+        .filter((e) => deadlineFrom === undefined || BigInt(e.deadline) >= BigInt(deadlineFrom))
+        .filter((e) => deadlineTo === undefined || BigInt(e.deadline) <= BigInt(deadlineTo))
+        .map(toEscrow)
+        .sort((a, b) => (a.deadline < b.deadline ? -1 : a.deadline > b.deadline ? 1 : a.createdBlock - b.createdBlock));
+}
+
+module.exports = { STATUSES, emptyState, compareEvents, applyEvent, rebuild, toEscrow, queryEscrows };
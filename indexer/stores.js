@@ -0,0 +1,41 @@
+// indexer/stores.js - where the indexer keeps its state between runs
+const fs = require("fs");
+const path = require("path");
+
+// Keeps the state in memory only, for tests and one-off scans
+class MemoryStore {
+    constructor() {
+        this.state = null;
+    }
+
+    async load() {
+        return this.state ? structuredClone(this.state) : null;
+    }
+
+    async save(state) {
+        this.state = structuredClone(state);
+    }
+}
+
+// Keeps the state in a JSON file, written atomically so a crash mid-save leaves the last checkpoint intact
+class JsonFileStore {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async load() {
+        if (!fs.existsSync(this.file)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    }
+
+    async save(state) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = { MemoryStore, JsonFileStore };
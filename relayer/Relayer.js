@@ -0,0 +1,212 @@
+// relayer/Relayer.js - submits signed releases and reclaims so payees and depositors don't need gas
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { EscrowHandle, EscrowError, toEscrowError } = require("../sdk");
+const { loadArtifact } = require("../sdk/artifacts");
+
+// Raised for requests the relayer will not queue; `status` is the HTTP status the server answers with
+class RelayerError extends Error {
+    constructor(message, { status = 400, reason, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = "RelayerError";
+        this.status = status;
+        this.reason = reason ?? message;
+    }
+}
+
+// Parse a uint256 field from a JSON request
+function toUint(value, field) {
+    try {
+        const n = BigInt(value);
+        if (n >= 0n) {
+            return n;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new RelayerError(`Invalid ${field}`);
+}
+
+class Relayer {
+    // `signer` pays the gas and receives relayer fees. Only escrows of `factory` are relayed, and only when
+    // their relayerFee is at least `minRelayerFee`. Failed submissions that did not revert (RPC errors,
+    // dropped transactions) are retried up to `maxAttempts` times, `retryDelay` ms apart and doubling.
+    constructor({ signer, factory, minRelayerFee = 0n, maxAttempts = 3, retryDelay = 1000, confirmations = 1 }) {
+        this.signer = signer;
+        this.factory = ethers.getAddress(factory);
+        this.minRelayerFee = BigInt(minRelayerFee);
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.confirmations = confirmations;
+
+        this.factoryContract = new ethers.Contract(this.factory, loadArtifact("EscrowFactory").abi, signer);
+        this.jobs = new Map();
+        this.keys = new Map(); // job id => escrow, method and signature, to spot resubmissions
+        this.queue = [];
+        this._idle = [];
+    }
+
+    // submitRelease() - validate a signed release and queue it. Without `relayerFee` it is a plain
+    // signRelease() authorization sent through release(), which pays the relayer nothing, so it is only
+    // taken when no minimum fee is set; with one it must come from signRelayedRelease().
+    async submitRelease({ escrow, amount, relayer, relayerFee, validUntil, signature }) {
+        if (relayerFee === undefined && this.minRelayerFee > 0n) {
+            throw new RelayerError(`Plain releases pay no relayer fee; sign a relayed release paying at least ${this.minRelayerFee}`);
+        }
+        const args = relayerFee === undefined
+            ? [toUint(amount, "amount"), toUint(validUntil, "validUntil"), signature]
+            : [toUint(amount, "amount"), await this._checkRelayer(relayer), this._checkFee(relayerFee), toUint(validUntil, "validUntil"), signature];
+        return this._submit(escrow, relayerFee === undefined ? "release" : "relayRelease", args);
+    }
+
+    // submitReclaim() - validate a signReclaim() authorization and queue it
+    async submitReclaim({ escrow, relayer, relayerFee = 0n, validUntil, signature }) {
+        return this._submit(escrow, "relayReclaim", [await this._checkRelayer(relayer), this._checkFee(relayerFee), toUint(validUntil, "validUntil"), signature]);
+    }
+
+    getJob(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    // idle() - resolves once every queued job has been mined or has failed
+    async idle() {
+        if (!this._draining && this.queue.length === 0 && !this._retrying) {
+            return;
+        }
+        await new Promise((resolve) => this._idle.push(resolve));
+    }
+
+    async _submit(escrow, method, args) {
+        if (!ethers.isAddress(escrow)) {
+            throw new RelayerError("Invalid escrow address");
+        }
+        if (!ethers.isHexString(args[args.length - 1], 65)) {
+            throw new RelayerError("Invalid signature");
+        }
+        const address = ethers.getAddress(escrow);
+
+        // The same authorization submitted twice is the same job
+        const key = `${address}:${method}:${args[args.length - 1].toLowerCase()}`;
+        for (const [id, jobKey] of this.keys) {
+            if (jobKey === key && this.jobs.get(id).status !== "failed") {
+                return this.getJob(id);
+            }
+        }
+
+        await this._checkEscrow(address);
+        const handle = new EscrowHandle(address, this.signer);
+        await this._simulate(handle, method, args);
+
+        const job = {
+            id: crypto.randomUUID(),
+            escrow: address,
+            method,
+            args: args.map((a) => (typeof a === "bigint" ? a.toString() : a)),
+            status: "queued",
+            attempts: 0,
+            txHash: null,
+            blockNumber: null,
+            error: null,
+            createdAt: Date.now(),
+        };
+        this.jobs.set(job.id, job);
+        this.keys.set(job.id, key);
+        this.queue.push({ job, args });
+        this._drain();
+        return this.getJob(job.id);
+    }
+
+    // Authorizations bound to another relayer would only revert with OnlyRelayer; a missing relayer means anyone
+    async _checkRelayer(relayer = ethers.ZeroAddress) {
+        if (!ethers.isAddress(relayer)) {
+            throw new RelayerError("Invalid relayer address");
+        }
+        const address = ethers.getAddress(relayer);
+        if (address !== ethers.ZeroAddress && address !== (await this.signer.getAddress())) {
+            throw new RelayerError(`Authorization is bound to relayer ${address}`);
+        }
+        return address;
+    }
+
+    _checkFee(relayerFee) {
+        const fee = toUint(relayerFee, "relayerFee");
+        if (fee < this.minRelayerFee) {
+            throw new RelayerError(`Relayer fee below the minimum of ${this.minRelayerFee}`);
+        }
+        return fee;
+    }
+
+    // Anything else could burn the relayer's gas, so only escrows in our factory's registry are relayed
+    async _checkEscrow(address) {
+        if (!(await this.factoryContract.isEscrow(address))) {
+            throw new RelayerError(`${address} is not an escrow of factory ${this.factory}`, { status: 404 });
+        }
+    }
+
+    // Run the call against the current state; a revert means sending it would only waste gas
+    async _simulate(handle, method, args) {
+        try {
+            await handle.contract[method].staticCall(...args);
+        } catch (error) {
+            const escrowError = toEscrowError(error);
+            if (escrowError instanceof EscrowError) {
+                throw new RelayerError(`Rejected on-chain: ${escrowError.message}`, { status: 422, reason: escrowError.reason, cause: escrowError });
+            }
+            throw error;
+        }
+    }
+
+    // Jobs are sent one at a time so the relayer account's nonces never collide
+    async _drain() {
+        if (this._draining) {
+            return;
+        }
+        this._draining = true;
+        while (this.queue.length > 0) {
+            await this._process(this.queue.shift());
+        }
+        this._draining = false;
+        if (!this._retrying) {
+            this._idle.splice(0).forEach((resolve) => resolve());
+        }
+    }
+
+    async _process({ job, args }) {
+        job.attempts++;
+        const handle = new EscrowHandle(job.escrow, this.signer);
+
+        try {
+            // State may have moved on since the job was queued (another relayer, an expired signature)
+            await this._simulate(handle, job.method, args);
+
+            job.status = "submitted";
+            const tx = await handle.contract[job.method](...args);
+            job.txHash = tx.hash;
+            const receipt = await tx.wait(this.confirmations);
+            Object.assign(job, { status: "confirmed", blockNumber: receipt.blockNumber, error: null });
+        } catch (error) {
+            // Reverts are final; anything else may be the node or the network, so try again
+            const escrowError = error instanceof RelayerError ? error : toEscrowError(error);
+            if (escrowError instanceof RelayerError || escrowError instanceof EscrowError) {
+                Object.assign(job, { status: "failed", error: escrowError.reason });
+            } else if (job.attempts < this.maxAttempts) {
+                Object.assign(job, { status: "retrying", error: error.message });
+                this._retry({ job, args });
+            } else {
+                Object.assign(job, { status: "failed", error: error.message });
+            }
+        }
+    }
+
+    _retry(entry) {
+        this._retrying = (this._retrying || 0) + 1;
+        setTimeout(() => {
+            this._retrying--;
+            this.queue.push(entry);
+            this._drain();
+        }, this.retryDelay * 2 ** (entry.job.attempts - 1));
+    }
+}
+
+module.exports = { Relayer, RelayerError };
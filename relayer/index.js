@@ -0,0 +1,9 @@
+// relayer/index.js - submits signed escrow releases and reclaims on behalf of their parties
+const { Relayer, RelayerError } = require("./Relayer");
+const { createRelayerServer } = require("./server");
+
+module.exports = {
+    Relayer,
+    RelayerError,
+    createRelayerServer,
+};
@@ -0,0 +1,78 @@
+// relayer/server.js - HTTP API in front of a Relayer
+//
+//   GET  /health        relayer address, factory, chain and queue length
+//   POST /release       { escrow, amount, validUntil, signature, relayerFee?, relayer? }
+//   POST /reclaim       { escrow, relayer, relayerFee, validUntil, signature }
+//   GET  /jobs/:id      status of a submission: queued, submitted, retrying, confirmed or failed
+//
+// Amounts are decimal strings in wei (or token base units). Accepted submissions answer 202 with the job.
+const http = require("http");
+const { toJson } = require("../sdk/json");
+const { RelayerError } = require("./Relayer");
+
+// Requests are tiny; anything bigger is not an authorization
+const MAX_BODY_BYTES = 16 * 1024;
+
+function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(toJson(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new RelayerError("Request body too large", { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(body || "{}"));
+            } catch {
+                reject(new RelayerError("Request body is not valid JSON"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+// createRelayerServer() - an http.Server for `relayer`; call listen() on it
+function createRelayerServer(relayer) {
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, "http://localhost");
+        try {
+            if (req.method === "GET" && pathname === "/health") {
+                const { chainId } = await relayer.signer.provider.getNetwork();
+                return send(res, 200, {
+                    relayer: await relayer.signer.getAddress(),
+                    factory: relayer.factory,
+                    chainId,
+                    minRelayerFee: relayer.minRelayerFee,
+                    queued: relayer.queue.length,
+                });
+            }
+            if (req.method === "POST" && pathname === "/release") {
+                return send(res, 202, await relayer.submitRelease(await readJson(req)));
+            }
+            if (req.method === "POST" && pathname === "/reclaim") {
+                return send(res, 202, await relayer.submitReclaim(await readJson(req)));
+            }
+            const job = pathname.match(/^\/jobs\/([\w-]+)$/);
+            if (req.method === "GET" && job) {
+                const found = relayer.getJob(job[1]);
+                return found ? send(res, 200, found) : send(res, 404, { error: "Job not found" });
+            }
+            return send(res, 404, { error: "Not found" });
+        } catch (error) {
+            if (error instanceof RelayerError) {
+                return send(res, error.status, { error: error.message, reason: error.reason });
+            }
+            return send(res, 500, { error: error.message });
+        }
+    });
+}
+
+module.exports = { createRelayerServer };
@@ -1,41 +1,18 @@
 // scripts/deploy.js
+// Deploys EscrowFactory (or reuses a matching deployment) and records it in deployments/<network>.json.
+// Fee recipient and admin come from FEE_RECIPIENT / ADMIN_ADDRESS, defaulting to the deployer.
 const hre = require("hardhat");
+const { deployEscrowFactory } = require("./lib/deployer");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const feeRecipient = deployer.address;
-  const feePercent = 1;
-
-  // --- Deploy EscrowFactory ---
-  const EscrowFactory = await hre.ethers.getContractFactory("EscrowFactory");
-  const escrowFactory = await EscrowFactory.deploy(feeRecipient);
-
-  await escrowFactory.waitForDeployment();
-  const escrowFactoryAddress = await escrowFactory.getAddress();
-  console.log("EscrowFactory deployed to:", escrowFactoryAddress);
-
-  // --- Deploy SimpleEscrow (for testing purposes) ---
-  const depositor = deployer.address;
-  const payee = await hre.ethers.Wallet.createRandom().getAddress();
-  const deadline = Math.round(Date.now() / 1000) + 3600;
-
-  const SimpleEscrow = await hre.ethers.getContractFactory("SimpleEscrow");
-  const simpleEscrow = await SimpleEscrow.deploy(
-    escrowFactoryAddress,
-    depositor,
-    payee,
-    deadline,
-    feePercent
-  );
-
-  await simpleEscrow.waitForDeployment();
-  const simpleEscrowAddress = await simpleEscrow.getAddress();
-  console.log("SimpleEscrow deployed to:", simpleEscrowAddress);
+  const { manifest } = await deployEscrowFactory(hre);
+  console.log("EscrowFactory:", manifest.EscrowFactory.address);
 }
 
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
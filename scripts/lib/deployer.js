@@ -0,0 +1,145 @@
+// scripts/lib/deployer.js
+// Idempotent deployment of EscrowFactory, recorded in deployments/<network>.json.
+const { readDeployment, writeDeployment } = require("./deployments");
+
+// resolveDeployConfig() - explicit options, then hardhat.config.js `escrowDeployment`, then the deployer
+function resolveDeployConfig(hre, deployer, options = {}) {
+  const config = hre.userConfig.escrowDeployment || {};
+  const feeRecipient = options.feeRecipient || config.feeRecipient || deployer.address;
+  const admin = options.admin || config.admin || deployer.address;
+
+  if (!hre.ethers.isAddress(feeRecipient)) {
+    throw new Error(`Invalid fee recipient: ${feeRecipient}`);
+  }
+  if (!hre.ethers.isAddress(admin)) {
+    throw new Error(`Invalid admin: ${admin}`);
+  }
+  return { feeRecipient: hre.ethers.getAddress(feeRecipient), admin: hre.ethers.getAddress(admin) };
+}
+
+// Hash of the creation code plus encoded constructor args, i.e. what would be deployed now
+function getInitCodeHash(hre, contractFactory, constructorArgs) {
+  const encodedArgs = contractFactory.interface.encodeDeploy(constructorArgs);
+  return hre.ethers.keccak256(hre.ethers.concat([contractFactory.bytecode, encodedArgs]));
+}
+
+// The existing deployment is reused only if its code is still on chain and it was built from the same init code
+async function isUpToDate(hre, entry, initCodeHash) {
+  if (!entry || !entry.address) {
+    return false;
+  }
+  const code = await hre.ethers.provider.getCode(entry.address);
+  if (code === "0x") {
+    return false;
+  }
+  return hre.ethers.keccak256(code) === entry.bytecodeHash && entry.initCodeHash === initCodeHash;
+}
+
+// deployContract() - deploy `contractName` unless the manifest entry already matches on-chain code
+async function deployContract(hre, manifest, contractName, constructorArgs, deployer, log) {
+  const contractFactory = await hre.ethers.getContractFactory(contractName, deployer);
+  const initCodeHash = getInitCodeHash(hre, contractFactory, constructorArgs);
+  const existing = manifest[contractName];
+
+  if (await isUpToDate(hre, existing, initCodeHash)) {
+    log(`${contractName} is up to date at ${existing.address}, skipping`);
+    return { entry: existing, deployed: false };
+  }
+
+  const contract = await contractFactory.deploy(...constructorArgs);
+  await contract.waitForDeployment();
+  const deployTx = contract.deploymentTransaction();
+  const receipt = await deployTx.wait();
+  const address = await contract.getAddress();
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+
+  const entry = {
+    address,
+    contractName: artifact.contractName,
+    sourceName: artifact.sourceName,
+    solcVersion: buildInfo ? buildInfo.solcLongVersion : undefined,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: deployer.address,
+    constructorArgs,
+    initCodeHash,
+    bytecodeHash: hre.ethers.keccak256(await hre.ethers.provider.getCode(address)),
+    deployedAt: new Date().toISOString(),
+  };
+  log(`${contractName} deployed to ${address} (tx ${receipt.hash})`);
+  return { entry, deployed: true };
+}
+
+// startOwnershipTransfer() - first step of Ownable2Step; the admin still has to call acceptOwnership()
+async function startOwnershipTransfer(hre, address, admin, deployer, log) {
+  const contract = await hre.ethers.getContractAt("EscrowFactory", address, deployer);
+  const owner = await contract.owner();
+  const pendingOwner = await contract.pendingOwner();
+
+  if (owner === admin) {
+    return { owner, pendingOwner };
+  }
+  if (pendingOwner === admin) {
+    log(`Ownership transfer to ${admin} already pending`);
+    return { owner, pendingOwner };
+  }
+  if (owner !== deployer.address) {
+    throw new Error(`Cannot transfer ownership: owner is ${owner}, not the deployer ${deployer.address}`);
+  }
+
+  const tx = await contract.transferOwnership(admin);
+  await tx.wait();
+  log(`Ownership transfer to ${admin} started (tx ${tx.hash}), admin must call acceptOwnership()`);
+  return { owner, pendingOwner: admin };
+}
+
+// The SimpleEscrow implementation the factory deployed in its constructor, recorded so it can be verified too
+async function getImplementationEntry(hre, factoryEntry) {
+  const factory = await hre.ethers.getContractAt("EscrowFactory", factoryEntry.address);
+  const address = await factory.implementation();
+  const artifact = await hre.artifacts.readArtifact("SimpleEscrow");
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+
+  return {
+    address,
+    contractName: artifact.contractName,
+    sourceName: artifact.sourceName,
+    solcVersion: buildInfo ? buildInfo.solcLongVersion : undefined,
+    txHash: factoryEntry.txHash,
+    blockNumber: factoryEntry.blockNumber,
+    createdBy: factoryEntry.address,
+    constructorArgs: [],
+    bytecodeHash: hre.ethers.keccak256(await hre.ethers.provider.getCode(address)),
+  };
+}
+
+// deployEscrowFactory() - deploy or reuse the factory, hand ownership to the admin and save the manifest
+async function deployEscrowFactory(hre, options = {}) {
+  const log = options.log || console.log;
+  const [deployer] = await hre.ethers.getSigners();
+  const { feeRecipient, admin } = resolveDeployConfig(hre, deployer, options);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const manifest = readDeployment(hre.network.name) || {};
+  if (manifest.chainId !== undefined && manifest.chainId !== Number(chainId)) {
+    throw new Error(`deployments/${hre.network.name}.json is for chain ${manifest.chainId}, connected to ${chainId}`);
+  }
+
+  const { entry, deployed } = await deployContract(hre, manifest, "EscrowFactory", [feeRecipient], deployer, log);
+  const ownership = await startOwnershipTransfer(hre, entry.address, admin, deployer, log);
+
+  const updated = {
+    ...manifest,
+    network: hre.network.name,
+    chainId: Number(chainId),
+    EscrowFactory: { ...entry, feeRecipient, admin, owner: ownership.owner, pendingOwner: ownership.pendingOwner },
+    SimpleEscrow: await getImplementationEntry(hre, entry),
+  };
+  const file = writeDeployment(hre.network.name, updated);
+  log(`Deployment saved to ${file}`);
+
+  return { manifest: updated, deployed, file };
+}
+
+module.exports = { resolveDeployConfig, getInitCodeHash, deployContract, startOwnershipTransfer, deployEscrowFactory };
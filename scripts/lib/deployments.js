@@ -0,0 +1,43 @@
+// scripts/lib/deployments.js
+// Saved deployments live in deployments/<network>.json so tasks can find the factory.
+const fs = require("fs");
+const path = require("path");
+const { toJson } = require("../../sdk/json");
+
+function getDeploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "..", "deployments");
+}
+
+function getDeploymentPath(networkName) {
+  return path.join(getDeploymentsDir(), `${networkName}.json`);
+}
+
+// readDeployment() - returns undefined when the network has never been deployed to
+function readDeployment(networkName) {
+  const file = getDeploymentPath(networkName);
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployment(networkName, deployment) {
+  const file = getDeploymentPath(networkName);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, toJson(deployment, 2) + "\n");
+  return file;
+}
+
+// getFactoryAddress() - explicit override first, then the saved deployment
+function getFactoryAddress(networkName, override) {
+  if (override) {
+    return override;
+  }
+  const deployment = readDeployment(networkName);
+  if (!deployment || !deployment.EscrowFactory) {
+    throw new Error(`No EscrowFactory deployment found at ${getDeploymentPath(networkName)}. Run scripts/deploy.js or pass --factory.`);
+  }
+  return deployment.EscrowFactory.address;
+}
+
+module.exports = { getDeploymentsDir, getDeploymentPath, readDeployment, writeDeployment, getFactoryAddress };
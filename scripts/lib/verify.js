@@ -0,0 +1,63 @@
+// scripts/lib/verify.js
+// Rebuilds the Etherscan verification request for a contract from the deployment manifest.
+const { readDeployment } = require("./deployments");
+
+const ETHERSCAN_API_URL = "https://api.etherscan.io/v2/api";
+
+// buildVerificationPayload() - everything Etherscan's verifysourcecode action needs
+async function buildVerificationPayload(hre, contractName, { apiKey } = {}) {
+  const manifest = readDeployment(hre.network.name);
+  const entry = manifest && manifest[contractName];
+  if (!entry) {
+    throw new Error(`No ${contractName} entry in deployments/${hre.network.name}.json`);
+  }
+
+  const fullyQualifiedName = `${entry.sourceName}:${entry.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${fullyQualifiedName}, run npx hardhat compile`);
+  }
+  if (entry.solcVersion && entry.solcVersion !== buildInfo.solcLongVersion) {
+    throw new Error(`${contractName} was deployed with solc ${entry.solcVersion} but artifacts are from ${buildInfo.solcLongVersion}`);
+  }
+
+  const contractFactory = await hre.ethers.getContractFactory(contractName);
+  const constructorArguments = contractFactory.interface.encodeDeploy(entry.constructorArgs).slice(2);
+
+  return {
+    chainid: String(manifest.chainId),
+    apikey: apiKey,
+    module: "contract",
+    action: "verifysourcecode",
+    contractaddress: entry.address,
+    sourceCode: JSON.stringify(buildInfo.input),
+    codeformat: "solidity-standard-json-input",
+    contractname: fullyQualifiedName,
+    compilerversion: `v${buildInfo.solcLongVersion}`,
+    // Etherscan's parameter name really is misspelled
+    constructorArguements: constructorArguments,
+  };
+}
+
+// Default verifier: submit the payload to the Etherscan API
+async function etherscanVerifier(payload) {
+  const { chainid, ...body } = payload;
+  const response = await fetch(`${ETHERSCAN_API_URL}?chainid=${chainid}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(body),
+  });
+  const result = await response.json();
+  if (result.status !== "1") {
+    throw new Error(`Etherscan verification failed: ${result.result}`);
+  }
+  return { guid: result.result };
+}
+
+// verifyDeployment() - build the payload and hand it to `verifier` (stubbed in tests)
+async function verifyDeployment(hre, contractName, { apiKey, verifier = etherscanVerifier } = {}) {
+  const payload = await buildVerificationPayload(hre, contractName, { apiKey });
+  return verifier(payload);
+}
+
+module.exports = { buildVerificationPayload, etherscanVerifier, verifyDeployment };
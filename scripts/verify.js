@@ -0,0 +1,20 @@
+// scripts/verify.js
+// Submits the Etherscan verification for the EscrowFactory and its SimpleEscrow implementation
+// recorded in deployments/<network>.json.
+const hre = require("hardhat");
+const { verifyDeployment } = require("./lib/verify");
+
+async function main() {
+  const apiKey = hre.config.etherscan.apiKey;
+  for (const contractName of ["EscrowFactory", "SimpleEscrow"]) {
+    const result = await verifyDeployment(hre, contractName, {
+      apiKey: typeof apiKey === "string" ? apiKey : apiKey[hre.network.name],
+    });
+    console.log(`${contractName} verification submitted, guid:`, result.guid);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
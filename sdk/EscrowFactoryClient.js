@@ -0,0 +1,354 @@
+// sdk/EscrowFactoryClient.js
+const { ethers } = require("ethers");
+const { loadArtifact } = require("./artifacts");
+const { EscrowHandle } = require("./EscrowHandle");
+const { toEscrowError, DeploymentFailedError } = require("./errors");
+const { DEFAULT_FEE_TIERS, toFeeTiers } = require("./fees");
+const { getToken } = require("./tokens");
+
+// Accept either a bytes32 salt or any string, which is hashed into one
+function toSalt(salt) {
+    return ethers.isHexString(salt, 32) ? salt : ethers.id(String(salt));
+}
+
+// toReference() - the registry's referenceHash for an off-chain reference such as an invoice ID: a bytes32
+// is kept as is, any other string is hashed, and no reference is bytes32(0)
+function toReference(reference) {
+    if (reference === undefined || reference === null || reference === "") {
+        return ethers.ZeroHash;
+    }
+    return toSalt(reference);
+}
+
+// toEscrowParams() - the SimpleEscrow.EscrowParams struct for createEscrow/predictAddress
+function toEscrowParams({ depositor, payee, deadline, milestones = [], token = ethers.ZeroAddress, arbiter = ethers.ZeroAddress, arbiterFeeBps = 0, reference }) {
+    return { depositor, payee, deadline, milestones, token, arbiter, arbiterFeeBps, referenceHash: toReference(reference) };
+}
+
+// Registry pages are read this many escrows at a time unless told otherwise
+const DEFAULT_PAGE_SIZE = 100;
+
+// EIP-1167 minimal proxy creation code around the implementation address, as in OpenZeppelin's Clones
+function getCloneInitCode(implementation) {
+    return ethers.concat(["0x3d602d80600a3d3981f3363d3d373d3d3d363d73", implementation, "0x5af43d82803e903d91602b57fd5bf3"]);
+}
+
+// getCloneSalt() - EscrowFactory._cloneSalt(): the caller's salt bound to the deal terms and fee schedule.
+// `generation` counts earlier escrows with the same deal and salt that were closed.
+function getCloneSalt({ salt, feeTiers = DEFAULT_FEE_TIERS, generation = 0, ...params }) {
+    const [, tiersType, paramsType] = new ethers.Interface(loadArtifact("SimpleEscrow").abi).getFunction("initialize").inputs;
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        [paramsType, tiersType, "bytes32", "uint256"],
+        [toEscrowParams(params), toFeeTiers(feeTiers), toSalt(salt), generation],
+    ));
+}
+
+// predictAddress() - offline CREATE2 address of the clone the factory would deploy
+// `implementation` is EscrowFactory.implementation(); `feeTiers` must be the factory's current
+// schedule for the escrow's asset, since it is part of the clone salt
+function predictAddress(factoryAddress, { implementation, ...params }) {
+    return ethers.getCreate2Address(factoryAddress, getCloneSalt(params), ethers.keccak256(getCloneInitCode(implementation)));
+}
+
+// Wraps a deployed EscrowFactory
+class EscrowFactoryClient {
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, loadArtifact("EscrowFactory").abi, runner);
+    }
+
+    // Deploy a new EscrowFactory and return a client for it
+    static async deploy(feeRecipient, signer) {
+        const { abi, bytecode } = loadArtifact("EscrowFactory");
+        try {
+            const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(feeRecipient);
+            await contract.waitForDeployment();
+            return new EscrowFactoryClient(await contract.getAddress(), signer);
+        } catch (error) {
+            throw toEscrowError(error);
+        }
+    }
+
+    // Return a new client bound to another signer
+    connect(runner) {
+        return new EscrowFactoryClient(this.address, runner);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    // Get a handle for an escrow that is already deployed
+    escrow(address, runner = this.runner) {
+        return new EscrowHandle(address, runner);
+    }
+
+    // createEscrow() - deploy an escrow and return its handle (receipt attached)
+    // `milestones` is an optional payout schedule in wei; the deposit must then equal its sum
+    // `token` is the ERC-20 to escrow, omitted for native ETH
+    // `arbiter` (with an optional `arbiterFeeBps`) enables raiseDispute()/resolve()
+    // `reference` is an optional off-chain reference (see toReference()) kept in the factory's registry
+    async createEscrow({ salt, ...params }) {
+        const receipt = await this._send(() => this.contract.createEscrow(toEscrowParams(params), toSalt(salt)));
+        return this._createdEscrows(receipt)[0];
+    }
+
+    // createEscrowBatch() - deploy one escrow per deal ({ salt, ...params } as for createEscrow) in one
+    // transaction; handles come back in the same order and share the receipt
+    async createEscrowBatch(deals) {
+        const receipt = await this._send(() => this.contract.createEscrowBatch(
+            deals.map(({ salt, ...params }) => toEscrowParams(params)),
+            deals.map(({ salt }) => toSalt(salt)),
+        ));
+        return this._createdEscrows(receipt);
+    }
+
+    // createAndFund() - deploy and fund in one transaction, as the depositor. Token escrows pull `amount`
+    // through the factory, which is approved first (skip with `{ approve: false }`).
+    async createAndFund({ salt, amount, ...params }, { approve = true } = {}) {
+        const { token = ethers.ZeroAddress } = params;
+        if (approve) {
+            await this._approve(token, amount);
+        }
+        const value = token === ethers.ZeroAddress ? amount : 0n;
+        const receipt = await this._send(() => this.contract.createAndFund(toEscrowParams(params), toSalt(salt), amount, { value }));
+        return this._createdEscrows(receipt)[0];
+    }
+
+    // createAndFundBatch() - createAndFund() for many deals ({ salt, amount, ...params }) in one transaction
+    async createAndFundBatch(deals, { approve = true } = {}) {
+        let value = 0n;
+        const tokenTotals = new Map();
+        for (const { amount, token = ethers.ZeroAddress } of deals) {
+            if (token === ethers.ZeroAddress) {
+                value += BigInt(amount);
+            } else {
+                const key = ethers.getAddress(token);
+                tokenTotals.set(key, (tokenTotals.get(key) || 0n) + BigInt(amount));
+            }
+        }
+        if (approve) {
+            for (const [token, total] of tokenTotals) {
+                await this._approve(token, total);
+            }
+        }
+
+        const receipt = await this._send(() => this.contract.createAndFundBatch(
+            deals.map(({ salt, amount, ...params }) => toEscrowParams(params)),
+            deals.map(({ salt }) => toSalt(salt)),
+            deals.map(({ amount }) => amount),
+            { value },
+        ));
+        return this._createdEscrows(receipt);
+    }
+
+    // getEscrows() - handles for every escrow created for a depositor, read a page at a time
+    async getEscrows(depositor) {
+        return this.listEscrows({ depositor });
+    }
+
+    // isEscrow() - whether `address` is an escrow this factory created
+    async isEscrow(address) {
+        return this.contract.isEscrow(address);
+    }
+
+    // getEscrowRecord() - what the registry recorded when the escrow was created:
+    // { address, depositor, payee, token, deadline, createdAt, salt, referenceHash }
+    async getEscrowRecord(address) {
+        try {
+            const { depositor, payee, token, deadline, createdAt, salt, referenceHash } = await this.contract.getEscrowRecord(address);
+            return { address: ethers.getAddress(address), depositor, payee, token, deadline, createdAt, salt, referenceHash };
+        } catch (error) {
+            throw toEscrowError(error);
+        }
+    }
+
+    // getEscrowCount() - number of escrows created, in all or for `{ depositor }` or `{ payee }`
+    async getEscrowCount(filter = {}) {
+        const { method, args } = this._registryQuery(filter);
+        return this.contract[`getEscrowCount${method}`](...args);
+    }
+
+    // getEscrowsPage() - handles for up to `limit` escrows from position `offset` in creation order,
+    // in all or for `{ depositor }` or `{ payee }`; empty past the end
+    async getEscrowsPage({ offset = 0, limit = DEFAULT_PAGE_SIZE, ...filter } = {}) {
+        const { method, args } = this._registryQuery(filter);
+        const addresses = await this.contract[method ? `getEscrows${method}` : "getAllEscrows"](...args, offset, limit);
+        return addresses.map((address) => this.escrow(address));
+    }
+
+    // iterateEscrows() - every escrow matching the filter (as for getEscrowsPage()), `pageSize` per call.
+    // Escrows created while iterating are included, since the registry only grows at the end.
+    async *iterateEscrows({ pageSize = DEFAULT_PAGE_SIZE, ...filter } = {}) {
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.getEscrowsPage({ ...filter, offset, limit: pageSize });
+            yield* page;
+            if (page.length < pageSize) {
+                return;
+            }
+        }
+    }
+
+    // listEscrows() - iterateEscrows() collected into an array
+    async listEscrows(options = {}) {
+        const escrows = [];
+        for await (const escrow of this.iterateEscrows(options)) {
+            escrows.push(escrow);
+        }
+        return escrows;
+    }
+
+    // predictAddress() - computed locally; reads the implementation once and the fee schedule unless `feeTiers` is given.
+    // Addresses of closed escrows with the same deal and salt are skipped, as the factory does.
+    async predictAddress({ feeTiers, ...params }) {
+        const tiers = feeTiers || await this.getFeeSchedule(params.token);
+        return this._firstFreeAddress({ ...params, feeTiers: tiers, implementation: await this.getImplementation() });
+    }
+
+    // predictAddresses() - predictAddress() for each deal, reading each asset's fee schedule once
+    async predictAddresses(deals) {
+        const schedules = new Map();
+        const implementation = await this.getImplementation();
+        const addresses = [];
+        for (const { feeTiers, ...params } of deals) {
+            const token = params.token || ethers.ZeroAddress;
+            if (!feeTiers && !schedules.has(token)) {
+                schedules.set(token, await this.getFeeSchedule(token));
+            }
+            addresses.push(await this._firstFreeAddress({ ...params, feeTiers: feeTiers || schedules.get(token), implementation }));
+        }
+        return addresses;
+    }
+
+    // Helper: predictAddress() of the first generation that is not a closed escrow
+    async _firstFreeAddress(params) {
+        for (let generation = 0; ; generation++) {
+            const address = predictAddress(this.address, { ...params, generation });
+            if ((await (this.runner.provider ?? this.runner).getCode(address)) === "0x" || !(await this.escrow(address).contract.closed())) {
+                return address;
+            }
+        }
+    }
+
+    // getImplementation() - the SimpleEscrow every escrow of this factory is a clone of
+    async getImplementation() {
+        if (!this._implementation) {
+            this._implementation = await this.contract.implementation();
+        }
+        return this._implementation;
+    }
+
+    // getFeeSchedule() - tiers new escrows of `token` (ETH by default) are created with
+    async getFeeSchedule(token = ethers.ZeroAddress) {
+        return toFeeTiers(await this.contract.getFeeSchedule(token));
+    }
+
+    // setFeeSchedule() - owner only; `tiers` is [{ minDeposit, feeBps }] starting at minDeposit 0
+    async setFeeSchedule(tiers, token = ethers.ZeroAddress) {
+        return this._send(() => this.contract.setFeeSchedule(token, toFeeTiers(tiers)));
+    }
+
+    async setFeeRecipient(recipient) {
+        return this._send(() => this.contract.setFeeRecipient(recipient));
+    }
+
+    async pause() {
+        return this._send(() => this.contract.pause());
+    }
+
+    async unpause() {
+        return this._send(() => this.contract.unpause());
+    }
+
+    // addGuardian() / removeGuardian() - owner only; guardians can freeze releases
+    async addGuardian(account) {
+        return this._send(async () => this.contract.grantRole(await this.contract.GUARDIAN_ROLE(), account));
+    }
+
+    async removeGuardian(account) {
+        return this._send(async () => this.contract.revokeRole(await this.contract.GUARDIAN_ROLE(), account));
+    }
+
+    async isGuardian(account) {
+        return this.contract.hasRole(await this.contract.GUARDIAN_ROLE(), account);
+    }
+
+    // freeze() / unfreeze() - guardian only; one escrow, or every escrow when no address is given
+    async freeze(escrow) {
+        return this._send(() => (escrow ? this.contract.freezeEscrow(escrow) : this.contract.freezeAll()));
+    }
+
+    async unfreeze(escrow) {
+        return this._send(() => (escrow ? this.contract.unfreezeEscrow(escrow) : this.contract.unfreezeAll()));
+    }
+
+    // getFreezeStatus() - whether releases from `escrow` are frozen, and why: on their own, all at once, or both
+    async getFreezeStatus(escrow) {
+        const [frozenEscrow, allFrozen] = await Promise.all([this.contract.frozenEscrows(escrow), this.contract.allFrozen()]);
+        return { frozen: frozenEscrow || allFrozen, frozenEscrow, allFrozen };
+    }
+
+    // withdrawFees() - sweep the fees collected in `token` (ETH by default) to the fee recipient
+    async withdrawFees(token = ethers.ZeroAddress) {
+        return this._send(() => this.contract["withdrawFees(address)"](token));
+    }
+
+    // Registry getter suffix and arguments for a { depositor } or { payee } filter, or none
+    _registryQuery({ depositor, payee }) {
+        if (depositor && payee) {
+            throw new Error("Filter the registry by depositor or by payee, not both");
+        }
+        if (depositor) {
+            return { method: "ByDepositor", args: [depositor] };
+        }
+        if (payee) {
+            return { method: "ByPayee", args: [payee] };
+        }
+        return { method: "", args: [] };
+    }
+
+    // Handles for the escrows an EscrowCreated event was emitted for, in order, with the receipt attached
+    _createdEscrows(receipt) {
+        const escrows = receipt.logs
+            .map((log) => {
+                try {
+                    return this.contract.interface.parseLog(log);
+                } catch {
+                    return null;
+                }
+            })
+            .filter((parsed) => parsed && parsed.name === "EscrowCreated")
+            .map((event) => {
+                const escrow = this.escrow(event.args.escrowAddress);
+                escrow.receipt = receipt;
+                return escrow;
+            });
+        if (escrows.length === 0) {
+            throw new DeploymentFailedError("EscrowCreated event not found");
+        }
+        return escrows;
+    }
+
+    // Raise the factory's allowance for `token` to at least `amount`; nothing to do for ETH
+    async _approve(token, amount) {
+        if (token === ethers.ZeroAddress) {
+            return;
+        }
+        const erc20 = getToken(token, this.runner);
+        if ((await erc20.allowance(await this.runner.getAddress(), this.address)) < amount) {
+            await this._send(() => erc20.approve(this.address, amount));
+        }
+    }
+
+    async _send(sendTx) {
+        try {
+            const tx = await sendTx();
+            return await tx.wait();
+        } catch (error) {
+            throw toEscrowError(error);
+        }
+    }
+}
+
+module.exports = { EscrowFactoryClient, DEFAULT_PAGE_SIZE, predictAddress, getCloneSalt, getCloneInitCode, toEscrowParams, toSalt, toReference };
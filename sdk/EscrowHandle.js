@@ -0,0 +1,254 @@
+// sdk/EscrowHandle.js
+const { ethers } = require("ethers");
+const { loadArtifact } = require("./artifacts");
+const { toEscrowError } = require("./errors");
+const signatures = require("./signatures");
+const { getToken, signPermit } = require("./tokens");
+const { toFeeTiers } = require("./fees");
+
+// SimpleEscrow.DisputeState
+const DISPUTE_STATES = ["None", "Disputed", "Resolved"];
+
+// How long after the deadline a signed reclaim stays valid unless `validUntil` is given
+const RECLAIM_VALIDITY = 7n * 24n * 3600n;
+
+// Wraps a deployed SimpleEscrow. Every write waits for the receipt and throws a typed EscrowError on revert.
+class EscrowHandle {
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, loadArtifact("SimpleEscrow").abi, runner);
+    }
+
+    // Return a new handle bound to another signer
+    connect(runner) {
+        return new EscrowHandle(this.address, runner);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    // fund() - depositor sends the full deposit. Token escrows are approved first (skip with `{ approve: false }`),
+    // or with `{ permit: true }` funded in one transaction through an EIP-2612 permit (`permitVersion` is
+    // the token's EIP-712 domain version, for tokens that don't report it through eip712Domain()).
+    async fund(amount, { permit = false, permitDeadline, permitVersion, approve = true } = {}) {
+        const token = await this.contract.token();
+        if (token === ethers.ZeroAddress) {
+            return this._send(() => this.contract.fund({ value: amount }));
+        }
+
+        if (permit) {
+            const deadline = permitDeadline ?? (await this.contract.deadline());
+            const { v, r, s } = await signPermit(this.runner, token, this.address, amount, deadline, { version: permitVersion });
+            return this._send(() => this.contract.fundWithPermit(amount, deadline, v, r, s));
+        }
+
+        const owner = await this.runner.getAddress();
+        if (approve && (await getToken(token, this.runner).allowance(owner, this.address)) < amount) {
+            await this._send(() => getToken(token, this.runner).approve(this.address, amount));
+        }
+        return this._send(() => this.contract.fundToken(amount));
+    }
+
+    // buildRelease() - the EIP-712 Release struct for `amount` at the escrow's current nonce
+    async buildRelease(amount, { validUntil } = {}) {
+        const [{ chainId }, payee, nonce, deadline] = await Promise.all([
+            (this.runner.provider ?? this.runner).getNetwork(),
+            this.contract.payee(),
+            this.contract.nonce(),
+            this.contract.deadline(),
+        ]);
+        // A release is never valid past the deadline, so that is the default expiry
+        return { chainId, escrow: this.address, payee, amount, nonce, validUntil: validUntil ?? deadline };
+    }
+
+    // signRelease() - depositor authorizes the release of `amount` (defaults to the connected signer)
+    async signRelease(amount, { validUntil, signer = this.runner } = {}) {
+        return signatures.signRelease(signer, await this.buildRelease(amount, { validUntil }));
+    }
+
+    // signNextMilestone() - depositor authorizes the next milestone in the schedule
+    async signNextMilestone({ validUntil, signer = this.runner } = {}) {
+        const { amounts, next } = await this.milestones();
+        if (next >= amounts.length) {
+            throw new Error(`All ${amounts.length} milestones of ${this.address} have been released`);
+        }
+        return this.signRelease(amounts[next], { validUntil, signer });
+    }
+
+    // release() - anyone holding the depositor's authorization from signRelease() can pay the payee
+    async release({ amount, validUntil, signature }) {
+        return this._send(() => this.contract.release(amount, validUntil, signature));
+    }
+
+    // signRelayedRelease() - depositor authorizes a release that `relayer` submits, keeping `relayerFee` of the payout.
+    // With the default zero address anyone may submit it and take the fee.
+    async signRelayedRelease(amount, { relayer = ethers.ZeroAddress, relayerFee = 0n, validUntil, signer = this.runner } = {}) {
+        const release = await this.buildRelease(amount, { validUntil });
+        return signatures.signRelayedRelease(signer, { ...release, relayer, relayerFee });
+    }
+
+    // relayRelease() - submit a signRelayedRelease() authorization; the sender receives the relayer fee
+    async relayRelease({ amount, relayer = ethers.ZeroAddress, relayerFee, validUntil, signature }) {
+        return this._send(() => this.contract.relayRelease(amount, relayer, relayerFee, validUntil, signature));
+    }
+
+    // signReclaim() - depositor authorizes `relayer` (anyone, by default) to reclaim for them after the deadline,
+    // keeping `relayerFee` of the refund. Valid until a week after the deadline unless `validUntil` is given.
+    async signReclaim({ relayer = ethers.ZeroAddress, relayerFee = 0n, validUntil, signer = this.runner } = {}) {
+        const [{ chainId }, depositor, deadline] = await Promise.all([
+            (this.runner.provider ?? this.runner).getNetwork(),
+            this.contract.depositor(),
+            this.contract.deadline(),
+        ]);
+        return signatures.signReclaim(signer, {
+            chainId,
+            escrow: this.address,
+            depositor,
+            relayer,
+            relayerFee,
+            validUntil: validUntil ?? deadline + RECLAIM_VALIDITY,
+        });
+    }
+
+    // relayReclaim() - submit a signReclaim() authorization; the sender receives the relayer fee
+    async relayReclaim({ relayer = ethers.ZeroAddress, relayerFee, validUntil, signature }) {
+        return this._send(() => this.contract.relayReclaim(relayer, relayerFee, validUntil, signature));
+    }
+
+    // signExtendDeadline() - payee agrees to move the deadline to `newDeadline` (defaults to the connected signer)
+    async signExtendDeadline(newDeadline, { signer = this.runner } = {}) {
+        const [{ chainId }, payee, deadline] = await Promise.all([
+            (this.runner.provider ?? this.runner).getNetwork(),
+            this.contract.payee(),
+            this.contract.deadline(),
+        ]);
+        return signatures.signExtendDeadline(signer, { chainId, escrow: this.address, payee, deadline, newDeadline });
+    }
+
+    // extendDeadline() - depositor applies the payee's signExtendDeadline() consent
+    async extendDeadline({ newDeadline, signature }) {
+        return this._send(() => this.contract.extendDeadline(newDeadline, signature));
+    }
+
+    // signCancel() - payee agrees to refund the depositor; a release before cancel() voids the consent.
+    // Valid until the deadline unless `validUntil` is given.
+    async signCancel({ validUntil, signer = this.runner } = {}) {
+        const [{ chainId }, payee, nonce, deadline] = await Promise.all([
+            (this.runner.provider ?? this.runner).getNetwork(),
+            this.contract.payee(),
+            this.contract.nonce(),
+            this.contract.deadline(),
+        ]);
+        return signatures.signCancel(signer, { chainId, escrow: this.address, payee, nonce, validUntil: validUntil ?? deadline });
+    }
+
+    // cancel() - depositor takes back the whole remaining deposit before the deadline with the payee's consent
+    async cancel({ validUntil, signature }) {
+        return this._send(() => this.contract.cancel(validUntil, signature));
+    }
+
+    // raiseDispute() - depositor or payee freezes the escrow until the arbiter resolves it
+    async raiseDispute() {
+        return this._send(() => this.contract.raiseDispute());
+    }
+
+    // resolve() - arbiter splits what is left; shares must add up to remaining() minus the arbiter fee
+    async resolve(payeeShare, depositorShare) {
+        return this._send(() => this.contract.resolve(payeeShare, depositorShare));
+    }
+
+    // arbiterFee() - what the arbiter would take if the escrow were resolved now
+    async arbiterFee() {
+        const [remaining, arbiterFeeBps] = await Promise.all([this.contract.remaining(), this.contract.arbiterFeeBps()]);
+        return (remaining * arbiterFeeBps) / 10000n;
+    }
+
+    // milestones() - payout schedule and progress; `amounts` is empty for free-form escrows
+    async milestones() {
+        const [amounts, next, total] = await Promise.all([
+            this.contract.getMilestones(),
+            this.contract.nextMilestone(),
+            this.contract.milestoneTotal(),
+        ]);
+        return { amounts: [...amounts], next: Number(next), total };
+    }
+
+    // reclaim() - depositor takes the deposit back after the deadline
+    async reclaim() {
+        return this._send(() => this.contract.reclaim());
+    }
+
+    // close() - depositor or payee ends a settled escrow for good (the depositor also an unfunded one)
+    async close() {
+        return this._send(() => this.contract.close());
+    }
+
+    // recoverStray() - after close(), sends ETH (no `asset`) or tokens that were forced or sent to the escrow to the depositor
+    async recoverStray(asset = ethers.ZeroAddress) {
+        return this._send(() => this.contract.recoverStray(asset));
+    }
+
+    // status() - snapshot of the escrow's on-chain state
+    async status() {
+        const [factory, token, depositor, payee, arbiter, arbiterFeeBps, deadline, feeBps, feeTiers, funded, released, reclaimed, cancelled, closed, frozen, disputeState, depositAmount, releasedAmount, remaining, nonce, milestones] = await Promise.all([
+            this.contract.factory(),
+            this.contract.token(),
+            this.contract.depositor(),
+            this.contract.payee(),
+            this.contract.arbiter(),
+            this.contract.arbiterFeeBps(),
+            this.contract.deadline(),
+            this.contract.feeBps(),
+            this.contract.getFeeTiers(),
+            this.contract.funded(),
+            this.contract.released(),
+            this.contract.reclaimed(),
+            this.contract.cancelled(),
+            this.contract.closed(),
+            this.contract.frozen(),
+            this.contract.disputeState(),
+            this.contract.depositAmount(),
+            this.contract.releasedAmount(),
+            this.contract.remaining(),
+            this.contract.nonce(),
+            this.milestones(),
+        ]);
+        return {
+            address: this.address,
+            factory,
+            token,
+            depositor,
+            payee,
+            arbiter,
+            arbiterFeeBps,
+            deadline,
+            feeBps,
+            feeTiers: toFeeTiers(feeTiers),
+            funded,
+            released,
+            reclaimed,
+            cancelled,
+            closed,
+            frozen,
+            disputeState: DISPUTE_STATES[Number(disputeState)],
+            depositAmount,
+            releasedAmount,
+            remaining,
+            nonce,
+            milestones,
+        };
+    }
+
+    async _send(sendTx) {
+        try {
+            const tx = await sendTx();
+            return await tx.wait();
+        } catch (error) {
+            throw toEscrowError(error);
+        }
+    }
+}
+
+module.exports = { EscrowHandle, DISPUTE_STATES };
@@ -0,0 +1,78 @@
+// sdk/RelayerClient.js - talks to the relayer's HTTP API (relayer/server.js)
+const { EscrowError } = require("./errors");
+const { toJson } = require("./json");
+
+// The relayer refused a submission; `status` is the HTTP status and `reason` the revert reason, if any
+class RelayerRequestError extends EscrowError {
+    constructor(message, { status, reason, cause } = {}) {
+        super(message, { reason, cause });
+        this.status = status;
+    }
+}
+
+// Job states after which nothing changes
+const FINAL_JOB_STATES = ["confirmed", "failed"];
+
+class RelayerClient {
+    constructor(url) {
+        this.url = url.replace(/\/$/, "");
+    }
+
+    async health() {
+        return this._request("GET", "/health");
+    }
+
+    // submitRelease() - hand a signRelease() or signRelayedRelease() authorization to the relayer
+    async submitRelease(escrow, { amount, relayer, relayerFee, validUntil, signature }) {
+        return this._request("POST", "/release", { escrow, amount, relayer, relayerFee, validUntil, signature });
+    }
+
+    // submitReclaim() - hand a signReclaim() authorization to the relayer
+    async submitReclaim(escrow, { relayer, relayerFee, validUntil, signature }) {
+        return this._request("POST", "/reclaim", { escrow, relayer, relayerFee, validUntil, signature });
+    }
+
+    async getJob(id) {
+        return this._request("GET", `/jobs/${id}`);
+    }
+
+    // waitForJob() - poll until the job is confirmed or failed
+    async waitForJob(id, { interval = 500, timeout = 60000 } = {}) {
+        const started = Date.now();
+        for (;;) {
+            const job = await this.getJob(id);
+            if (FINAL_JOB_STATES.includes(job.status)) {
+                return job;
+            }
+            if (Date.now() - started > timeout) {
+                throw new Error(`Relayer job ${id} still ${job.status} after ${timeout} ms`);
+            }
+            await new Promise((resolve) => setTimeout(resolve, interval));
+        }
+    }
+
+    async _request(method, path, body) {
+        const response = await fetch(`${this.url}${path}`, {
+            method,
+            headers: body ? { "Content-Type": "application/json" } : undefined,
+            body: body ? toJson(body) : undefined,
+        });
+        // A proxy in front of the relayer may answer with an HTML error page or nothing at all
+        const contentType = response.headers.get("content-type") ?? "";
+        let json;
+        try {
+            if (!contentType.includes("application/json")) {
+                throw new Error(`Expected JSON, got ${contentType || "no content type"}`);
+            }
+            json = await response.json();
+        } catch (error) {
+            throw new RelayerRequestError(`Relayer answered ${response.status} ${response.statusText} without a JSON body`, { status: response.status, cause: error });
+        }
+        if (!response.ok) {
+            throw new RelayerRequestError(json.error ?? `Relayer answered ${response.status} ${response.statusText}`, { status: response.status, reason: json.reason });
+        }
+        return json;
+    }
+}
+
+module.exports = { RelayerClient, RelayerRequestError, FINAL_JOB_STATES };
@@ -0,0 +1,16 @@
+// sdk/artifacts.js
+// Loads the compiled contract artifacts. Run `npx hardhat compile` before using the SDK.
+const path = require("path");
+
+const ARTIFACTS_DIR = process.env.ESCROW_ARTIFACTS_DIR || path.join(__dirname, "..", "artifacts", "contracts");
+
+const cache = new Map();
+
+function loadArtifact(contractName) {
+    if (!cache.has(contractName)) {
+        cache.set(contractName, require(path.join(ARTIFACTS_DIR, `${contractName}.sol`, `${contractName}.json`)));
+    }
+    return cache.get(contractName);
+}
+
+module.exports = { loadArtifact };
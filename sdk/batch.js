@@ -0,0 +1,197 @@
+// sdk/batch.js - create (and fund) escrows for a list of deals read from CSV or JSON
+//
+// A deal has the createEscrow() fields plus an optional `amount` to fund it with:
+//   depositor,payee,salt,deadline|duration,amount,token,milestones,arbiter,arbiterFeeBps,reference
+// In CSV, milestones are separated by ";" (or quote the field to use commas).
+// Rows whose predicted address already holds an escrow are skipped, so a failed run can simply be repeated.
+const { ethers } = require("ethers");
+const { toSalt, toReference } = require("./EscrowFactoryClient");
+
+// Split one CSV line; double quotes wrap fields containing commas ("" is a literal quote)
+function splitCsvLine(line) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ",") {
+            fields.push(field.trim());
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// parseDeals() - rows of raw deal fields, each with its `row` (line number in a CSV, position in JSON)
+// `format` is "csv" or "json"; by default a document starting with "[" is JSON
+function parseDeals(text, { format } = {}) {
+    const kind = format || (text.trimStart().startsWith("[") ? "json" : "csv");
+    if (kind === "json") {
+        const deals = JSON.parse(text);
+        if (!Array.isArray(deals)) {
+            throw new Error("Expected a JSON array of deals");
+        }
+        return deals.map((deal, i) => ({ ...deal, row: i + 1 }));
+    }
+    if (kind !== "csv") {
+        throw new Error(`Unknown deals format "${format}", expected csv or json`);
+    }
+
+    // Blank lines and lines starting with # are skipped; the first remaining line is the header
+    const lines = text.split(/\r?\n/)
+        .map((line, i) => ({ line, row: i + 1 }))
+        .filter(({ line }) => line.trim() !== "" && !line.trim().startsWith("#"));
+    if (lines.length === 0) {
+        return [];
+    }
+    const header = splitCsvLine(lines[0].line);
+    return lines.slice(1).map(({ line, row }) => {
+        const fields = splitCsvLine(line);
+        const deal = { row };
+        header.forEach((column, i) => {
+            if (fields[i] !== undefined && fields[i] !== "") {
+                deal[column] = fields[i];
+            }
+        });
+        return deal;
+    });
+}
+
+// toDeal() - validate raw fields into createEscrow()/createAndFund() arguments. Amounts go through
+// `parseAmount(amount, token)` (base units by default); `duration` is counted from `now`.
+async function toDeal(raw, { parseAmount = async (amount) => BigInt(amount), now } = {}) {
+    for (const field of ["depositor", "payee", "salt"]) {
+        if (raw[field] === undefined) {
+            throw new Error(`Missing ${field}`);
+        }
+    }
+    const token = raw.token ? ethers.getAddress(raw.token) : ethers.ZeroAddress;
+
+    let deadline;
+    if (raw.deadline !== undefined) {
+        deadline = BigInt(raw.deadline);
+    } else if (raw.duration !== undefined && now !== undefined) {
+        deadline = BigInt(now) + BigInt(raw.duration);
+    } else {
+        throw new Error("Missing deadline");
+    }
+
+    const milestoneList = Array.isArray(raw.milestones) ? raw.milestones : String(raw.milestones ?? "").split(/[;,]/).filter((m) => m.trim() !== "");
+    const milestones = await Promise.all(milestoneList.map((m) => parseAmount(String(m).trim(), token)));
+    const amount = raw.amount !== undefined ? await parseAmount(String(raw.amount), token) : undefined;
+
+    const arbiterFeeBps = raw.arbiterFeeBps !== undefined ? Number(raw.arbiterFeeBps) : 0;
+    if (!Number.isInteger(arbiterFeeBps) || arbiterFeeBps < 0 || arbiterFeeBps > 10000) {
+        throw new Error(`Invalid arbiterFeeBps ${raw.arbiterFeeBps}, expected an integer from 0 to 10000`);
+    }
+
+    return {
+        depositor: ethers.getAddress(raw.depositor),
+        payee: ethers.getAddress(raw.payee),
+        deadline,
+        milestones,
+        token,
+        arbiter: raw.arbiter ? ethers.getAddress(raw.arbiter) : ethers.ZeroAddress,
+        arbiterFeeBps,
+        salt: toSalt(raw.salt),
+        reference: toReference(raw.reference),
+        amount,
+    };
+}
+
+// runBatch() - create the deals through `factory` (an EscrowFactoryClient), `batchSize` per transaction.
+// Deals with an `amount` are created and funded by the connected signer, who must be their depositor
+// (pass `{ fund: false }` to only create). With `{ dryRun: true }` nothing is sent and each row
+// reports its predicted address. Returns one result per row:
+//   { row, status, escrow, depositor, payee, amount, txHash, error }
+// status is "predicted", "created", "funded", "exists" (already deployed), "invalid" or "failed".
+async function runBatch(factory, rows, { dryRun = false, fund = true, batchSize = 20, parseAmount, now } = {}) {
+    const provider = factory.runner.provider ?? factory.runner;
+    const sender = fund ? await factory.runner.getAddress() : null;
+
+    const results = [];
+    const valid = [];
+    for (const raw of rows) {
+        const result = { row: raw.row, status: "invalid" };
+        results.push(result);
+        try {
+            const deal = await toDeal(raw, { parseAmount, now });
+            const funded = fund && deal.amount !== undefined;
+            Object.assign(result, { depositor: deal.depositor, payee: deal.payee, amount: funded ? deal.amount : undefined });
+            if (funded && deal.depositor !== sender) {
+                throw new Error(`Only the depositor ${deal.depositor} can fund this escrow`);
+            }
+            valid.push({ result, deal, funded });
+        } catch (error) {
+            result.error = error.message;
+        }
+    }
+
+    const pending = [];
+    const seen = new Set();
+    const predicted = await factory.predictAddresses(valid.map((v) => v.deal));
+    for (const [i, entry] of valid.entries()) {
+        const { result } = entry;
+        result.escrow = predicted[i];
+        if (seen.has(result.escrow)) {
+            result.error = "Duplicate of an earlier row (same terms and salt)";
+            continue;
+        }
+        seen.add(result.escrow);
+
+        if ((await provider.getCode(result.escrow)) !== "0x") {
+            result.status = "exists";
+        } else if (dryRun) {
+            result.status = "predicted";
+        } else {
+            pending.push(entry);
+        }
+    }
+
+    // Funded and unfunded deals go through different factory calls
+    for (const funded of [true, false]) {
+        const group = pending.filter((p) => p.funded === funded);
+        for (let i = 0; i < group.length; i += batchSize) {
+            await sendChunk(factory, group.slice(i, i + batchSize), funded);
+        }
+    }
+    return results;
+}
+
+// Send one chunk; if the batch reverts, send its rows one by one so each failure is reported on its own row
+async function sendChunk(factory, chunk, funded) {
+    const create = (deals) => (funded ? factory.createAndFundBatch(deals) : factory.createEscrowBatch(deals));
+    const record = ({ result }, escrow) => {
+        Object.assign(result, { status: funded ? "funded" : "created", escrow: escrow.address, txHash: escrow.receipt.hash });
+    };
+
+    try {
+        const escrows = await create(chunk.map((p) => p.deal));
+        chunk.forEach((p, i) => record(p, escrows[i]));
+        return;
+    } catch (error) {
+        if (chunk.length === 1) {
+            Object.assign(chunk[0].result, { status: "failed", error: error.message });
+            return;
+        }
+    }
+    for (const p of chunk) {
+        await sendChunk(factory, [p], funded);
+    }
+}
+
+module.exports = { parseDeals, toDeal, runBatch };
@@ -0,0 +1,185 @@
+// sdk/errors.js
+// Typed errors for every revert the escrow contracts can produce.
+const { decodeRevert, formatRevert } = require("./revertDecoder");
+
+class EscrowError extends Error {
+    constructor(message, { reason, args, data, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        // The contract error's name (e.g. "DeadlinePassed") and its decoded arguments
+        this.reason = reason ?? message;
+        this.args = args;
+        // Keep the raw revert data so callers (and hardhat-chai-matchers) can still decode it
+        this.data = data;
+    }
+}
+
+class InvalidDepositorError extends EscrowError {}
+class InvalidPayeeError extends EscrowError {}
+class InvalidDeadlineError extends EscrowError {}
+class DeploymentFailedError extends EscrowError {}
+class FactoryPausedError extends EscrowError {}
+class UnauthorizedError extends EscrowError {}
+class NoFeesError extends EscrowError {}
+class TransferFailedError extends EscrowError {}
+class AlreadyFundedError extends EscrowError {}
+class InvalidAmountError extends EscrowError {}
+class NotFundedError extends EscrowError {}
+class AlreadyReleasedError extends EscrowError {}
+class DeadlinePassedError extends EscrowError {}
+class DeadlineNotPassedError extends EscrowError {}
+class AmountExceedsDepositError extends EscrowError {}
+class InvalidSignatureError extends EscrowError {}
+class SignatureExpiredError extends EscrowError {}
+class InvalidMilestoneError extends EscrowError {}
+class AlreadyReclaimedError extends EscrowError {}
+class WrongAssetError extends EscrowError {}
+class InsufficientAllowanceError extends EscrowError {}
+class InsufficientBalanceError extends EscrowError {}
+class InvalidArbiterError extends EscrowError {}
+class DisputeError extends EscrowError {}
+class InvalidSharesError extends EscrowError {}
+class InvalidFeeScheduleError extends EscrowError {}
+class InvalidFeeRecipientError extends EscrowError {}
+class AlreadyInitializedError extends EscrowError {}
+class InvalidBatchError extends EscrowError {}
+class EscrowCancelledError extends EscrowError {}
+class UnknownEscrowError extends EscrowError {}
+class EscrowClosedError extends EscrowError {}
+class EscrowNotSettledError extends EscrowError {}
+class EscrowNotClosedError extends EscrowError {}
+class NothingToRecoverError extends EscrowError {}
+class EscrowFrozenError extends EscrowError {}
+class EscrowAlreadyFrozenError extends EscrowError {}
+class EscrowNotFrozenError extends EscrowError {}
+
+// Contract (and OpenZeppelin) custom errors mapped to their typed error
+const REVERT_REASONS = {
+    // EscrowFactory
+    InvalidDepositor: InvalidDepositorError,
+    InvalidPayee: InvalidPayeeError,
+    InvalidDeadline: InvalidDeadlineError,
+    InvalidMilestone: InvalidMilestoneError,
+    InvalidArbiter: InvalidArbiterError,
+    InvalidArbiterFee: InvalidArbiterError,
+    InvalidFeeSchedule: InvalidFeeScheduleError,
+    FeeTooHigh: InvalidFeeScheduleError,
+    InvalidFeeRecipient: InvalidFeeRecipientError,
+    InvalidBatch: InvalidBatchError,
+    IncorrectFundingAmount: InvalidAmountError,
+    FailedDeployment: DeploymentFailedError,
+    NoFeesToWithdraw: NoFeesError,
+    EnforcedPause: FactoryPausedError,
+    ExpectedPause: FactoryPausedError,
+    OwnableUnauthorizedAccount: UnauthorizedError,
+    NotAnEscrow: UnknownEscrowError,
+    AlreadyFrozen: EscrowAlreadyFrozenError,
+    NotFrozen: EscrowNotFrozenError,
+    AdminIsOwner: UnauthorizedError,
+    AccessControlUnauthorizedAccount: UnauthorizedError,
+    AccessControlBadConfirmation: UnauthorizedError,
+    // SimpleEscrow
+    InvalidInitialization: AlreadyInitializedError,
+    NotEthEscrow: WrongAssetError,
+    NotTokenEscrow: WrongAssetError,
+    OnlyDepositor: UnauthorizedError,
+    OnlyFactory: UnauthorizedError,
+    OnlyArbiter: UnauthorizedError,
+    OnlyParties: UnauthorizedError,
+    OnlyRelayer: UnauthorizedError,
+    AlreadyFunded: AlreadyFundedError,
+    NotFunded: NotFundedError,
+    ZeroAmount: InvalidAmountError,
+    RelayerFeeTooHigh: InvalidAmountError,
+    DepositMismatch: InvalidMilestoneError,
+    MilestoneMismatch: InvalidMilestoneError,
+    AmountExceedsDeposit: AmountExceedsDepositError,
+    AlreadyReleased: AlreadyReleasedError,
+    AlreadyReclaimed: AlreadyReclaimedError,
+    EscrowCancelled: EscrowCancelledError,
+    DeadlinePassed: DeadlinePassedError,
+    DeadlineNotPassed: DeadlineNotPassedError,
+    DeadlineNotLater: InvalidDeadlineError,
+    SignatureExpired: SignatureExpiredError,
+    InvalidSignature: InvalidSignatureError,
+    InvalidSignatureLength: InvalidSignatureError,
+    InvalidSignatureS: InvalidSignatureError,
+    InvalidSignatureV: InvalidSignatureError,
+    NoArbiter: DisputeError,
+    AlreadyDisputed: DisputeError,
+    NotDisputed: DisputeError,
+    EscrowInDispute: DisputeError,
+    SharesMismatch: InvalidSharesError,
+    EscrowClosed: EscrowClosedError,
+    EscrowNotSettled: EscrowNotSettledError,
+    NotClosed: EscrowNotClosedError,
+    NothingToRecover: NothingToRecoverError,
+    EscrowFrozen: EscrowFrozenError,
+    TransferFailed: TransferFailedError,
+    // ERC-20 / SafeERC20
+    ERC20InsufficientAllowance: InsufficientAllowanceError,
+    ERC20InsufficientBalance: InsufficientBalanceError,
+    SafeERC20FailedOperation: TransferFailedError,
+};
+
+// Convert an ethers error into the matching EscrowError, or return it unchanged. The revert data is
+// decoded against both contracts, so errors bubbling up from an escrow through the factory are typed too.
+function toEscrowError(error) {
+    if (error instanceof EscrowError) {
+        return error;
+    }
+    const decoded = decodeRevert(error);
+    if (!decoded) {
+        return error;
+    }
+    const reason = decoded.name === "Error" ? decoded.args.message : decoded.name;
+    const ErrorClass = REVERT_REASONS[reason];
+    if (!ErrorClass) {
+        return error;
+    }
+    return new ErrorClass(formatRevert(decoded), { reason, args: decoded.args, data: decoded.data, cause: error });
+}
+
+module.exports = {
+    EscrowError,
+    InvalidDepositorError,
+    InvalidPayeeError,
+    InvalidDeadlineError,
+    DeploymentFailedError,
+    FactoryPausedError,
+    UnauthorizedError,
+    NoFeesError,
+    TransferFailedError,
+    AlreadyFundedError,
+    InvalidAmountError,
+    NotFundedError,
+    AlreadyReleasedError,
+    DeadlinePassedError,
+    DeadlineNotPassedError,
+    AmountExceedsDepositError,
+    InvalidSignatureError,
+    SignatureExpiredError,
+    InvalidMilestoneError,
+    AlreadyReclaimedError,
+    WrongAssetError,
+    InsufficientAllowanceError,
+    InsufficientBalanceError,
+    InvalidArbiterError,
+    DisputeError,
+    InvalidSharesError,
+    InvalidFeeScheduleError,
+    InvalidFeeRecipientError,
+    AlreadyInitializedError,
+    InvalidBatchError,
+    EscrowCancelledError,
+    UnknownEscrowError,
+    EscrowClosedError,
+    EscrowNotSettledError,
+    EscrowNotClosedError,
+    NothingToRecoverError,
+    EscrowFrozenError,
+    EscrowAlreadyFrozenError,
+    EscrowNotFrozenError,
+    REVERT_REASONS,
+    toEscrowError,
+};
@@ -0,0 +1,24 @@
+// sdk/fees.js - protocol fee schedule helpers, mirroring SimpleEscrow's fee math
+const BPS_DENOMINATOR = 10000n;
+
+// Matches EscrowFactory's schedule right after deployment: a flat EscrowFactory.DEFAULT_FEE_BPS
+const DEFAULT_FEE_TIERS = [{ minDeposit: 0n, feeBps: 100n }];
+
+// toFeeTiers() - plain { minDeposit, feeBps } objects from a SimpleEscrow.FeeTier[] result
+function toFeeTiers(tiers) {
+    return tiers.map(({ minDeposit, feeBps }) => ({ minDeposit: BigInt(minDeposit), feeBps: BigInt(feeBps) }));
+}
+
+// feeBpsFor() - rate of the highest tier the deposit reaches, as SimpleEscrow.feeBpsFor()
+function feeBpsFor(tiers, depositAmount) {
+    const tier = toFeeTiers(tiers).filter((t) => BigInt(depositAmount) >= t.minDeposit).pop();
+    return tier ? tier.feeBps : 0n;
+}
+
+// calculateFee() - fee taken from a payout, rounded up like SimpleEscrow._fee()
+function calculateFee(amount, feeBps) {
+    const product = BigInt(amount) * BigInt(feeBps);
+    return (product + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR;
+}
+
+module.exports = { BPS_DENOMINATOR, DEFAULT_FEE_TIERS, toFeeTiers, feeBpsFor, calculateFee };
@@ -0,0 +1,89 @@
+// sdk/index.js - ethers-based client for EscrowFactory and SimpleEscrow
+const { EscrowFactoryClient, DEFAULT_PAGE_SIZE, predictAddress, getCloneSalt, getCloneInitCode, toEscrowParams, toSalt, toReference } = require("./EscrowFactoryClient");
+const { EscrowHandle, DISPUTE_STATES } = require("./EscrowHandle");
+const { RelayerClient, RelayerRequestError } = require("./RelayerClient");
+const {
+    RELEASE_TYPES,
+    RELAYED_RELEASE_TYPES,
+    RECLAIM_TYPES,
+    EXTEND_DEADLINE_TYPES,
+    CANCEL_TYPES,
+    getReleaseDomain,
+    buildReleaseTypedData,
+    hashRelease,
+    signRelease,
+    buildRelayedReleaseTypedData,
+    hashRelayedRelease,
+    signRelayedRelease,
+    buildReclaimTypedData,
+    hashReclaim,
+    signReclaim,
+    buildExtendDeadlineTypedData,
+    hashExtendDeadline,
+    signExtendDeadline,
+    buildCancelTypedData,
+    hashCancel,
+    signCancel,
+} = require("./signatures");
+const { ERC20_ABI, PERMIT_TYPES, getToken, getPermitDomain, signPermit } = require("./tokens");
+const { parseDeals, toDeal, runBatch } = require("./batch");
+const { BPS_DENOMINATOR, DEFAULT_FEE_TIERS, toFeeTiers, feeBpsFor, calculateFee } = require("./fees");
+const { getErrorInterface, getRevertData, decodeRevert, formatRevert } = require("./revertDecoder");
+const { jsonReplacer, toJson } = require("./json");
+const errors = require("./errors");
+
+module.exports = {
+    EscrowFactoryClient,
+    DEFAULT_PAGE_SIZE,
+    EscrowHandle,
+    DISPUTE_STATES,
+    RelayerClient,
+    RelayerRequestError,
+    predictAddress,
+    getCloneSalt,
+    getCloneInitCode,
+    toEscrowParams,
+    toSalt,
+    toReference,
+    parseDeals,
+    toDeal,
+    runBatch,
+    RELEASE_TYPES,
+    RELAYED_RELEASE_TYPES,
+    RECLAIM_TYPES,
+    EXTEND_DEADLINE_TYPES,
+    CANCEL_TYPES,
+    getReleaseDomain,
+    buildReleaseTypedData,
+    hashRelease,
+    signRelease,
+    buildRelayedReleaseTypedData,
+    hashRelayedRelease,
+    signRelayedRelease,
+    buildReclaimTypedData,
+    hashReclaim,
+    signReclaim,
+    buildExtendDeadlineTypedData,
+    hashExtendDeadline,
+    signExtendDeadline,
+    buildCancelTypedData,
+    hashCancel,
+    signCancel,
+    BPS_DENOMINATOR,
+    DEFAULT_FEE_TIERS,
+    toFeeTiers,
+    feeBpsFor,
+    calculateFee,
+    ERC20_ABI,
+    PERMIT_TYPES,
+    getToken,
+    getPermitDomain,
+    signPermit,
+    getErrorInterface,
+    getRevertData,
+    decodeRevert,
+    formatRevert,
+    jsonReplacer,
+    toJson,
+    ...errors,
+};
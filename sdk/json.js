@@ -0,0 +1,13 @@
+// sdk/json.js - JSON for values holding BigInts, which JSON.stringify() refuses on its own
+
+// jsonReplacer() - JSON.stringify() replacer that writes BigInts as decimal strings
+function jsonReplacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+// toJson() - JSON.stringify() with BigInts as decimal strings; read them back with BigInt()
+function toJson(value, space) {
+    return JSON.stringify(value, jsonReplacer, space);
+}
+
+module.exports = { jsonReplacer, toJson };
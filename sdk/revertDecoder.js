@@ -0,0 +1,64 @@
+// sdk/revertDecoder.js - turns revert data from EscrowFactory, SimpleEscrow or a token they call into
+// { name, signature, selector, args }, e.g. { name: "DeadlinePassed", args: { deadline, timestamp } }
+const { ethers } = require("ethers");
+const { loadArtifact } = require("./artifacts");
+const { ERC20_ABI } = require("./tokens");
+
+let errorInterface;
+
+// getErrorInterface() - every error either contract can revert with, including OpenZeppelin's and the
+// ERC-20 errors that bubble up from token transfers. Errors both contracts declare are listed once.
+function getErrorInterface() {
+    if (!errorInterface) {
+        const fragments = new Map();
+        const abis = [loadArtifact("EscrowFactory").abi, loadArtifact("SimpleEscrow").abi, ERC20_ABI.filter((f) => f.startsWith("error"))];
+        for (const fragment of abis.flat().map((f) => ethers.Fragment.from(f)).filter((f) => f.type === "error")) {
+            fragments.set(fragment.format(), fragment);
+        }
+        errorInterface = new ethers.Interface([...fragments.values()]);
+    }
+    return errorInterface;
+}
+
+// getRevertData() - the raw revert bytes carried by an ethers (or provider) error, if any
+function getRevertData(error) {
+    const data = error?.data ?? error?.error?.data ?? error?.info?.error?.data;
+    const revertData = typeof data === "string" ? data : data?.data;
+    return ethers.isHexString(revertData) ? revertData : undefined;
+}
+
+// decodeRevert() - decode revert data, or an error carrying it; null when there is none or the selector is unknown.
+// Revert strings come back as { name: "Error", args: { message } } and panics as { name: "Panic", args: { code } }.
+function decodeRevert(dataOrError) {
+    const data = typeof dataOrError === "string" ? dataOrError : getRevertData(dataOrError);
+    if (!data || ethers.dataLength(data) < 4) {
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = getErrorInterface().parseError(data);
+    } catch {
+        return null;
+    }
+    if (!parsed) {
+        return null;
+    }
+    const names = { Error: ["message"], Panic: ["code"] }[parsed.name] || parsed.fragment.inputs.map((input, i) => input.name || String(i));
+    return {
+        name: parsed.name,
+        signature: parsed.signature,
+        selector: parsed.selector,
+        args: Object.fromEntries(names.map((name, i) => [name, parsed.args[i]])),
+        data,
+    };
+}
+
+// formatRevert() - one line for logs and error messages: the revert string itself, or the error with its arguments
+function formatRevert({ name, args }) {
+    if (name === "Error") {
+        return args.message;
+    }
+    return `${name}(${Object.entries(args).map(([key, value]) => `${key}: ${value}`).join(", ")})`;
+}
+
+module.exports = { getErrorInterface, getRevertData, decodeRevert, formatRevert };
@@ -0,0 +1,196 @@
+// sdk/signatures.js
+const { ethers } = require("ethers");
+
+// Must match SimpleEscrow's EIP712("SimpleEscrow", "1") and RELEASE_TYPEHASH
+const RELEASE_TYPES = {
+    Release: [
+        { name: "escrow", type: "address" },
+        { name: "payee", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "validUntil", type: "uint256" },
+    ],
+};
+
+// RELAYED_RELEASE_TYPEHASH - a release `relayer` (anyone, if the zero address) submits for `relayerFee` of the payout
+const RELAYED_RELEASE_TYPES = {
+    RelayedRelease: [
+        { name: "escrow", type: "address" },
+        { name: "payee", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "relayer", type: "address" },
+        { name: "relayerFee", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "validUntil", type: "uint256" },
+    ],
+};
+
+// RECLAIM_TYPEHASH - a reclaim `relayer` (anyone, if the zero address) may submit after the deadline,
+// keeping `relayerFee` of the refund
+const RECLAIM_TYPES = {
+    Reclaim: [
+        { name: "escrow", type: "address" },
+        { name: "depositor", type: "address" },
+        { name: "relayer", type: "address" },
+        { name: "relayerFee", type: "uint256" },
+        { name: "validUntil", type: "uint256" },
+    ],
+};
+
+// EXTEND_DEADLINE_TYPEHASH - payee agrees to move `deadline` to `newDeadline`
+const EXTEND_DEADLINE_TYPES = {
+    ExtendDeadline: [
+        { name: "escrow", type: "address" },
+        { name: "payee", type: "address" },
+        { name: "deadline", type: "uint256" },
+        { name: "newDeadline", type: "uint256" },
+    ],
+};
+
+// CANCEL_TYPEHASH - payee agrees to refund the depositor at the current release nonce, until validUntil
+const CANCEL_TYPES = {
+    Cancel: [
+        { name: "escrow", type: "address" },
+        { name: "payee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "validUntil", type: "uint256" },
+    ],
+};
+
+function getReleaseDomain(chainId, escrow) {
+    return { name: "SimpleEscrow", version: "1", chainId, verifyingContract: escrow };
+}
+
+// buildReleaseTypedData() - { domain, types, value } ready for signer.signTypedData()
+function buildReleaseTypedData({ chainId, escrow, payee, amount, nonce, validUntil }) {
+    return {
+        domain: getReleaseDomain(chainId, escrow),
+        types: RELEASE_TYPES,
+        value: { escrow, payee, amount, nonce, validUntil },
+    };
+}
+
+// Same digest as SimpleEscrow.hashRelease()
+function hashRelease(release) {
+    const { domain, types, value } = buildReleaseTypedData(release);
+    return ethers.TypedDataEncoder.hash(domain, types, value);
+}
+
+// signRelease() - depositor signs the typed release; returns the authorization release() expects
+async function signRelease(signer, release) {
+    const { domain, types, value } = buildReleaseTypedData(release);
+    const signature = await signer.signTypedData(domain, types, value);
+    return { amount: release.amount, nonce: release.nonce, validUntil: release.validUntil, signature };
+}
+
+// buildRelayedReleaseTypedData() - as buildReleaseTypedData(), for relayRelease()
+function buildRelayedReleaseTypedData({ chainId, escrow, payee, amount, relayer = ethers.ZeroAddress, relayerFee, nonce, validUntil }) {
+    return {
+        domain: getReleaseDomain(chainId, escrow),
+        types: RELAYED_RELEASE_TYPES,
+        value: { escrow, payee, amount, relayer, relayerFee, nonce, validUntil },
+    };
+}
+
+// Same digest as SimpleEscrow.hashRelayedRelease()
+function hashRelayedRelease(release) {
+    const { domain, types, value } = buildRelayedReleaseTypedData(release);
+    return ethers.TypedDataEncoder.hash(domain, types, value);
+}
+
+// signRelayedRelease() - depositor signs a release for a relayer; returns the authorization relayRelease() expects
+async function signRelayedRelease(signer, release) {
+    const { domain, types, value } = buildRelayedReleaseTypedData(release);
+    const signature = await signer.signTypedData(domain, types, value);
+    return { amount: release.amount, relayer: value.relayer, relayerFee: release.relayerFee, nonce: release.nonce, validUntil: release.validUntil, signature };
+}
+
+// buildReclaimTypedData() - { domain, types, value } for relayReclaim()
+function buildReclaimTypedData({ chainId, escrow, depositor, relayer = ethers.ZeroAddress, relayerFee, validUntil }) {
+    return {
+        domain: getReleaseDomain(chainId, escrow),
+        types: RECLAIM_TYPES,
+        value: { escrow, depositor, relayer, relayerFee, validUntil },
+    };
+}
+
+// Same digest as SimpleEscrow.hashReclaim()
+function hashReclaim(reclaim) {
+    const { domain, types, value } = buildReclaimTypedData(reclaim);
+    return ethers.TypedDataEncoder.hash(domain, types, value);
+}
+
+// signReclaim() - depositor authorizes a relayed reclaim; returns the authorization relayReclaim() expects
+async function signReclaim(signer, reclaim) {
+    const { domain, types, value } = buildReclaimTypedData(reclaim);
+    const signature = await signer.signTypedData(domain, types, value);
+    return { relayer: value.relayer, relayerFee: reclaim.relayerFee, validUntil: reclaim.validUntil, signature };
+}
+
+// buildExtendDeadlineTypedData() - { domain, types, value } for extendDeadline()
+function buildExtendDeadlineTypedData({ chainId, escrow, payee, deadline, newDeadline }) {
+    return {
+        domain: getReleaseDomain(chainId, escrow),
+        types: EXTEND_DEADLINE_TYPES,
+        value: { escrow, payee, deadline, newDeadline },
+    };
+}
+
+// Same digest as SimpleEscrow.hashExtendDeadline()
+function hashExtendDeadline(extension) {
+    const { domain, types, value } = buildExtendDeadlineTypedData(extension);
+    return ethers.TypedDataEncoder.hash(domain, types, value);
+}
+
+// signExtendDeadline() - payee agrees to the new deadline; returns the consent extendDeadline() expects
+async function signExtendDeadline(signer, extension) {
+    const { domain, types, value } = buildExtendDeadlineTypedData(extension);
+    const signature = await signer.signTypedData(domain, types, value);
+    return { deadline: extension.deadline, newDeadline: extension.newDeadline, signature };
+}
+
+// buildCancelTypedData() - { domain, types, value } for cancel()
+function buildCancelTypedData({ chainId, escrow, payee, nonce, validUntil }) {
+    return {
+        domain: getReleaseDomain(chainId, escrow),
+        types: CANCEL_TYPES,
+        value: { escrow, payee, nonce, validUntil },
+    };
+}
+
+// Same digest as SimpleEscrow.hashCancel()
+function hashCancel(cancellation) {
+    const { domain, types, value } = buildCancelTypedData(cancellation);
+    return ethers.TypedDataEncoder.hash(domain, types, value);
+}
+
+// signCancel() - payee agrees to refund the depositor; returns the consent cancel() expects
+async function signCancel(signer, cancellation) {
+    const { domain, types, value } = buildCancelTypedData(cancellation);
+    const signature = await signer.signTypedData(domain, types, value);
+    return { nonce: cancellation.nonce, validUntil: cancellation.validUntil, signature };
+}
+
+module.exports = {
+    RELEASE_TYPES,
+    RELAYED_RELEASE_TYPES,
+    RECLAIM_TYPES,
+    EXTEND_DEADLINE_TYPES,
+    CANCEL_TYPES,
+    getReleaseDomain,
+    buildReleaseTypedData,
+    hashRelease,
+    signRelease,
+    buildRelayedReleaseTypedData,
+    hashRelayedRelease,
+    signRelayedRelease,
+    buildReclaimTypedData,
+    hashReclaim,
+    signReclaim,
+    buildExtendDeadlineTypedData,
+    hashExtendDeadline,
+    signExtendDeadline,
+    buildCancelTypedData,
+    hashCancel,
+    signCancel,
+};
@@ -0,0 +1,58 @@
+// sdk/tokens.js - minimal ERC-20 / EIP-2612 support for token escrows
+const { ethers } = require("ethers");
+
+const ERC20_ABI = [
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 value) returns (bool)",
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error SafeERC20FailedOperation(address token)",
+];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+function getToken(address, runner) {
+    return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+// getPermitDomain() - the token's EIP-712 domain, read from its EIP-5267 eip712Domain() where it has one.
+// Otherwise the token name and `version`, which defaults to OpenZeppelin ERC20Permit's "1" (USDC uses "2").
+async function getPermitDomain(tokenAddress, runner, { version = "1" } = {}) {
+    const token = getToken(tokenAddress, runner);
+    const reported = await token.eip712Domain().catch(() => null);
+    if (reported) {
+        return { name: reported.name, version: reported.version, chainId: reported.chainId, verifyingContract: reported.verifyingContract };
+    }
+    const [name, { chainId }] = await Promise.all([token.name(), (runner.provider ?? runner).getNetwork()]);
+    return { name, version, chainId, verifyingContract: ethers.getAddress(tokenAddress) };
+}
+
+// signPermit() - EIP-2612 permit letting `spender` pull `value`; returns { deadline, v, r, s }.
+// `version` is only used for tokens that don't report their domain, see getPermitDomain()
+async function signPermit(signer, tokenAddress, spender, value, deadline, { version } = {}) {
+    const owner = await signer.getAddress();
+    const [domain, nonce] = await Promise.all([
+        getPermitDomain(tokenAddress, signer, { version }),
+        getToken(tokenAddress, signer).nonces(owner),
+    ]);
+    const signature = ethers.Signature.from(
+        await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline })
+    );
+    return { deadline, v: signature.v, r: signature.r, s: signature.s };
+}
+
+module.exports = { ERC20_ABI, PERMIT_TYPES, getToken, getPermitDomain, signPermit };
@@ -0,0 +1,301 @@
+// tasks/escrow.js - escrow lifecycle from the command line, output is JSON
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { EscrowFactoryClient, EscrowHandle, getToken, parseDeals, runBatch, toReference } = require("../sdk");
+const { printJson, getSigner, getFactory, parseAmount, txResult } = require("./utils");
+
+// Resolve --deadline (unix seconds) or --duration (seconds from the latest block)
+async function resolveDeadline(hre, { deadline, duration }) {
+  if (deadline !== undefined) {
+    return BigInt(deadline);
+  }
+  const block = await hre.ethers.provider.getBlock("latest");
+  return BigInt(block.timestamp) + BigInt(duration);
+}
+
+// Amount for an existing escrow, in its own asset
+async function parseEscrowAmount(hre, escrow, amount) {
+  return parseAmount(hre, amount, await escrow.contract.token());
+}
+
+// Comma-separated amounts, e.g. --milestones 0.25,0.25,0.5
+async function parseMilestones(hre, milestones, token) {
+  if (!milestones) {
+    return [];
+  }
+  return Promise.all(milestones.split(",").map((amount) => parseAmount(hre, amount.trim(), token)));
+}
+
+task("escrow:create", "Deploy a new escrow through the factory")
+  .addParam("depositor", "Depositor address")
+  .addParam("payee", "Payee address")
+  .addOptionalParam("deadline", "Deadline as a unix timestamp")
+  .addOptionalParam("duration", "Seconds from now until the deadline (used when --deadline is not set)", 86400, types.int)
+  .addParam("salt", "CREATE2 salt (bytes32, or any string which is hashed)")
+  .addOptionalParam("milestones", "Comma-separated milestone amounts in ether (or whole tokens)")
+  .addOptionalParam("token", "ERC-20 token to escrow instead of ETH")
+  .addOptionalParam("arbiter", "Arbiter who can resolve disputes")
+  .addOptionalParam("arbiterFeeBps", "Arbiter fee in basis points of the disputed remainder", 0, types.int)
+  .addOptionalParam("amount", "Fund the escrow with this deposit in the same transaction (sender must be the depositor)")
+  .addOptionalParam("reference", "Off-chain reference such as an invoice ID, hashed into the factory's registry (bytes32 kept as is)")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Sender account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const deadline = await resolveDeadline(hre, args);
+    const token = args.token || hre.ethers.ZeroAddress;
+    const arbiter = args.arbiter || hre.ethers.ZeroAddress;
+    const milestones = await parseMilestones(hre, args.milestones, token);
+    const amount = args.amount !== undefined ? await parseAmount(hre, args.amount, token) : undefined;
+    const deal = {
+      depositor: args.depositor,
+      payee: args.payee,
+      deadline,
+      milestones,
+      token,
+      arbiter,
+      arbiterFeeBps: args.arbiterFeeBps,
+      salt: args.salt,
+      reference: args.reference,
+    };
+    const escrow = amount !== undefined ? await factory.createAndFund({ ...deal, amount }) : await factory.createEscrow(deal);
+    return printJson(txResult(escrow.receipt, {
+      escrow: escrow.address,
+      depositor: args.depositor,
+      payee: args.payee,
+      deadline,
+      milestones,
+      token,
+      arbiter,
+      arbiterFeeBps: args.arbiterFeeBps,
+      referenceHash: toReference(args.reference),
+      amount,
+    }));
+  });
+
+task("escrow:batch", "Create (and fund) the escrows listed in a CSV or JSON file")
+  .addParam("file", "Deals file; columns depositor,payee,salt,deadline|duration,amount,token,milestones,arbiter,arbiterFeeBps,reference")
+  .addOptionalParam("format", "csv or json (detected from the contents by default)")
+  .addFlag("dryRun", "Only validate the deals and print their predicted addresses")
+  .addFlag("createOnly", "Create the escrows without funding them, even where an amount is given")
+  .addOptionalParam("batchSize", "Escrows per transaction", 20, types.int)
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Sender account (the depositor of every funded deal)")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const rows = parseDeals(fs.readFileSync(args.file, "utf8"), { format: args.format });
+    const block = await hre.ethers.provider.getBlock("latest");
+    const results = await runBatch(factory, rows, {
+      dryRun: args.dryRun,
+      fund: !args.createOnly,
+      batchSize: args.batchSize,
+      parseAmount: (amount, token) => parseAmount(hre, amount, token),
+      now: block.timestamp,
+    });
+
+    const counts = {};
+    for (const { status } of results) {
+      counts[status] = (counts[status] || 0) + 1;
+    }
+    return printJson({ factory: factory.address, dryRun: args.dryRun, counts, results });
+  });
+
+task("escrow:fund", "Fund an escrow as its depositor")
+  .addParam("escrow", "Escrow address")
+  .addParam("amount", "Deposit in ether (or whole tokens)")
+  .addFlag("permit", "Fund a token escrow with an EIP-2612 permit instead of approve")
+  .addOptionalParam("permitVersion", "EIP-712 domain version of a token that doesn't report it (default 1)")
+  .addOptionalParam("from", "Depositor account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const amount = await parseEscrowAmount(hre, escrow, args.amount);
+    const receipt = await escrow.fund(amount, { permit: args.permit, permitVersion: args.permitVersion });
+    return printJson(txResult(receipt, { escrow: args.escrow, amount }));
+  });
+
+task("escrow:sign-release", "Sign an EIP-712 release authorization as the depositor")
+  .addParam("escrow", "Escrow address")
+  .addParam("amount", "Amount to release in ether (or whole tokens)")
+  .addOptionalParam("validUntil", "Unix timestamp after which the signature expires (defaults to the escrow deadline)")
+  .addOptionalParam("from", "Depositor account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const amount = await parseEscrowAmount(hre, escrow, args.amount);
+    const validUntil = args.validUntil !== undefined ? BigInt(args.validUntil) : undefined;
+    const authorization = await escrow.signRelease(amount, { validUntil });
+    return printJson({ escrow: args.escrow, signer: escrow.runner.address, ...authorization });
+  });
+
+task("escrow:release", "Release funds to the payee with the depositor's signature")
+  .addParam("escrow", "Escrow address")
+  .addParam("amount", "Amount to release in ether (or whole tokens)")
+  .addParam("validUntil", "validUntil from escrow:sign-release")
+  .addParam("signature", "Depositor signature from escrow:sign-release")
+  .addOptionalParam("from", "Sender account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const amount = await parseEscrowAmount(hre, escrow, args.amount);
+    const receipt = await escrow.release({ amount, validUntil: BigInt(args.validUntil), signature: args.signature });
+    return printJson(txResult(receipt, { escrow: args.escrow, amount }));
+  });
+
+task("escrow:reclaim", "Return the deposit to the depositor after the deadline")
+  .addParam("escrow", "Escrow address")
+  .addOptionalParam("from", "Depositor account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const { remaining } = await escrow.status();
+    const receipt = await escrow.reclaim();
+    return printJson(txResult(receipt, { escrow: args.escrow, amount: remaining }));
+  });
+
+task("escrow:sign-extension", "Agree to a later deadline as the payee")
+  .addParam("escrow", "Escrow address")
+  .addParam("deadline", "New deadline as a unix timestamp")
+  .addOptionalParam("from", "Payee account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const consent = await escrow.signExtendDeadline(BigInt(args.deadline));
+    return printJson({ escrow: args.escrow, signer: escrow.runner.address, ...consent });
+  });
+
+task("escrow:extend", "Move the deadline as the depositor with the payee's signature")
+  .addParam("escrow", "Escrow address")
+  .addParam("deadline", "New deadline as a unix timestamp")
+  .addParam("signature", "Payee signature from escrow:sign-extension")
+  .addOptionalParam("from", "Depositor account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const previousDeadline = await escrow.contract.deadline();
+    const receipt = await escrow.extendDeadline({ newDeadline: BigInt(args.deadline), signature: args.signature });
+    return printJson(txResult(receipt, { escrow: args.escrow, previousDeadline, deadline: BigInt(args.deadline) }));
+  });
+
+task("escrow:sign-cancel", "Agree to refund the depositor now as the payee")
+  .addParam("escrow", "Escrow address")
+  .addOptionalParam("validUntil", "Unix timestamp after which the signature expires (defaults to the escrow deadline)")
+  .addOptionalParam("from", "Payee account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const validUntil = args.validUntil !== undefined ? BigInt(args.validUntil) : undefined;
+    const consent = await escrow.signCancel({ validUntil });
+    return printJson({ escrow: args.escrow, signer: escrow.runner.address, ...consent });
+  });
+
+task("escrow:cancel", "Cancel the escrow as the depositor with the payee's signature, refunding the remaining deposit")
+  .addParam("escrow", "Escrow address")
+  .addParam("validUntil", "validUntil from escrow:sign-cancel")
+  .addParam("signature", "Payee signature from escrow:sign-cancel")
+  .addOptionalParam("from", "Depositor account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const { remaining } = await escrow.status();
+    const receipt = await escrow.cancel({ validUntil: BigInt(args.validUntil), signature: args.signature });
+    return printJson(txResult(receipt, { escrow: args.escrow, amount: remaining }));
+  });
+
+task("escrow:dispute", "Raise a dispute as the depositor or payee, blocking release and reclaim")
+  .addParam("escrow", "Escrow address")
+  .addOptionalParam("from", "Depositor or payee account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const receipt = await escrow.raiseDispute();
+    return printJson(txResult(receipt, { escrow: args.escrow, raisedBy: escrow.runner.address }));
+  });
+
+task("escrow:resolve", "Split a disputed escrow as its arbiter")
+  .addParam("escrow", "Escrow address")
+  .addParam("payeeShare", "Payee share in ether (or whole tokens)")
+  .addOptionalParam("depositorShare", "Depositor share (defaults to whatever is left after the payee share and arbiter fee)")
+  .addOptionalParam("from", "Arbiter account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const payeeShare = await parseEscrowAmount(hre, escrow, args.payeeShare);
+    const [remaining, arbiterFee] = await Promise.all([escrow.contract.remaining(), escrow.arbiterFee()]);
+    const depositorShare = args.depositorShare !== undefined
+      ? await parseEscrowAmount(hre, escrow, args.depositorShare)
+      : remaining - arbiterFee - payeeShare;
+    const receipt = await escrow.resolve(payeeShare, depositorShare);
+    return printJson(txResult(receipt, { escrow: args.escrow, payeeShare, depositorShare, arbiterFee }));
+  });
+
+task("escrow:close", "Close a settled escrow for good as the depositor or payee")
+  .addParam("escrow", "Escrow address")
+  .addOptionalParam("from", "Depositor or payee account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const receipt = await escrow.close();
+    return printJson(txResult(receipt, { escrow: args.escrow, closedBy: escrow.runner.address }));
+  });
+
+task("escrow:recover-stray", "Send ETH or tokens stuck in a closed escrow to its depositor")
+  .addParam("escrow", "Escrow address")
+  .addOptionalParam("token", "ERC-20 token to recover instead of ETH")
+  .addOptionalParam("from", "Depositor or payee account")
+  .setAction(async (args, hre) => {
+    const escrow = new EscrowHandle(args.escrow, await getSigner(hre, args.from));
+    const asset = args.token || hre.ethers.ZeroAddress;
+    const amount = asset === hre.ethers.ZeroAddress
+      ? await hre.ethers.provider.getBalance(args.escrow)
+      : await getToken(asset, hre.ethers.provider).balanceOf(args.escrow);
+    const receipt = await escrow.recoverStray(asset);
+    return printJson(txResult(receipt, { escrow: args.escrow, asset, to: await escrow.contract.depositor(), amount }));
+  });
+
+task("escrow:list", "List the factory's escrows, or those of one depositor or payee, in creation order")
+  .addOptionalParam("depositor", "Only escrows of this depositor")
+  .addOptionalParam("payee", "Only escrows paying this payee")
+  .addOptionalParam("offset", "Skip this many escrows", 0, types.int)
+  .addOptionalParam("limit", "Show at most this many escrows (all by default)", undefined, types.int)
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const filter = { depositor: args.depositor, payee: args.payee };
+    const escrows = args.limit !== undefined
+      ? await factory.getEscrowsPage({ ...filter, offset: args.offset, limit: args.limit })
+      : (await factory.listEscrows(filter)).slice(args.offset);
+    return printJson(await Promise.all(escrows.map((escrow) => escrow.status())));
+  });
+
+task("escrow:predict", "Compute an escrow address offline")
+  .addParam("depositor", "Depositor address")
+  .addParam("payee", "Payee address")
+  .addParam("deadline", "Deadline as a unix timestamp")
+  .addParam("salt", "CREATE2 salt (bytes32, or any string which is hashed)")
+  .addOptionalParam("milestones", "Comma-separated milestone amounts in ether (or whole tokens)")
+  .addOptionalParam("token", "ERC-20 token to escrow instead of ETH")
+  .addOptionalParam("arbiter", "Arbiter who can resolve disputes")
+  .addOptionalParam("arbiterFeeBps", "Arbiter fee in basis points of the disputed remainder", 0, types.int)
+  .addOptionalParam("reference", "Off-chain reference such as an invoice ID, hashed into the factory's registry (bytes32 kept as is)")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const token = args.token || hre.ethers.ZeroAddress;
+    const address = await factory.predictAddress({
+      depositor: args.depositor,
+      payee: args.payee,
+      deadline: BigInt(args.deadline),
+      milestones: await parseMilestones(hre, args.milestones, token),
+      token,
+      arbiter: args.arbiter || hre.ethers.ZeroAddress,
+      arbiterFeeBps: args.arbiterFeeBps,
+      salt: args.salt,
+      reference: args.reference,
+    });
+    return printJson({ factory: factory.address, escrow: address });
+  });
+
+task("escrow:status", "Show the on-chain state of an escrow")
+  .addParam("escrow", "Escrow address")
+  .setAction(async (args, hre) => {
+    const status = await new EscrowHandle(args.escrow, hre.ethers.provider).status();
+    const balance = status.token === hre.ethers.ZeroAddress
+      ? await hre.ethers.provider.getBalance(args.escrow)
+      : await getToken(status.token, hre.ethers.provider).balanceOf(args.escrow);
+    // A contract can claim any factory; only the factory's own registry says it created this escrow
+    const factory = new EscrowFactoryClient(status.factory, hre.ethers.provider);
+    const registered = await factory.isEscrow(args.escrow);
+    const record = registered ? await factory.getEscrowRecord(args.escrow) : null;
+    const freeze = registered ? await factory.getFreezeStatus(args.escrow) : { frozenEscrow: false, allFrozen: false };
+    return printJson({ ...status, balance, registered, referenceHash: record?.referenceHash, createdAt: record?.createdAt, ...freeze });
+  });
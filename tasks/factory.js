@@ -0,0 +1,124 @@
+// tasks/factory.js - owner and guardian operations on EscrowFactory
+const { task } = require("hardhat/config");
+const { getToken } = require("../sdk");
+const { printJson, getFactory, parseAmount, txResult } = require("./utils");
+
+// Fee tiers as minDeposit:bps pairs, e.g. --tiers 0:100,10:50 (minDeposit in ether or whole tokens)
+async function parseFeeTiers(hre, tiers, token) {
+  return Promise.all(tiers.split(",").map(async (tier) => {
+    const [minDeposit, feeBps] = tier.trim().split(":");
+    if (feeBps === undefined) {
+      throw new Error(`Invalid fee tier "${tier}", expected minDeposit:bps`);
+    }
+    return { minDeposit: await parseAmount(hre, minDeposit, token), feeBps: BigInt(feeBps) };
+  }));
+}
+
+task("factory:pause", "Pause new escrow deployments")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Owner account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const receipt = await factory.pause();
+    return printJson(txResult(receipt, { factory: factory.address, paused: true }));
+  });
+
+task("factory:unpause", "Resume escrow deployments")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Owner account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const receipt = await factory.unpause();
+    return printJson(txResult(receipt, { factory: factory.address, paused: false }));
+  });
+
+task("factory:add-guardian", "Let an account freeze escrow releases")
+  .addParam("account", "Guardian address")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Owner account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const receipt = await factory.addGuardian(args.account);
+    return printJson(txResult(receipt, { factory: factory.address, guardian: args.account, isGuardian: true }));
+  });
+
+task("factory:remove-guardian", "Take the guardian role away from an account")
+  .addParam("account", "Guardian address")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Owner account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const receipt = await factory.removeGuardian(args.account);
+    return printJson(txResult(receipt, { factory: factory.address, guardian: args.account, isGuardian: false }));
+  });
+
+task("factory:freeze", "Stop releases from one escrow, or from all of them; reclaims still work")
+  .addOptionalParam("escrow", "Escrow address (all escrows when omitted)")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Guardian account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const receipt = await factory.freeze(args.escrow);
+    return printJson(txResult(receipt, { factory: factory.address, escrow: args.escrow || "all", frozen: true }));
+  });
+
+task("factory:unfreeze", "Allow releases again from one escrow, or lift the freeze on all of them")
+  .addOptionalParam("escrow", "Escrow address (the freeze on all escrows when omitted)")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Guardian account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const receipt = await factory.unfreeze(args.escrow);
+    return printJson(txResult(receipt, { factory: factory.address, escrow: args.escrow || "all", frozen: false }));
+  });
+
+task("factory:withdraw-fees", "Send accumulated fees to the fee recipient")
+  .addOptionalParam("token", "ERC-20 token to sweep instead of ETH")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Owner account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const token = args.token || hre.ethers.ZeroAddress;
+    const amount = token === hre.ethers.ZeroAddress
+      ? await hre.ethers.provider.getBalance(factory.address)
+      : await getToken(token, hre.ethers.provider).balanceOf(factory.address);
+    const receipt = await factory.withdrawFees(token);
+    return printJson(txResult(receipt, { factory: factory.address, feeRecipient: await factory.contract.feeRecipient(), token, amount }));
+  });
+
+task("factory:fees", "Show the fee recipient and the fee schedule new escrows get")
+  .addOptionalParam("token", "ERC-20 token whose schedule to show instead of ETH")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const token = args.token || hre.ethers.ZeroAddress;
+    return printJson({
+      factory: factory.address,
+      feeRecipient: await factory.contract.feeRecipient(),
+      token,
+      tiers: await factory.getFeeSchedule(token),
+    });
+  });
+
+task("factory:set-fees", "Set the fee schedule for escrows created from now on")
+  .addParam("tiers", "Comma-separated minDeposit:bps pairs starting at 0, e.g. 0:100,10:50 (empty with --token to use the default)")
+  .addOptionalParam("token", "ERC-20 token to set a schedule for instead of the default (ETH) one")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Owner account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const token = args.token || hre.ethers.ZeroAddress;
+    const tiers = args.tiers ? await parseFeeTiers(hre, args.tiers, token) : [];
+    const receipt = await factory.setFeeSchedule(tiers, token);
+    return printJson(txResult(receipt, { factory: factory.address, token, tiers }));
+  });
+
+task("factory:set-fee-recipient", "Change where withdrawn fees are sent")
+  .addParam("recipient", "New fee recipient")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Owner account")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, args);
+    const receipt = await factory.setFeeRecipient(args.recipient);
+    return printJson(txResult(receipt, { factory: factory.address, feeRecipient: args.recipient }));
+  });
@@ -0,0 +1,64 @@
+// tasks/indexer.js - local escrow index built from chain logs
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { EscrowIndexer, JsonFileStore } = require("../indexer");
+const { getFactoryAddress, readDeployment } = require("../scripts/lib/deployments");
+const { printJson } = require("./utils");
+
+// The index lives in indexer/data/<network>.json unless INDEXER_DIR says otherwise
+function getIndexPath(networkName) {
+  const dir = process.env.INDEXER_DIR || path.join(__dirname, "..", "indexer", "data");
+  return path.join(dir, `${networkName}.json`);
+}
+
+// Start from the factory's deployment block when the manifest has it
+function getIndexer(hre, args) {
+  const deployment = readDeployment(hre.network.name);
+  const deployedAt = !args.factory && deployment && deployment.EscrowFactory ? deployment.EscrowFactory.blockNumber : undefined;
+  return new EscrowIndexer({
+    provider: hre.ethers.provider,
+    factory: getFactoryAddress(hre.network.name, args.factory),
+    store: new JsonFileStore(args.store || getIndexPath(hre.network.name)),
+    fromBlock: args.fromBlock !== undefined ? args.fromBlock : deployedAt || 0,
+    confirmations: args.confirmations,
+  });
+}
+
+task("indexer:sync", "Index escrow events up to the head and save a checkpoint")
+  .addOptionalParam("fromBlock", "First block to index on a fresh store (defaults to the factory deployment block)", undefined, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .addOptionalParam("store", "Index file (defaults to indexer/data/<network>.json)")
+  .addFlag("watch", "Keep polling for new blocks")
+  .addOptionalParam("interval", "Polling interval in ms with --watch", 4000, types.int)
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .setAction(async (args, hre) => {
+    const indexer = getIndexer(hre, args);
+    const result = await indexer.sync();
+    printJson({ ...result, checkpoint: indexer.checkpoint });
+    if (args.watch) {
+      indexer.start({ pollInterval: args.interval });
+      await new Promise(() => {});
+    }
+    return result;
+  });
+
+task("indexer:query", "Query the local escrow index")
+  .addOptionalParam("depositor", "Depositor address")
+  .addOptionalParam("payee", "Payee address")
+  .addOptionalParam("status", "Comma-separated statuses: created, funded, released, reclaimed, disputed, resolved, cancelled, closed")
+  .addOptionalParam("deadlineFrom", "Earliest deadline as a unix timestamp")
+  .addOptionalParam("deadlineTo", "Latest deadline as a unix timestamp")
+  .addFlag("sync", "Sync before querying")
+  .addOptionalParam("store", "Index file (defaults to indexer/data/<network>.json)")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .setAction(async (args, hre) => {
+    const indexer = getIndexer(hre, { ...args, confirmations: 0 });
+    await (args.sync ? indexer.sync() : indexer.load());
+    return printJson(indexer.findEscrows({
+      depositor: args.depositor,
+      payee: args.payee,
+      status: args.status ? args.status.split(",").map((s) => s.trim()) : undefined,
+      deadlineFrom: args.deadlineFrom,
+      deadlineTo: args.deadlineTo,
+    }));
+  });
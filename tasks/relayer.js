@@ -0,0 +1,27 @@
+// tasks/relayer.js - run the relayer HTTP service against a network
+const { task, types } = require("hardhat/config");
+const { Relayer, createRelayerServer } = require("../relayer");
+const { getFactoryAddress } = require("../scripts/lib/deployments");
+const { getSigner } = require("./utils");
+
+task("relayer:start", "Serve the relayer HTTP API, submitting signed releases and reclaims from --from")
+  .addOptionalParam("port", "Port to listen on", 8787, types.int)
+  .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+  .addOptionalParam("minFee", "Lowest relayer fee accepted, in wei (or token base units)", "0")
+  .addOptionalParam("maxAttempts", "Submissions per job before giving up on RPC errors", 3, types.int)
+  .addOptionalParam("confirmations", "Blocks to wait before a job counts as confirmed", 1, types.int)
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Relayer account, which pays the gas and receives the fees")
+  .setAction(async (args, hre) => {
+    const relayer = new Relayer({
+      signer: await getSigner(hre, args.from),
+      factory: getFactoryAddress(hre.network.name, args.factory),
+      minRelayerFee: BigInt(args.minFee),
+      maxAttempts: args.maxAttempts,
+      confirmations: args.confirmations,
+    });
+    const server = createRelayerServer(relayer);
+    await new Promise((resolve) => server.listen(args.port, args.host, resolve));
+    console.log(`Relayer ${relayer.signer.address} for factory ${relayer.factory} listening on http://${args.host}:${args.port}`);
+    await new Promise(() => {});
+  });
@@ -0,0 +1,42 @@
+// tasks/utils.js - shared helpers for the escrow/factory tasks
+const { EscrowFactoryClient, getToken, toJson } = require("../sdk");
+const { getFactoryAddress } = require("../scripts/lib/deployments");
+
+function printJson(value) {
+  console.log(toJson(value, 2));
+  return value;
+}
+
+// getSigner() - the signer matching --from, or the first configured account
+async function getSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (!from) {
+    return signers[0];
+  }
+  const signer = signers.find((s) => s.address.toLowerCase() === from.toLowerCase());
+  if (!signer) {
+    throw new Error(`No configured account for ${from} on network ${hre.network.name}`);
+  }
+  return signer;
+}
+
+async function getFactory(hre, { factory, from }) {
+  const signer = await getSigner(hre, from);
+  return new EscrowFactoryClient(getFactoryAddress(hre.network.name, factory), signer);
+}
+
+// Amounts are given in ether, or in whole tokens for token escrows, e.g. --amount 1.5
+async function parseAmount(hre, amount, token) {
+  if (!token || token === hre.ethers.ZeroAddress) {
+    return hre.ethers.parseEther(amount);
+  }
+  const decimals = await getToken(token, hre.ethers.provider).decimals();
+  return hre.ethers.parseUnits(amount, decimals);
+}
+
+// Summary of a mined transaction for JSON output
+function txResult(receipt, extra = {}) {
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, ...extra };
+}
+
+module.exports = { printJson, getSigner, getFactory, parseAmount, txResult };
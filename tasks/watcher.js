@@ -0,0 +1,55 @@
+// tasks/watcher.js - deadline notifications and automatic reclaims for a depositor's escrows
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { DeadlineWatcher, ConsoleNotifier, WebhookNotifier, DEFAULT_LEAD_TIMES } = require("../watcher");
+const { JsonFileStore } = require("../indexer");
+const { getFactoryAddress } = require("../scripts/lib/deployments");
+const { getSigner, printJson } = require("./utils");
+
+// What was sent lives in watcher/data/<network>.json unless WATCHER_DIR says otherwise
+function getStatePath(networkName) {
+  const dir = process.env.WATCHER_DIR || path.join(__dirname, "..", "watcher", "data");
+  return path.join(dir, `${networkName}.json`);
+}
+
+function splitList(value) {
+  return value.split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+task("watcher:start", "Notify about approaching and passed escrow deadlines, optionally reclaiming expired escrows")
+  .addOptionalParam("depositors", "Comma-separated depositor addresses (defaults to --from)")
+  .addOptionalParam("leadTimes", "Comma-separated seconds before a deadline to notify at", DEFAULT_LEAD_TIMES.join(","))
+  .addOptionalParam("webhook", "URL to POST each notification to as JSON")
+  .addFlag("quiet", "Do not print notifications")
+  .addFlag("autoReclaim", "Reclaim expired escrows deposited by --from")
+  .addFlag("once", "Check once, print the notifications and exit")
+  .addOptionalParam("interval", "Polling interval in ms", 15000, types.int)
+  .addOptionalParam("store", "State file (defaults to watcher/data/<network>.json)")
+  .addOptionalParam("factory", "EscrowFactory address (defaults to the saved deployment)")
+  .addOptionalParam("from", "Depositor account, used for --auto-reclaim")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre, args.from);
+    const notifiers = [];
+    if (!args.quiet) {
+      notifiers.push(new ConsoleNotifier());
+    }
+    if (args.webhook) {
+      notifiers.push(new WebhookNotifier(args.webhook));
+    }
+    const watcher = new DeadlineWatcher({
+      provider: hre.ethers.provider,
+      factory: getFactoryAddress(hre.network.name, args.factory),
+      depositors: args.depositors ? splitList(args.depositors) : [signer.address],
+      leadTimes: splitList(args.leadTimes).map(Number),
+      notifiers,
+      signer,
+      autoReclaim: args.autoReclaim,
+      store: new JsonFileStore(args.store || getStatePath(hre.network.name)),
+    });
+    if (args.once) {
+      return printJson(await watcher.check());
+    }
+    console.log(`Watching escrows of ${watcher.depositors.join(", ")} on ${hre.network.name}`);
+    watcher.start({ pollInterval: args.interval });
+    await new Promise(() => {});
+  });
@@ -0,0 +1,310 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+    EscrowFactoryClient,
+    toEscrowParams,
+    toSalt,
+    parseDeals,
+    runBatch,
+    InvalidAmountError,
+    UnauthorizedError,
+    InvalidBatchError,
+} = require("../sdk");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Batches", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let otherPayee;
+    let feeRecipient;
+    let token;
+    let deadline;
+
+    const amount = ethers.parseEther("1.0");
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, otherPayee] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        await token.mint(depositor.address, ethers.parseUnits("1000", 6));
+    });
+
+    // Errors raised inside a new escrow are decoded with the SimpleEscrow ABI
+    async function implementation() {
+        return ethers.getContractAt("SimpleEscrow", await factory.getImplementation());
+    }
+
+    const { deal } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount: amount }));
+
+    describe("createEscrowBatch", function() {
+        it("should deploy every escrow at its predicted address", async function() {
+            const deals = [deal("batch-1"), deal("batch-2", { payee: otherPayee.address }), deal("batch-3", { milestones: [amount] })];
+
+            const predicted = await factory.contract.predictAddresses(deals.map(toEscrowParams), deals.map((d) => toSalt(d.salt)));
+            expect(predicted).to.deep.equal(await factory.predictAddresses(deals));
+
+            const escrows = await factory.createEscrowBatch(deals);
+            expect(escrows.map((e) => e.address)).to.deep.equal(predicted);
+            expect(await factory.contract.getEscrows(depositor.address)).to.deep.equal(predicted);
+            expect(await escrows[1].contract.payee()).to.equal(otherPayee.address);
+            expect(await escrows[2].contract.getMilestones()).to.deep.equal([amount]);
+        });
+
+        it("should revert the whole batch when one escrow is invalid", async function() {
+            const deals = [deal("batch-1"), deal("batch-2", { deadline: 1 })];
+
+            await expect(factory.contract.createEscrowBatch(deals.map(toEscrowParams), deals.map((d) => toSalt(d.salt))))
+                .to.be.revertedWithCustomError(factory.contract, "InvalidDeadline")
+                .withArgs(1, anyUint);
+            expect(await factory.contract.getEscrows(depositor.address)).to.be.empty;
+        });
+
+        it("should reject empty and mismatched batches", async function() {
+            await expect(factory.contract.createEscrowBatch([], [])).to.be.revertedWithCustomError(factory.contract, "InvalidBatch");
+            await expect(factory.contract.createEscrowBatch([toEscrowParams(deal("a"))], [])).to.be.revertedWithCustomError(factory.contract, "InvalidBatch");
+            await expect(factory.contract.predictAddresses([toEscrowParams(deal("a"))], [])).to.be.revertedWithCustomError(factory.contract, "InvalidBatch");
+
+            const error = await factory.createEscrowBatch([]).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidBatchError);
+        });
+    });
+
+    describe("createAndFund", function() {
+        it("should deploy and fund an ETH escrow in one transaction", async function() {
+            const escrow = await factory.connect(depositor).createAndFund({ ...deal("funded"), amount });
+
+            expect(escrow.address).to.equal(await factory.predictAddress(deal("funded")));
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(amount);
+            const status = await escrow.status();
+            expect(status.funded).to.be.true;
+            expect(status.depositAmount).to.equal(amount);
+            await expect(escrow.receipt).to.emit(escrow.contract, "Funded").withArgs(amount);
+
+            // The funded escrow works as usual
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(amount));
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0n);
+        });
+
+        it("should pull a token deposit through the factory allowance", async function() {
+            const tokenAddress = await token.getAddress();
+            const deposit = ethers.parseUnits("100", 6);
+
+            const escrow = await factory.connect(depositor).createAndFund({ ...deal("token", { token: tokenAddress, milestones: [deposit] }), amount: deposit });
+
+            expect(await token.balanceOf(escrow.address)).to.equal(deposit);
+            expect(await token.allowance(depositor.address, factory.address)).to.equal(0n);
+            expect(await escrow.contract.depositAmount()).to.equal(deposit);
+        });
+
+        it("should credit what a fee-on-transfer token actually delivered", async function() {
+            const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+            const feeToken = await FeeOnTransferToken.deploy(200); // 2% burned per transfer
+            await feeToken.mint(depositor.address, ethers.parseUnits("100", 18));
+
+            const escrow = await factory.connect(depositor).createAndFund({ ...deal("fee-token", { token: await feeToken.getAddress() }), amount: ethers.parseUnits("100", 18) });
+            expect(await escrow.contract.depositAmount()).to.equal(ethers.parseUnits("98", 18));
+            expect(await feeToken.balanceOf(escrow.address)).to.equal(ethers.parseUnits("98", 18));
+        });
+
+        it("should only let the depositor fund", async function() {
+            const error = await factory.connect(payee).createAndFund({ ...deal("stranger"), amount }).catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+            expect(error.reason).to.equal("OnlyDepositor");
+            expect(error.args).to.deep.equal({ caller: payee.address });
+        });
+
+        it("should reject a value that does not match the amount", async function() {
+            const params = toEscrowParams(deal("value"));
+            await expect(factory.contract.connect(depositor).createAndFund(params, toSalt("value"), amount, { value: amount - 1n }))
+                .to.be.revertedWithCustomError(factory.contract, "IncorrectFundingAmount")
+                .withArgs(amount, amount - 1n);
+            // Raised by the new escrow and passed on by the factory
+            await expect(factory.contract.connect(depositor).createAndFund(params, toSalt("value"), 0, { value: 0 }))
+                .to.be.revertedWithCustomError(await implementation(), "ZeroAmount");
+
+            // Token escrows take no ETH
+            const tokenParams = toEscrowParams(deal("value", { token: await token.getAddress() }));
+            const error = await factory.connect(depositor)._send(() => factory.contract.connect(depositor).createAndFund(tokenParams, toSalt("value"), 1, { value: 1 })).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidAmountError);
+            expect(error.args).to.deep.equal({ expected: 0n, received: 1n });
+        });
+
+        it("should check the deposit against the milestones", async function() {
+            await expect(factory.contract.connect(depositor).createAndFund(toEscrowParams(deal("ms", { milestones: [amount] })), toSalt("ms"), amount / 2n, { value: amount / 2n }))
+                .to.be.revertedWithCustomError(await implementation(), "DepositMismatch")
+                .withArgs(amount, amount / 2n);
+        });
+
+        it("should not let anyone but the factory use the factory funding path", async function() {
+            const escrow = await factory.createEscrow(deal("direct"));
+            await expect(escrow.contract.connect(depositor).fundFromFactory(amount, { value: amount }))
+                .to.be.revertedWithCustomError(escrow.contract, "OnlyFactory")
+                .withArgs(depositor.address);
+        });
+
+        it("should not deploy while the factory is paused", async function() {
+            await factory.pause();
+            await expect(factory.contract.connect(depositor).createAndFund(toEscrowParams(deal("paused")), toSalt("paused"), amount, { value: amount }))
+                .to.be.revertedWithCustomError(factory.contract, "EnforcedPause");
+        });
+    });
+
+    describe("createAndFundBatch", function() {
+        it("should fund a mix of ETH and token escrows", async function() {
+            const tokenAddress = await token.getAddress();
+            const deals = [
+                { ...deal("eth-1"), amount },
+                { ...deal("usd-1", { token: tokenAddress }), amount: ethers.parseUnits("250", 6) },
+                { ...deal("eth-2", { payee: otherPayee.address }), amount: amount * 2n },
+                // Spelled differently, but approved together with usd-1
+                { ...deal("usd-2", { token: tokenAddress.toLowerCase() }), amount: ethers.parseUnits("50", 6) },
+            ];
+
+            const escrows = await factory.connect(depositor).createAndFundBatch(deals);
+
+            expect(escrows.map((e) => e.address)).to.deep.equal(await factory.predictAddresses(deals));
+            expect(await ethers.provider.getBalance(escrows[0].address)).to.equal(amount);
+            expect(await ethers.provider.getBalance(escrows[2].address)).to.equal(amount * 2n);
+            expect(await token.balanceOf(escrows[1].address)).to.equal(ethers.parseUnits("250", 6));
+            expect(await token.balanceOf(escrows[3].address)).to.equal(ethers.parseUnits("50", 6));
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(0n);
+            for (const escrow of escrows) {
+                expect(await escrow.contract.funded()).to.be.true;
+            }
+        });
+
+        it("should require msg.value to cover exactly the ETH deposits", async function() {
+            const deals = [deal("eth-1"), deal("eth-2")];
+            const args = [deals.map(toEscrowParams), deals.map((d) => toSalt(d.salt)), [amount, amount]];
+
+            await expect(factory.contract.connect(depositor).createAndFundBatch(...args, { value: amount }))
+                .to.be.revertedWithCustomError(factory.contract, "IncorrectFundingAmount")
+                .withArgs(amount * 2n, amount);
+            await expect(factory.contract.connect(depositor).createAndFundBatch(...args, { value: amount * 3n }))
+                .to.be.revertedWithCustomError(factory.contract, "IncorrectFundingAmount")
+                .withArgs(amount * 2n, amount * 3n);
+            await expect(factory.contract.connect(depositor).createAndFundBatch(args[0], args[1], [amount], { value: amount }))
+                .to.be.revertedWithCustomError(factory.contract, "InvalidBatch");
+        });
+
+        it("should not spend fees the factory holds", async function() {
+            // Fees collected by the factory must not fund a short-paid batch
+            const feeEscrow = await factory.connect(depositor).createAndFund({ ...deal("fees"), amount });
+            await feeEscrow.connect(payee).release(await feeEscrow.connect(depositor).signRelease(amount));
+            expect(await ethers.provider.getBalance(factory.address)).to.be.greaterThan(0n);
+
+            const deals = [deal("eth-1")];
+            await expect(factory.contract.connect(depositor).createAndFundBatch(deals.map(toEscrowParams), [toSalt("eth-1")], [1000n], { value: 0 }))
+                .to.be.revertedWithCustomError(factory.contract, "IncorrectFundingAmount")
+                .withArgs(1000n, 0n);
+        });
+    });
+
+    describe("Batch helper", function() {
+        const header = "depositor,payee,salt,duration,amount,token,milestones";
+
+        function csv(lines) {
+            return [header, ...lines].join("\n");
+        }
+
+        it("should parse CSV and JSON deals", function() {
+            const rows = parseDeals([
+                "# payroll for March",
+                header,
+                "",
+                `${depositor.address},${payee.address},alice,3600,1.5,,"0.5,1"`,
+                `${depositor.address},${payee.address},bob,3600,,,0.25;0.75`,
+            ].join("\n"));
+            expect(rows).to.deep.equal([
+                { row: 4, depositor: depositor.address, payee: payee.address, salt: "alice", duration: "3600", amount: "1.5", milestones: "0.5,1" },
+                { row: 5, depositor: depositor.address, payee: payee.address, salt: "bob", duration: "3600", milestones: "0.25;0.75" },
+            ]);
+
+            const json = parseDeals(JSON.stringify([{ depositor: depositor.address, payee: payee.address, salt: "carol", deadline }]));
+            expect(json).to.deep.equal([{ depositor: depositor.address, payee: payee.address, salt: "carol", deadline, row: 1 }]);
+            expect(() => parseDeals("{}", { format: "json" })).to.throw("Expected a JSON array of deals");
+        });
+
+        it("should dry-run the predicted addresses without sending anything", async function() {
+            const rows = parseDeals(csv([
+                `${depositor.address},${payee.address},alice,3600,${amount},,`,
+                `${depositor.address},not-an-address,bob,3600,${amount},,`,
+                `${depositor.address},${otherPayee.address},carol,3600,,,`,
+            ]));
+            const now = await time.latest();
+            const blockBefore = await ethers.provider.getBlockNumber();
+
+            const results = await runBatch(factory.connect(depositor), rows, { dryRun: true, now });
+
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+            expect(results.map((r) => r.status)).to.deep.equal(["predicted", "invalid", "predicted"]);
+            expect(results[0].escrow).to.equal(await factory.predictAddress(deal("alice", { deadline: now + 3600 })));
+            expect(results[1].error).to.match(/invalid address/);
+            expect(results[1].row).to.equal(3);
+        });
+
+        it("should reject arbiter fees that are not whole basis points up to 10000", async function() {
+            const base = { depositor: depositor.address, payee: payee.address, duration: 3600, arbiter: otherPayee.address };
+            const rows = parseDeals(JSON.stringify([
+                { ...base, salt: "whole", arbiterFeeBps: "250" },
+                { ...base, salt: "fraction", arbiterFeeBps: "2.5" },
+                { ...base, salt: "negative", arbiterFeeBps: -1 },
+                { ...base, salt: "too-high", arbiterFeeBps: 10001 },
+                { ...base, salt: "text", arbiterFeeBps: "lots" },
+            ]));
+
+            const results = await runBatch(factory.connect(depositor), rows, { dryRun: true, now: await time.latest() });
+
+            expect(results.map((r) => r.status)).to.deep.equal(["predicted", "invalid", "invalid", "invalid", "invalid"]);
+            expect(results[1].error).to.equal("Invalid arbiterFeeBps 2.5, expected an integer from 0 to 10000");
+            expect(results[4].error).to.equal("Invalid arbiterFeeBps lots, expected an integer from 0 to 10000");
+        });
+
+        it("should create and fund the rows and report each one", async function() {
+            const tokenAddress = await token.getAddress();
+            const rows = parseDeals(csv([
+                `${depositor.address},${payee.address},alice,3600,${amount},,`,
+                `${depositor.address},${otherPayee.address},bob,3600,${ethers.parseUnits("10", 6)},${tokenAddress},`,
+                `${depositor.address},${payee.address},carol,3600,,,`,
+                `${payee.address},${otherPayee.address},dave,3600,${amount},,`,
+                `${depositor.address},${payee.address},alice,3600,${amount},,`,
+            ]));
+            const now = await time.latest();
+
+            const results = await runBatch(factory.connect(depositor), rows, { now, batchSize: 2 });
+
+            expect(results.map((r) => r.status)).to.deep.equal(["funded", "funded", "created", "invalid", "invalid"]);
+            expect(results[3].error).to.equal(`Only the depositor ${payee.address} can fund this escrow`);
+            expect(results[4].error).to.match(/Duplicate/);
+            expect(results[0].txHash).to.equal(results[1].txHash);
+            expect(await ethers.provider.getBalance(results[0].escrow)).to.equal(amount);
+            expect(await token.balanceOf(results[1].escrow)).to.equal(ethers.parseUnits("10", 6));
+            expect(await factory.escrow(results[2].escrow).contract.funded()).to.be.false;
+
+            // A second run skips what was already deployed
+            const rerun = await runBatch(factory.connect(depositor), rows.slice(0, 3), { now });
+            expect(rerun.map((r) => r.status)).to.deep.equal(["exists", "exists", "exists"]);
+        });
+
+        it("should isolate the rows that revert on-chain", async function() {
+            const rows = parseDeals(csv([
+                `${depositor.address},${payee.address},alice,3600,${amount},,`,
+                `${depositor.address},${payee.address},bob,3600,${amount},,${amount * 2n}`,
+                `${depositor.address},${payee.address},carol,3600,${amount},,`,
+            ]));
+
+            const results = await runBatch(factory.connect(depositor), rows, { now: await time.latest() });
+
+            expect(results.map((r) => r.status)).to.deep.equal(["funded", "failed", "funded"]);
+            expect(results[1].error).to.equal(`DepositMismatch(milestoneTotal: ${amount * 2n}, amount: ${amount})`);
+            expect(results[0].txHash).to.not.equal(results[2].txHash);
+        });
+    });
+});
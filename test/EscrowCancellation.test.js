@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    EscrowCancelledError,
+    InvalidSignatureError,
+    InvalidDeadlineError,
+    DeadlinePassedError,
+    DeadlineNotPassedError,
+    DisputeError,
+    SignatureExpiredError,
+    UnauthorizedError,
+    hashCancel,
+} = require("../sdk");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Cancellation and Deadline Extension", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let arbiter;
+    let deadline;
+    let escrow;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, arbiter] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+        escrow = await createFundedEscrow("consent");
+    });
+
+    const { deal, createFundedEscrow } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+    describe("extendDeadline", function() {
+        const newDeadline = () => BigInt(deadline + 86400);
+
+        it("should move the deadline with the payee's signature", async function() {
+            const consent = await escrow.connect(payee).signExtendDeadline(newDeadline());
+            const receipt = await escrow.connect(depositor).extendDeadline(consent);
+
+            await expect(receipt).to.emit(escrow.contract, "DeadlineExtended").withArgs(deadline, newDeadline());
+            expect(await escrow.contract.deadline()).to.equal(newDeadline());
+        });
+
+        it("should keep the escrow open past the old deadline", async function() {
+            await escrow.connect(depositor).extendDeadline(await escrow.connect(payee).signExtendDeadline(newDeadline()));
+            await time.increaseTo(deadline + 1);
+
+            const error = await escrow.connect(depositor).reclaim().catch((e) => e);
+            expect(error).to.be.instanceOf(DeadlineNotPassedError);
+
+            // Releases can be signed up to the new deadline
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+            expect(await escrow.contract.released()).to.be.true;
+        });
+
+        it("should not accept the same signature twice", async function() {
+            const consent = await escrow.connect(payee).signExtendDeadline(newDeadline());
+            await escrow.connect(depositor).extendDeadline(consent);
+
+            const replay = await escrow.connect(depositor).extendDeadline(consent).catch((e) => e);
+            expect(replay).to.be.instanceOf(InvalidDeadlineError);
+
+            // Agreeing to a later deadline still needs a signature over the current one
+            const later = { newDeadline: newDeadline() + 3600n, signature: consent.signature };
+            expect(await escrow.connect(depositor).extendDeadline(later).catch((e) => e)).to.be.instanceOf(InvalidSignatureError);
+        });
+
+        it("should not accept a signature made for another escrow", async function() {
+            const other = await createFundedEscrow("other");
+            const consent = await other.connect(payee).signExtendDeadline(newDeadline());
+
+            const error = await escrow.connect(depositor).extendDeadline(consent).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
+        });
+
+        it("should require the payee's signature and the depositor's transaction", async function() {
+            const selfSigned = await escrow.connect(depositor).signExtendDeadline(newDeadline());
+            expect(await escrow.connect(depositor).extendDeadline(selfSigned).catch((e) => e)).to.be.instanceOf(InvalidSignatureError);
+
+            const consent = await escrow.connect(payee).signExtendDeadline(newDeadline());
+            const error = await escrow.connect(payee).extendDeadline(consent).catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+            expect(error.reason).to.equal("OnlyDepositor");
+            expect(error.args).to.deep.equal({ caller: payee.address });
+        });
+
+        it("should only move the deadline later", async function() {
+            const earlier = await escrow.connect(payee).signExtendDeadline(BigInt(deadline - 60));
+            expect(await escrow.connect(depositor).extendDeadline(earlier).catch((e) => e)).to.be.instanceOf(InvalidDeadlineError);
+
+            const same = await escrow.connect(payee).signExtendDeadline(BigInt(deadline));
+            expect(await escrow.connect(depositor).extendDeadline(same).catch((e) => e)).to.be.instanceOf(InvalidDeadlineError);
+        });
+
+        it("should work up to and including the deadline, not after", async function() {
+            const consent = await escrow.connect(payee).signExtendDeadline(newDeadline());
+            const expired = await createFundedEscrow("expired");
+            const late = await expired.connect(payee).signExtendDeadline(newDeadline());
+
+            await time.setNextBlockTimestamp(deadline);
+            await escrow.connect(depositor).extendDeadline(consent);
+            expect(await escrow.contract.deadline()).to.equal(newDeadline());
+
+            await time.increaseTo(deadline + 1);
+            expect(await expired.connect(depositor).extendDeadline(late).catch((e) => e)).to.be.instanceOf(DeadlinePassedError);
+        });
+
+        it("should not extend a finished escrow", async function() {
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+            const consent = await escrow.connect(payee).signExtendDeadline(newDeadline());
+
+            await expect(escrow.contract.connect(depositor).extendDeadline(newDeadline(), consent.signature))
+                .to.be.revertedWithCustomError(escrow.contract, "AlreadyReleased");
+        });
+    });
+
+    describe("cancel", function() {
+        it("should refund the whole deposit without a fee", async function() {
+            const consent = await escrow.connect(payee).signCancel();
+            const depositorBalance = await ethers.provider.getBalance(depositor.address);
+
+            const receipt = await escrow.connect(depositor).cancel(consent);
+
+            const gas = receipt.gasUsed * receipt.gasPrice;
+            expect(await ethers.provider.getBalance(depositor.address)).to.equal(depositorBalance + depositAmount - gas);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0n);
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(0n);
+            await expect(receipt).to.emit(escrow.contract, "Cancelled").withArgs(depositor.address, depositAmount);
+
+            const status = await escrow.status();
+            expect(status.cancelled).to.be.true;
+            expect(status.remaining).to.equal(0n);
+        });
+
+        it("should refund what is left after a partial release", async function() {
+            const stale = await escrow.connect(payee).signCancel();
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount / 4n));
+
+            // The consent was given before the release, so it no longer applies
+            expect(await escrow.connect(depositor).cancel(stale).catch((e) => e)).to.be.instanceOf(InvalidSignatureError);
+
+            const receipt = await escrow.connect(depositor).cancel(await escrow.connect(payee).signCancel());
+            await expect(receipt).to.emit(escrow.contract, "Cancelled").withArgs(depositor.address, depositAmount - depositAmount / 4n);
+        });
+
+        it("should close the escrow for good", async function() {
+            const consent = await escrow.connect(payee).signCancel();
+            const release = await escrow.connect(depositor).signRelease(depositAmount);
+            await escrow.connect(depositor).cancel(consent);
+
+            expect(await escrow.connect(depositor).cancel(consent).catch((e) => e)).to.be.instanceOf(EscrowCancelledError);
+            expect(await escrow.connect(payee).release(release).catch((e) => e)).to.be.instanceOf(EscrowCancelledError);
+
+            await time.increaseTo(deadline + 1);
+            expect(await escrow.connect(depositor).reclaim().catch((e) => e)).to.be.instanceOf(EscrowCancelledError);
+        });
+
+        it("should stop an unfunded escrow from being funded", async function() {
+            const unfunded = await factory.createEscrow(deal("unfunded"));
+            await unfunded.connect(depositor).cancel(await unfunded.connect(payee).signCancel());
+
+            const error = await unfunded.connect(depositor).fund(depositAmount).catch((e) => e);
+            expect(error).to.be.instanceOf(EscrowCancelledError);
+        });
+
+        it("should refund a token escrow in tokens", async function() {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+            await token.mint(depositor.address, ethers.parseUnits("100", 6));
+            const tokenEscrow = await factory.createEscrow(deal("token", { token: await token.getAddress() }));
+            await tokenEscrow.connect(depositor).fund(ethers.parseUnits("100", 6));
+
+            await tokenEscrow.connect(depositor).cancel(await tokenEscrow.connect(payee).signCancel());
+            expect(await token.balanceOf(depositor.address)).to.equal(ethers.parseUnits("100", 6));
+        });
+
+        it("should require the payee's signature and the depositor's transaction", async function() {
+            const selfSigned = await escrow.connect(depositor).signCancel();
+            expect(await escrow.connect(depositor).cancel(selfSigned).catch((e) => e)).to.be.instanceOf(InvalidSignatureError);
+
+            const consent = await escrow.connect(payee).signCancel();
+            const error = await escrow.connect(payee).cancel(consent).catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+            expect(error.reason).to.equal("OnlyDepositor");
+
+            const other = await createFundedEscrow("other");
+            const otherConsent = await other.connect(payee).signCancel();
+            expect(await escrow.connect(depositor).cancel(otherConsent).catch((e) => e)).to.be.instanceOf(InvalidSignatureError);
+        });
+
+        it("should work up to and including the deadline, then leave it to reclaim", async function() {
+            const consent = await escrow.connect(payee).signCancel();
+            const late = await createFundedEscrow("late");
+            const lateConsent = await late.connect(payee).signCancel();
+
+            await time.setNextBlockTimestamp(deadline);
+            await escrow.connect(depositor).cancel(consent);
+            expect(await escrow.contract.cancelled()).to.be.true;
+
+            await time.increaseTo(deadline + 1);
+            expect(await late.connect(depositor).cancel(lateConsent).catch((e) => e)).to.be.instanceOf(DeadlinePassedError);
+            await late.connect(depositor).reclaim();
+        });
+
+        it("should reject a consent past its validUntil", async function() {
+            const validUntil = BigInt(deadline - 600);
+            const consent = await escrow.connect(payee).signCancel({ validUntil });
+            expect(consent.validUntil).to.equal(validUntil);
+            expect(hashCancel({ chainId: 31337n, escrow: escrow.address, payee: payee.address, nonce: 0n, validUntil }))
+                .to.equal(await escrow.contract.hashCancel(0n, validUntil));
+
+            await time.increaseTo(validUntil);
+            await expect(escrow.contract.connect(depositor).cancel(validUntil, consent.signature))
+                .to.be.revertedWithCustomError(escrow.contract, "SignatureExpired")
+                .withArgs(validUntil, validUntil + 1n);
+            expect(await escrow.connect(depositor).cancel(consent).catch((e) => e)).to.be.instanceOf(SignatureExpiredError);
+
+            // Nor can the expiry be pushed back without a new signature
+            expect(await escrow.connect(depositor).cancel({ ...consent, validUntil: BigInt(deadline) }).catch((e) => e)).to.be.instanceOf(InvalidSignatureError);
+            await escrow.connect(depositor).cancel(await escrow.connect(payee).signCancel());
+            expect(await escrow.contract.cancelled()).to.be.true;
+        });
+
+        it("should not cancel during a dispute", async function() {
+            const disputed = await createFundedEscrow("disputed", { arbiter: arbiter.address });
+            const consent = await disputed.connect(payee).signCancel();
+            await disputed.connect(payee).raiseDispute();
+
+            expect(await disputed.connect(depositor).cancel(consent).catch((e) => e)).to.be.instanceOf(DisputeError);
+        });
+
+        it("should not let a dispute be raised once cancelled", async function() {
+            const disputed = await createFundedEscrow("cancelled-dispute", { arbiter: arbiter.address });
+            await disputed.connect(depositor).cancel(await disputed.connect(payee).signCancel());
+
+            expect(await disputed.connect(payee).raiseDispute().catch((e) => e)).to.be.instanceOf(EscrowCancelledError);
+        });
+    });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    DEFAULT_FEE_TIERS,
+    predictAddress,
+    toEscrowParams,
+    toSalt,
+    AlreadyInitializedError,
+    DeploymentFailedError,
+} = require("../sdk");
+
+describe("Escrow Clones", function() {
+    let factory;
+    let implementation;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let attacker;
+    let deadline;
+
+    const salt = ethers.keccak256(ethers.toUtf8Bytes("clone_salt"));
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, attacker] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        implementation = await ethers.getContractAt("SimpleEscrow", await factory.getImplementation());
+        deadline = (await time.latest()) + 3600;
+    });
+
+    function terms(params = {}) {
+        return { depositor: depositor.address, payee: payee.address, deadline, ...params };
+    }
+
+    describe("Deployment", function() {
+        it("should deploy each escrow as an EIP-1167 proxy to the implementation", async function() {
+            const escrow = await factory.createEscrow({ ...terms(), salt });
+
+            const code = await ethers.provider.getCode(escrow.address);
+            const implementationAddress = (await implementation.getAddress()).slice(2).toLowerCase();
+            expect(code).to.equal(`0x363d3d373d3d3d363d73${implementationAddress}5af43d82803e903d91602b57fd5bf3`);
+
+            const status = await escrow.status();
+            expect(status.factory).to.equal(factory.address);
+            expect(status.depositor).to.equal(depositor.address);
+            expect(status.deadline).to.equal(deadline);
+            expect(status.feeTiers).to.deep.equal(DEFAULT_FEE_TIERS);
+        });
+
+        it("should sign releases for the clone, not the implementation", async function() {
+            const escrow = await factory.createEscrow({ ...terms(), salt });
+
+            const domain = await escrow.contract.eip712Domain();
+            expect(domain.name).to.equal("SimpleEscrow");
+            expect(domain.verifyingContract).to.equal(escrow.address);
+        });
+
+        it("should predict the clone address offline and on-chain", async function() {
+            const offline = predictAddress(factory.address, {
+                ...terms(),
+                salt,
+                feeTiers: DEFAULT_FEE_TIERS,
+                implementation: await implementation.getAddress(),
+            });
+            expect(await factory.contract.predictAddress(toEscrowParams(terms()), salt)).to.equal(offline);
+            expect((await factory.createEscrow({ ...terms(), salt })).address).to.equal(offline);
+        });
+
+        it("should bind the address to the deal terms, not just the salt", async function() {
+            const honest = await factory.predictAddress({ ...terms(), salt });
+            const swapped = await factory.predictAddress({ ...terms({ payee: attacker.address }), salt });
+            expect(swapped).to.not.equal(honest);
+
+            // Taking the salt with other terms does not occupy the predicted address
+            await factory.connect(attacker).createEscrow({ ...terms({ payee: attacker.address }), salt });
+            expect((await factory.createEscrow({ ...terms(), salt })).address).to.equal(honest);
+        });
+
+        it("should revert when the same terms and salt are deployed twice", async function() {
+            await factory.createEscrow({ ...terms(), salt });
+
+            const error = await factory.createEscrow({ ...terms(), salt }).catch((e) => e);
+            expect(error).to.be.instanceOf(DeploymentFailedError);
+            await expect(factory.contract["createEscrow(address,address,uint256,bytes32)"](depositor.address, payee.address, deadline, toSalt(salt)))
+                .to.be.revertedWithCustomError(factory.contract, "FailedDeployment");
+        });
+    });
+
+    describe("Initialization", function() {
+        it("should not let anyone re-initialize a clone", async function() {
+            const escrow = await factory.createEscrow({ ...terms(), salt });
+            const hijack = toEscrowParams(terms({ payee: attacker.address }));
+
+            await expect(escrow.contract.connect(attacker).initialize(attacker.address, [], hijack))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidInitialization");
+            await expect(escrow.contract.connect(depositor).initialize(factory.address, DEFAULT_FEE_TIERS, toEscrowParams(terms())))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidInitialization");
+
+            expect(await escrow.contract.payee()).to.equal(payee.address);
+        });
+
+        it("should not let a funded clone be re-initialized to drain it", async function() {
+            const escrow = await factory.createEscrow({ ...terms(), salt });
+            await escrow.connect(depositor).fund(ethers.parseEther("1.0"));
+
+            const hijack = toEscrowParams(terms({ depositor: attacker.address, payee: attacker.address }));
+            await expect(escrow.contract.connect(attacker).initialize(attacker.address, [], hijack))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidInitialization");
+            expect(await escrow.contract.depositAmount()).to.equal(ethers.parseEther("1.0"));
+        });
+
+        it("should keep the implementation locked", async function() {
+            await expect(implementation.connect(attacker).initialize(attacker.address, [], toEscrowParams(terms())))
+                .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+            expect(await implementation.factory()).to.equal(ethers.ZeroAddress);
+
+            // It has no parties, so nobody can close it either
+            await expect(implementation.connect(attacker).close())
+                .to.be.revertedWithCustomError(implementation, "OnlyParties")
+                .withArgs(attacker.address);
+        });
+
+        it("should report re-initialization through the SDK as a typed error", async function() {
+            const escrow = await factory.createEscrow({ ...terms(), salt });
+
+            const error = await escrow._send(() => escrow.contract.initialize(attacker.address, [], toEscrowParams(terms()))).catch((e) => e);
+            expect(error).to.be.instanceOf(AlreadyInitializedError);
+        });
+    });
+
+    describe("Gas", function() {
+        it("should cost a fraction of deploying the full escrow bytecode", async function() {
+            const LegacyEscrowFactory = await ethers.getContractFactory("LegacyEscrowFactory");
+            const legacy = await LegacyEscrowFactory.deploy();
+
+            const params = toEscrowParams(terms());
+            const legacyReceipt = await (await legacy.createEscrow(params, DEFAULT_FEE_TIERS, salt)).wait();
+            const cloneReceipt = (await factory.createEscrow({ ...terms(), salt })).receipt;
+
+            expect(cloneReceipt.gasUsed * 3n).to.be.lessThan(legacyReceipt.gasUsed);
+        });
+    });
+});
@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    predictAddress,
+    EscrowClosedError,
+    EscrowNotSettledError,
+    EscrowNotClosedError,
+    NothingToRecoverError,
+    DeploymentFailedError,
+    InvalidSignatureError,
+    UnauthorizedError,
+} = require("../sdk");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Close and Stray Recovery", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let arbiter;
+    let other;
+    let deadline;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, arbiter, other] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+    });
+
+    const { deal, createFundedEscrow } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+    async function forceSend(to, amount) {
+        const ForceSend = await ethers.getContractFactory("ForceSend");
+        await ForceSend.connect(other).deploy(to, { value: amount });
+    }
+
+    describe("close", function() {
+        it("should let either party close a released escrow for good", async function() {
+            const escrow = await createFundedEscrow("released");
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+
+            const receipt = await escrow.connect(payee).close();
+            await expect(receipt).to.emit(escrow.contract, "Closed").withArgs(payee.address);
+            expect((await escrow.status()).closed).to.be.true;
+
+            const error = await escrow.connect(depositor).close().catch((e) => e);
+            expect(error).to.be.instanceOf(EscrowClosedError);
+        });
+
+        it("should close reclaimed, cancelled and resolved escrows", async function() {
+            const cancelled = await createFundedEscrow("cancelled");
+            await cancelled.connect(depositor).cancel(await cancelled.connect(payee).signCancel());
+            const resolved = await createFundedEscrow("resolved", { arbiter: arbiter.address });
+            await resolved.connect(payee).raiseDispute();
+            await resolved.connect(arbiter).resolve(depositAmount / 2n, depositAmount / 2n);
+            const reclaimed = await createFundedEscrow("reclaimed");
+            await time.increaseTo(deadline + 1);
+            await reclaimed.connect(depositor).reclaim();
+
+            for (const escrow of [cancelled, resolved, reclaimed]) {
+                await escrow.connect(depositor).close();
+                expect(await escrow.contract.closed()).to.be.true;
+            }
+        });
+
+        it("should refuse while the deposit is still in play", async function() {
+            const escrow = await createFundedEscrow("open", { arbiter: arbiter.address });
+            for (const party of [depositor, payee]) {
+                const error = await escrow.connect(party).close().catch((e) => e);
+                expect(error).to.be.instanceOf(EscrowNotSettledError);
+            }
+
+            await escrow.connect(payee).raiseDispute();
+            expect(await escrow.connect(depositor).close().catch((e) => e)).to.be.instanceOf(EscrowNotSettledError);
+
+            // Partly released is not settled either
+            const partial = await createFundedEscrow("partial");
+            await partial.connect(payee).release(await partial.connect(depositor).signRelease(depositAmount / 2n));
+            expect(await partial.connect(payee).close().catch((e) => e)).to.be.instanceOf(EscrowNotSettledError);
+        });
+
+        it("should only let the parties close", async function() {
+            const escrow = await createFundedEscrow("parties");
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+
+            for (const caller of [other, arbiter, feeRecipient]) {
+                await expect(escrow.contract.connect(caller).close())
+                    .to.be.revertedWithCustomError(escrow.contract, "OnlyParties")
+                    .withArgs(caller.address);
+            }
+            const error = await escrow.connect(other).close().catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+        });
+
+        it("should let the depositor close an unfunded escrow, which then takes no deposit or changes", async function() {
+            const escrow = await factory.createEscrow(deal("unfunded"));
+            expect(await escrow.connect(payee).close().catch((e) => e)).to.be.instanceOf(EscrowNotSettledError);
+
+            await escrow.connect(depositor).close();
+
+            const funding = await escrow.connect(depositor).fund(depositAmount).catch((e) => e);
+            expect(funding).to.be.instanceOf(EscrowClosedError);
+            const extension = await escrow.connect(depositor).extendDeadline(await escrow.connect(payee).signExtendDeadline(BigInt(deadline + 86400))).catch((e) => e);
+            expect(extension).to.be.instanceOf(EscrowClosedError);
+            const cancellation = await escrow.connect(depositor).cancel(await escrow.connect(payee).signCancel()).catch((e) => e);
+            expect(cancellation).to.be.instanceOf(EscrowClosedError);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0n);
+        });
+
+        it("should keep the code and state on chain after closing", async function() {
+            const escrow = await createFundedEscrow("code");
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+            const code = await ethers.provider.getCode(escrow.address);
+
+            await escrow.connect(depositor).close();
+
+            expect(await ethers.provider.getCode(escrow.address)).to.equal(code);
+            expect(await escrow.status()).to.deep.include({ released: true, closed: true, releasedAmount: depositAmount });
+            expect(await factory.isEscrow(escrow.address)).to.be.true;
+        });
+    });
+
+    describe("recoverStray", function() {
+        it("should return ETH forced into a closed escrow to the depositor", async function() {
+            const escrow = await createFundedEscrow("stray-eth");
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+            const stray = ethers.parseEther("0.25");
+            await forceSend(escrow.address, stray);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(stray);
+
+            expect(await escrow.connect(payee).recoverStray().catch((e) => e)).to.be.instanceOf(EscrowNotClosedError);
+            await escrow.connect(payee).close();
+
+            const before = await ethers.provider.getBalance(depositor.address);
+            const receipt = await escrow.connect(payee).recoverStray();
+            await expect(receipt).to.emit(escrow.contract, "StrayRecovered").withArgs(ethers.ZeroAddress, depositor.address, stray);
+            expect(await ethers.provider.getBalance(depositor.address)).to.equal(before + stray);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0n);
+
+            expect(await escrow.connect(payee).recoverStray().catch((e) => e)).to.be.instanceOf(NothingToRecoverError);
+        });
+
+        it("should return tokens sent to a closed escrow to the depositor", async function() {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+            const tokenAddress = await token.getAddress();
+            const escrow = await factory.createEscrow(deal("stray-token"));
+            await token.mint(other.address, 500n);
+            await token.connect(other).transfer(escrow.address, 500n);
+            await escrow.connect(depositor).close();
+
+            await expect(escrow.contract.connect(other).recoverStray(tokenAddress))
+                .to.be.revertedWithCustomError(escrow.contract, "OnlyParties");
+
+            await expect(escrow.contract.connect(depositor).recoverStray(tokenAddress))
+                .to.emit(escrow.contract, "StrayRecovered")
+                .withArgs(tokenAddress, depositor.address, 500n);
+            expect(await token.balanceOf(depositor.address)).to.equal(500n);
+            await expect(escrow.contract.connect(depositor).recoverStray(tokenAddress))
+                .to.be.revertedWithCustomError(escrow.contract, "NothingToRecover")
+                .withArgs(tokenAddress);
+        });
+    });
+
+    describe("Salt reuse", function() {
+        // Cancelled with the payee's consent, then closed, well before the deal's deadline
+        async function createClosedEscrow(salt) {
+            const escrow = await createFundedEscrow(salt);
+            await escrow.connect(depositor).cancel(await escrow.connect(payee).signCancel());
+            await escrow.connect(depositor).close();
+            return escrow;
+        }
+
+        it("should not deploy the same deal twice while its escrow is open", async function() {
+            const escrow = await factory.createEscrow(deal("open"));
+            expect(await factory.predictAddress(deal("open"))).to.equal(escrow.address);
+
+            const error = await factory.createEscrow(deal("open")).catch((e) => e);
+            expect(error).to.be.instanceOf(DeploymentFailedError);
+        });
+
+        it("should deploy a fresh escrow at a new address once the old one is closed", async function() {
+            const closed = await createClosedEscrow("reused");
+
+            const predicted = await factory.predictAddress(deal("reused"));
+            expect(predicted).to.not.equal(closed.address);
+            expect(predicted).to.equal(predictAddress(factory.address, {
+                ...deal("reused"),
+                feeTiers: await factory.getFeeSchedule(),
+                implementation: await factory.getImplementation(),
+                generation: 1,
+            }));
+
+            const reused = await factory.createEscrow(deal("reused"));
+            expect(reused.address).to.equal(predicted);
+            expect(await reused.status()).to.deep.include({ funded: false, cancelled: false, closed: false, nonce: 0n });
+            expect(await closed.contract.closed()).to.be.true;
+            expect(await factory.getEscrows(depositor.address).then((escrows) => escrows.map((e) => e.address))).to.deep.equal([closed.address, reused.address]);
+
+            // And again once that one is closed too
+            await reused.connect(depositor).close();
+            const third = await factory.createEscrow(deal("reused"));
+            expect([closed.address, reused.address]).to.not.include(third.address);
+        });
+
+        it("should not accept the closed escrow's signatures at the new address", async function() {
+            const first = await createFundedEscrow("replay");
+            const authorization = await first.connect(depositor).signRelease(depositAmount);
+            await first.connect(depositor).cancel(await first.connect(payee).signCancel());
+            await first.connect(payee).close();
+
+            // Same deal, salt and nonce; only the address differs
+            const second = await createFundedEscrow("replay");
+            const error = await second.connect(payee).release(authorization).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
+            expect(await ethers.provider.getBalance(second.address)).to.equal(depositAmount);
+        });
+    });
+
+    describe("Cancun", function() {
+        it("should run the Hardhat network on the Cancun hardfork", function() {
+            expect(network.config.hardfork).to.equal("cancun");
+        });
+
+        it("should only remove code that selfdestructs in its creation transaction", async function() {
+            const ForceSend = await ethers.getContractFactory("ForceSend");
+            const created = await ForceSend.deploy(other.address, { value: 1n });
+            expect(await ethers.provider.getCode(await created.getAddress())).to.equal("0x");
+
+            const deployed = await ForceSend.deploy(ethers.ZeroAddress);
+            const code = await ethers.provider.getCode(await deployed.getAddress());
+            await deployed.forceSend(other.address, { value: 1n });
+            expect(await ethers.provider.getCode(await deployed.getAddress())).to.equal(code);
+            expect(code).to.not.equal("0x");
+        });
+    });
+});
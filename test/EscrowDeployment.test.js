@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployEscrowFactory } = require("../scripts/lib/deployer");
+const { buildVerificationPayload, verifyDeployment } = require("../scripts/lib/verify");
+const { readDeployment, writeDeployment } = require("../scripts/lib/deployments");
+
+const { ethers } = hre;
+
+describe("Escrow Deployment", function() {
+    let deployer;
+    let feeRecipient;
+    let admin;
+    let deploymentsDir;
+
+    const quiet = () => {};
+
+    beforeEach(async function() {
+        [deployer, feeRecipient, admin] = await ethers.getSigners();
+
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-deployments-"));
+        process.env.DEPLOYMENTS_DIR = deploymentsDir;
+    });
+
+    afterEach(function() {
+        delete process.env.DEPLOYMENTS_DIR;
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    describe("Manifest", function() {
+        it("should record address, tx, block, constructor args and bytecode hash", async function() {
+            const { manifest, deployed } = await deployEscrowFactory(hre, { feeRecipient: feeRecipient.address, log: quiet });
+            expect(deployed).to.be.true;
+
+            const saved = readDeployment(hre.network.name);
+            expect(saved).to.deep.equal(JSON.parse(JSON.stringify(manifest)));
+            expect(saved.chainId).to.equal(31337);
+
+            const entry = saved.EscrowFactory;
+            const receipt = await ethers.provider.getTransactionReceipt(entry.txHash);
+            expect(receipt.contractAddress).to.equal(entry.address);
+            expect(receipt.blockNumber).to.equal(entry.blockNumber);
+            expect(entry.constructorArgs).to.deep.equal([feeRecipient.address]);
+            expect(entry.bytecodeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(entry.address)));
+            expect(entry.sourceName).to.equal("contracts/EscrowFactory.sol");
+
+            const factory = await ethers.getContractAt("EscrowFactory", entry.address);
+            expect(await factory.feeRecipient()).to.equal(feeRecipient.address);
+
+            // The escrow implementation is created by the factory's constructor
+            expect(saved.SimpleEscrow.address).to.equal(await factory.implementation());
+            expect(saved.SimpleEscrow.createdBy).to.equal(entry.address);
+            expect(saved.SimpleEscrow.txHash).to.equal(entry.txHash);
+        });
+
+        it("should default the fee recipient and admin to the deployer", async function() {
+            const { manifest } = await deployEscrowFactory(hre, { log: quiet });
+
+            expect(manifest.EscrowFactory.feeRecipient).to.equal(deployer.address);
+            expect(manifest.EscrowFactory.owner).to.equal(deployer.address);
+            expect(manifest.EscrowFactory.pendingOwner).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should reject an invalid configured fee recipient", async function() {
+            await expect(deployEscrowFactory(hre, { feeRecipient: "0x1234", log: quiet }))
+                .to.be.rejectedWith("Invalid fee recipient");
+        });
+    });
+
+    describe("Idempotency", function() {
+        it("should skip redeploying when the on-chain code matches", async function() {
+            const first = await deployEscrowFactory(hre, { feeRecipient: feeRecipient.address, log: quiet });
+            const blockBefore = await ethers.provider.getBlockNumber();
+
+            const second = await deployEscrowFactory(hre, { feeRecipient: feeRecipient.address, log: quiet });
+            expect(second.deployed).to.be.false;
+            expect(second.manifest.EscrowFactory.address).to.equal(first.manifest.EscrowFactory.address);
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        });
+
+        it("should redeploy when the constructor args change", async function() {
+            const first = await deployEscrowFactory(hre, { feeRecipient: feeRecipient.address, log: quiet });
+            const second = await deployEscrowFactory(hre, { feeRecipient: admin.address, log: quiet });
+
+            expect(second.deployed).to.be.true;
+            expect(second.manifest.EscrowFactory.address).to.not.equal(first.manifest.EscrowFactory.address);
+        });
+
+        it("should redeploy when the recorded address has no code", async function() {
+            const first = await deployEscrowFactory(hre, { log: quiet });
+            const manifest = readDeployment(hre.network.name);
+            manifest.EscrowFactory.address = ethers.Wallet.createRandom().address;
+            writeDeployment(hre.network.name, manifest);
+
+            const second = await deployEscrowFactory(hre, { log: quiet });
+            expect(second.deployed).to.be.true;
+            expect(second.manifest.EscrowFactory.address).to.not.equal(first.manifest.EscrowFactory.address);
+        });
+
+        it("should refuse a manifest recorded for another chain", async function() {
+            writeDeployment(hre.network.name, { network: hre.network.name, chainId: 1 });
+
+            await expect(deployEscrowFactory(hre, { log: quiet }))
+                .to.be.rejectedWith("is for chain 1");
+        });
+    });
+
+    describe("Ownership", function() {
+        it("should start the Ownable2Step transfer to the configured admin", async function() {
+            const { manifest } = await deployEscrowFactory(hre, { admin: admin.address, log: quiet });
+            expect(manifest.EscrowFactory.owner).to.equal(deployer.address);
+            expect(manifest.EscrowFactory.pendingOwner).to.equal(admin.address);
+
+            const factory = await ethers.getContractAt("EscrowFactory", manifest.EscrowFactory.address);
+            expect(await factory.pendingOwner()).to.equal(admin.address);
+
+            await factory.connect(admin).acceptOwnership();
+            expect(await factory.owner()).to.equal(admin.address);
+        });
+
+        it("should not start the transfer twice on a rerun", async function() {
+            await deployEscrowFactory(hre, { admin: admin.address, log: quiet });
+            const blockBefore = await ethers.provider.getBlockNumber();
+
+            const { deployed } = await deployEscrowFactory(hre, { admin: admin.address, log: quiet });
+            expect(deployed).to.be.false;
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        });
+    });
+
+    describe("Verification", function() {
+        it("should rebuild the Etherscan payload from the manifest", async function() {
+            const { manifest } = await deployEscrowFactory(hre, { feeRecipient: feeRecipient.address, log: quiet });
+
+            const submitted = [];
+            const stubVerifier = async (payload) => {
+                submitted.push(payload);
+                return { guid: "stub-guid" };
+            };
+            const result = await verifyDeployment(hre, "EscrowFactory", { apiKey: "test-key", verifier: stubVerifier });
+            expect(result.guid).to.equal("stub-guid");
+            expect(submitted).to.have.length(1);
+
+            const payload = submitted[0];
+            expect(payload.chainid).to.equal("31337");
+            expect(payload.apikey).to.equal("test-key");
+            expect(payload.contractaddress).to.equal(manifest.EscrowFactory.address);
+            expect(payload.contractname).to.equal("contracts/EscrowFactory.sol:EscrowFactory");
+            expect(payload.compilerversion).to.equal(`v${manifest.EscrowFactory.solcVersion}`);
+            expect(payload.codeformat).to.equal("solidity-standard-json-input");
+
+            const [decodedRecipient] = ethers.AbiCoder.defaultAbiCoder().decode(["address"], "0x" + payload.constructorArguements);
+            expect(decodedRecipient).to.equal(feeRecipient.address);
+
+            const input = JSON.parse(payload.sourceCode);
+            expect(input.sources).to.have.property("contracts/EscrowFactory.sol");
+            expect(input.settings.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+        });
+
+        it("should verify the escrow implementation without constructor args", async function() {
+            const { manifest } = await deployEscrowFactory(hre, { log: quiet });
+
+            const payload = await buildVerificationPayload(hre, "SimpleEscrow", { apiKey: "test-key" });
+            expect(payload.contractaddress).to.equal(manifest.SimpleEscrow.address);
+            expect(payload.contractname).to.equal("contracts/SimpleEscrow.sol:SimpleEscrow");
+            expect(payload.constructorArguements).to.equal("");
+        });
+
+        it("should fail when the network has no manifest entry", async function() {
+            await expect(buildVerificationPayload(hre, "EscrowFactory"))
+                .to.be.rejectedWith("No EscrowFactory entry");
+        });
+    });
+});
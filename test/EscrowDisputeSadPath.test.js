@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    UnauthorizedError,
+    DeadlinePassedError,
+    NotFundedError,
+    AlreadyReleasedError,
+    DisputeError,
+    InvalidSharesError,
+    InvalidArbiterError,
+} = require("../sdk");
+
+describe("Escrow Dispute Sad Path", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let arbiter;
+    let outsider;
+
+    const depositAmount = ethers.parseEther("1.0");
+    const arbiterFeeBps = 250n; // 2.5%
+    const salt = ethers.keccak256(ethers.toUtf8Bytes("dispute_salt"));
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, arbiter, outsider] = await ethers.getSigners();
+
+        // Deploy EscrowFactory
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+    });
+
+    // Deploy an escrow with an arbiter and a deadline 1 hour from the current block timestamp
+    async function createEscrow(params = {}) {
+        const deadline = (await time.latest()) + 3600;
+        const escrow = await factory.createEscrow({
+            depositor: depositor.address,
+            payee: payee.address,
+            deadline,
+            arbiter: arbiter.address,
+            arbiterFeeBps,
+            salt,
+            ...params,
+        });
+        return { escrow, deadline };
+    }
+
+    async function createFundedEscrow(params = {}) {
+        const { escrow, deadline } = await createEscrow(params);
+        await escrow.connect(depositor).fund(depositAmount);
+        return { escrow, deadline };
+    }
+
+    async function createDisputedEscrow(params = {}) {
+        const { escrow, deadline } = await createFundedEscrow(params);
+        await escrow.connect(payee).raiseDispute();
+        return { escrow, deadline };
+    }
+
+    // Balance change of `account` across `action`, ignoring the gas it paid
+    async function balanceChange(account, action) {
+        const before = await ethers.provider.getBalance(account.address);
+        const receipt = await action();
+        const gas = receipt.from === account.address ? receipt.gasUsed * receipt.gasPrice : 0n;
+        return (await ethers.provider.getBalance(account.address)) - before + gas;
+    }
+
+    describe("Creating Escrows With an Arbiter", function() {
+        it("should store the arbiter and fee and predict the address", async function() {
+            const { escrow, deadline } = await createEscrow();
+
+            const status = await escrow.status();
+            expect(status.arbiter).to.equal(arbiter.address);
+            expect(status.arbiterFeeBps).to.equal(arbiterFeeBps);
+            expect(status.disputeState).to.equal("None");
+
+            const predicted = await factory.predictAddress({ depositor: depositor.address, payee: payee.address, deadline, arbiter: arbiter.address, arbiterFeeBps, salt });
+            expect(escrow.address).to.equal(predicted);
+        });
+
+        it("should revert if the arbiter is one of the parties", async function() {
+            const error = await createEscrow({ arbiter: payee.address }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidArbiterError);
+            expect(error.reason).to.equal("InvalidArbiter");
+            expect(error.args).to.deep.equal({ arbiter: payee.address });
+        });
+
+        it("should revert if the arbiter fee is above the maximum", async function() {
+            const error = await createEscrow({ arbiterFeeBps: 1001n }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidArbiterError);
+            expect(error.reason).to.equal("InvalidArbiterFee");
+            expect(error.args).to.deep.equal({ arbiterFeeBps: 1001n });
+        });
+
+        it("should revert if an arbiter fee is set without an arbiter", async function() {
+            await expect(createEscrow({ arbiter: ethers.ZeroAddress }))
+                .to.be.revertedWithCustomError(factory.contract, "InvalidArbiterFee")
+                .withArgs(arbiterFeeBps);
+        });
+    });
+
+    describe("Raising Disputes", function() {
+        it("should let either party raise a dispute before the deadline", async function() {
+            const { escrow } = await createFundedEscrow();
+
+            await expect(escrow.connect(depositor).raiseDispute())
+                .to.emit(escrow.contract, "DisputeRaised")
+                .withArgs(depositor.address);
+            expect((await escrow.status()).disputeState).to.equal("Disputed");
+        });
+
+        it("should revert if the escrow has no arbiter", async function() {
+            const { escrow } = await createFundedEscrow({ arbiter: ethers.ZeroAddress, arbiterFeeBps: 0n });
+
+            const error = await escrow.connect(payee).raiseDispute().catch((e) => e);
+            expect(error).to.be.instanceOf(DisputeError);
+            expect(error.reason).to.equal("NoArbiter");
+        });
+
+        it("should revert if an outsider or the arbiter raises a dispute", async function() {
+            const { escrow } = await createFundedEscrow();
+
+            const error = await escrow.connect(outsider).raiseDispute().catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+            await expect(escrow.connect(arbiter).raiseDispute())
+                .to.be.revertedWithCustomError(escrow.contract, "OnlyParties")
+                .withArgs(arbiter.address);
+        });
+
+        it("should revert if the escrow is not funded", async function() {
+            const { escrow } = await createEscrow();
+
+            const error = await escrow.connect(payee).raiseDispute().catch((e) => e);
+            expect(error).to.be.instanceOf(NotFundedError);
+        });
+
+        it("should revert if the escrow was fully released", async function() {
+            const { escrow } = await createFundedEscrow();
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+
+            const error = await escrow.connect(payee).raiseDispute().catch((e) => e);
+            expect(error).to.be.instanceOf(AlreadyReleasedError);
+        });
+
+        it("should revert if a dispute is already open", async function() {
+            const { escrow } = await createDisputedEscrow();
+
+            const error = await escrow.connect(depositor).raiseDispute().catch((e) => e);
+            expect(error).to.be.instanceOf(DisputeError);
+            expect(error.reason).to.equal("AlreadyDisputed");
+        });
+
+        it("should revert after the deadline", async function() {
+            const { escrow, deadline } = await createFundedEscrow();
+            await time.increaseTo(deadline + 1);
+
+            const error = await escrow.connect(payee).raiseDispute().catch((e) => e);
+            expect(error).to.be.instanceOf(DeadlinePassedError);
+        });
+    });
+
+    describe("Frozen While Disputed", function() {
+        it("should block release with a valid depositor signature", async function() {
+            const { escrow } = await createFundedEscrow();
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount);
+            await escrow.connect(payee).raiseDispute();
+
+            const error = await escrow.connect(payee).release(authorization).catch((e) => e);
+            expect(error).to.be.instanceOf(DisputeError);
+            expect(error.reason).to.equal("EscrowInDispute");
+        });
+
+        it("should block reclaim even after the deadline", async function() {
+            const { escrow, deadline } = await createDisputedEscrow();
+            await time.increaseTo(deadline + 1);
+
+            await expect(escrow.connect(depositor).reclaim())
+                .to.be.revertedWithCustomError(escrow.contract, "EscrowInDispute");
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(depositAmount);
+        });
+    });
+
+    describe("Resolving Disputes", function() {
+        it("should split the remainder and pay the arbiter fee", async function() {
+            const { escrow } = await createDisputedEscrow();
+
+            const arbiterFee = depositAmount * arbiterFeeBps / 10000n;
+            expect(await escrow.arbiterFee()).to.equal(arbiterFee);
+            const payeeShare = ethers.parseEther("0.6");
+            const depositorShare = depositAmount - arbiterFee - payeeShare;
+            const protocolFee = payeeShare / 100n;
+
+            const depositorBefore = await ethers.provider.getBalance(depositor.address);
+            const payeeBefore = await ethers.provider.getBalance(payee.address);
+
+            expect(await balanceChange(arbiter, () => escrow.connect(arbiter).resolve(payeeShare, depositorShare)))
+                .to.equal(arbiterFee);
+            expect(await ethers.provider.getBalance(depositor.address)).to.equal(depositorBefore + depositorShare);
+            expect(await ethers.provider.getBalance(payee.address)).to.equal(payeeBefore + payeeShare - protocolFee);
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(protocolFee);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0);
+
+            const status = await escrow.status();
+            expect(status.disputeState).to.equal("Resolved");
+            expect(status.remaining).to.equal(0);
+        });
+
+        it("should emit DisputeResolved with the shares", async function() {
+            const { escrow } = await createDisputedEscrow({ arbiterFeeBps: 0n });
+
+            await expect(escrow.connect(arbiter).resolve(0n, depositAmount))
+                .to.emit(escrow.contract, "DisputeResolved")
+                .withArgs(0n, depositAmount, 0n);
+        });
+
+        it("should only split what is left after earlier releases", async function() {
+            const { escrow } = await createFundedEscrow();
+            const released = ethers.parseEther("0.4");
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(released));
+            await escrow.connect(depositor).raiseDispute();
+
+            const disputed = depositAmount - released;
+            const arbiterFee = disputed * arbiterFeeBps / 10000n;
+
+            const error = await escrow.connect(arbiter).resolve(disputed, 0n).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSharesError);
+
+            await escrow.connect(arbiter).resolve(disputed - arbiterFee, 0n);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0);
+            expect(await escrow.contract.releasedAmount()).to.equal(depositAmount - arbiterFee);
+        });
+
+        it("should revert if shares do not add up to the remainder", async function() {
+            const { escrow } = await createDisputedEscrow();
+
+            const error = await escrow.connect(arbiter).resolve(depositAmount / 2n, depositAmount / 2n).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSharesError);
+            expect(error.reason).to.equal("SharesMismatch");
+            expect(error.args).to.deep.equal({ shares: depositAmount + depositAmount * arbiterFeeBps / 10000n, remaining: depositAmount });
+        });
+
+        it("should revert if anyone but the arbiter resolves", async function() {
+            const { escrow } = await createDisputedEscrow({ arbiterFeeBps: 0n });
+
+            const error = await escrow.connect(payee).resolve(depositAmount, 0n).catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+            expect(error.reason).to.equal("OnlyArbiter");
+            expect(error.args).to.deep.equal({ caller: payee.address });
+        });
+
+        it("should revert if there is no open dispute", async function() {
+            const { escrow } = await createFundedEscrow({ arbiterFeeBps: 0n });
+
+            const error = await escrow.connect(arbiter).resolve(depositAmount, 0n).catch((e) => e);
+            expect(error).to.be.instanceOf(DisputeError);
+            expect(error.reason).to.equal("NotDisputed");
+        });
+
+        it("should not allow a second resolution, reclaim or dispute", async function() {
+            const { escrow, deadline } = await createDisputedEscrow({ arbiterFeeBps: 0n });
+            await escrow.connect(arbiter).resolve(depositAmount / 2n, depositAmount / 2n);
+
+            await expect(escrow.connect(arbiter).resolve(0n, 0n))
+                .to.be.revertedWithCustomError(escrow.contract, "NotDisputed");
+            await expect(escrow.connect(depositor).raiseDispute())
+                .to.be.revertedWithCustomError(escrow.contract, "AlreadyDisputed");
+
+            await time.increaseTo(deadline + 1);
+            await expect(escrow.connect(depositor).reclaim())
+                .to.be.revertedWithCustomError(escrow.contract, "EscrowInDispute");
+        });
+    });
+});
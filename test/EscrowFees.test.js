@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    DEFAULT_FEE_TIERS,
+    calculateFee,
+    feeBpsFor,
+    UnauthorizedError,
+    InvalidFeeScheduleError,
+    InvalidFeeRecipientError,
+} = require("../sdk");
+
+describe("Escrow Fee Schedule", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let newRecipient;
+    let deadline;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    // 1.5% below 10 ETH, 0.5% from 10 ETH, 0.25% from 100 ETH
+    const tiers = [
+        { minDeposit: 0n, feeBps: 150n },
+        { minDeposit: ethers.parseEther("10"), feeBps: 50n },
+        { minDeposit: ethers.parseEther("100"), feeBps: 25n },
+    ];
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, newRecipient] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+    });
+
+    async function createEscrow(salt, params = {}) {
+        return factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt, ...params });
+    }
+
+    async function release(escrow, amount) {
+        const authorization = await escrow.connect(depositor).signRelease(amount);
+        return escrow.connect(payee).release(authorization);
+    }
+
+    describe("Basis points and rounding", function() {
+        it("should start with the default 1% schedule", async function() {
+            expect(await factory.getFeeSchedule()).to.deep.equal(DEFAULT_FEE_TIERS);
+            expect(await factory.contract.DEFAULT_FEE_BPS()).to.equal(100);
+        });
+
+        it("should charge a fractional percentage", async function() {
+            await factory.setFeeSchedule([{ minDeposit: 0n, feeBps: 25n }]);
+            const escrow = await createEscrow("quarter_percent");
+            await escrow.connect(depositor).fund(depositAmount);
+
+            await release(escrow, depositAmount);
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(ethers.parseEther("0.0025"));
+        });
+
+        it("should round the fee up so small releases are not free", async function() {
+            const escrow = await createEscrow("rounding");
+            await escrow.connect(depositor).fund(depositAmount);
+
+            // 1% of 99 wei is 0.99 wei, charged as 1 wei
+            await release(escrow, 99n);
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(1n);
+
+            // 1% of 1000 wei is exact
+            await release(escrow, 1000n);
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(11n);
+            expect(calculateFee(99n, 100n) + calculateFee(1000n, 100n)).to.equal(11n);
+        });
+
+        it("should take no fee with a zero-bps schedule", async function() {
+            await factory.setFeeSchedule([{ minDeposit: 0n, feeBps: 0n }]);
+            const escrow = await createEscrow("free");
+            await escrow.connect(depositor).fund(depositAmount);
+
+            await expect(release(escrow, depositAmount))
+                .to.emit(escrow.contract, "Released")
+                .withArgs(payee.address, depositAmount, depositAmount);
+        });
+    });
+
+    describe("Fee tiers", function() {
+        beforeEach(async function() {
+            await factory.setFeeSchedule(tiers);
+        });
+
+        it("should pick the tier from the funded deposit", async function() {
+            for (const [salt, amount] of [["small", ethers.parseEther("9.99")], ["medium", ethers.parseEther("10")], ["large", ethers.parseEther("250")]]) {
+                const escrow = await createEscrow(salt);
+                await escrow.connect(depositor).fund(amount);
+
+                expect(await escrow.contract.feeBps()).to.equal(feeBpsFor(tiers, amount));
+            }
+        });
+
+        it("should quote the rate for a deposit before funding", async function() {
+            const escrow = await createEscrow("quote");
+
+            expect(await escrow.contract.feeBpsFor(ethers.parseEther("1"))).to.equal(150);
+            expect(await escrow.contract.feeBpsFor(ethers.parseEther("100"))).to.equal(25);
+            expect((await escrow.status()).feeTiers).to.deep.equal(tiers);
+        });
+
+        it("should keep the deposit's tier for every partial release", async function() {
+            const escrow = await createEscrow("partial");
+            await escrow.connect(depositor).fund(ethers.parseEther("20"));
+
+            // 1 ETH alone would be in the 1.5% tier, but the deal is in the 0.5% one
+            await release(escrow, ethers.parseEther("1"));
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(ethers.parseEther("0.005"));
+        });
+
+        it("should use a token's own schedule, falling back to the default", async function() {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+            const tokenAddress = await token.getAddress();
+
+            expect(await factory.getFeeSchedule(tokenAddress)).to.deep.equal(tiers);
+
+            const tokenTiers = [{ minDeposit: 0n, feeBps: 30n }, { minDeposit: ethers.parseUnits("10000", 6), feeBps: 10n }];
+            await expect(factory.contract.setFeeSchedule(tokenAddress, tokenTiers))
+                .to.emit(factory.contract, "FeeScheduleUpdated");
+            expect(await factory.getFeeSchedule(tokenAddress)).to.deep.equal(tokenTiers);
+            expect(await factory.getFeeSchedule()).to.deep.equal(tiers);
+
+            await factory.setFeeSchedule([], tokenAddress);
+            expect(await factory.getFeeSchedule(tokenAddress)).to.deep.equal(tiers);
+        });
+    });
+
+    describe("Changing fees while escrows are live", function() {
+        it("should not change the fee of escrows that already exist", async function() {
+            const funded = await createEscrow("funded");
+            await funded.connect(depositor).fund(depositAmount);
+            const unfunded = await createEscrow("unfunded");
+
+            await factory.setFeeSchedule([{ minDeposit: 0n, feeBps: 500n }]);
+            await unfunded.connect(depositor).fund(depositAmount);
+            const later = await createEscrow("later");
+            await later.connect(depositor).fund(depositAmount);
+
+            expect(await funded.contract.feeBps()).to.equal(100);
+            expect(await unfunded.contract.feeBps()).to.equal(100);
+            expect(await later.contract.feeBps()).to.equal(500);
+
+            await release(funded, depositAmount);
+            await release(unfunded, depositAmount);
+            await release(later, depositAmount);
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(ethers.parseEther("0.07"));
+        });
+
+        it("should predict the address for the schedule in force", async function() {
+            const params = { depositor: depositor.address, payee: payee.address, deadline, salt: "predict" };
+            const before = await factory.predictAddress(params);
+
+            await factory.setFeeSchedule(tiers);
+            const after = await factory.predictAddress(params);
+            expect(after).to.not.equal(before);
+            expect(await factory.predictAddress({ ...params, feeTiers: DEFAULT_FEE_TIERS })).to.equal(before);
+            expect(await factory.contract.predictAddress(depositor.address, payee.address, deadline, ethers.id("predict"))).to.equal(after);
+
+            expect((await createEscrow("predict")).address).to.equal(after);
+        });
+
+        it("should send withdrawn fees to the new recipient", async function() {
+            const escrow = await createEscrow("recipient");
+            await escrow.connect(depositor).fund(depositAmount);
+            await release(escrow, depositAmount);
+
+            await expect(factory.contract.setFeeRecipient(newRecipient.address))
+                .to.emit(factory.contract, "FeeRecipientUpdated")
+                .withArgs(feeRecipient.address, newRecipient.address);
+
+            const before = await ethers.provider.getBalance(newRecipient.address);
+            await factory.withdrawFees();
+            expect(await ethers.provider.getBalance(newRecipient.address)).to.equal(before + ethers.parseEther("0.01"));
+        });
+    });
+
+    describe("Governance", function() {
+        it("should only let the owner change fees", async function() {
+            const error = await factory.connect(depositor).setFeeSchedule(tiers).catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+
+            await expect(factory.contract.connect(depositor).setFeeRecipient(depositor.address))
+                .to.be.revertedWithCustomError(factory.contract, "OwnableUnauthorizedAccount");
+        });
+
+        it("should cap the fee at MAX_FEE_BPS", async function() {
+            expect(await factory.contract.MAX_FEE_BPS()).to.equal(500);
+
+            const error = await factory.setFeeSchedule([{ minDeposit: 0n, feeBps: 501n }]).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidFeeScheduleError);
+            expect(error.reason).to.equal("FeeTooHigh");
+            expect(error.args).to.deep.equal({ feeBps: 501n, maxFeeBps: 500n });
+        });
+
+        it("should reject malformed schedules", async function() {
+            const malformed = [
+                [],
+                [{ minDeposit: 1n, feeBps: 100n }],
+                [{ minDeposit: 0n, feeBps: 100n }, { minDeposit: 0n, feeBps: 50n }],
+                Array.from({ length: 9 }, (_, i) => ({ minDeposit: BigInt(i), feeBps: 10n })),
+            ];
+            for (const schedule of malformed) {
+                const error = await factory.setFeeSchedule(schedule).catch((e) => e);
+                expect(error).to.be.instanceOf(InvalidFeeScheduleError);
+            }
+        });
+
+        it("should reject a zero fee recipient", async function() {
+            const error = await factory.setFeeRecipient(ethers.ZeroAddress).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidFeeRecipientError);
+
+            await expect(EscrowFactoryClient.deploy(ethers.ZeroAddress, deployer))
+                .to.be.rejectedWith(InvalidFeeRecipientError, "InvalidFeeRecipient()");
+        });
+    });
+});
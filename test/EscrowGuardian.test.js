@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowFactoryClient, EscrowFrozenError, EscrowAlreadyFrozenError, EscrowNotFrozenError, UnauthorizedError, UnknownEscrowError } = require("../sdk");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Guardian", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let guardian;
+    let newGuardian;
+    let other;
+    let deadline;
+    let guardianRole;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, guardian, newGuardian, other] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        await factory.addGuardian(guardian.address);
+        guardianRole = await factory.contract.GUARDIAN_ROLE();
+        deadline = (await time.latest()) + 3600;
+    });
+
+    const { createFundedEscrow } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+    async function releaseAll(escrow) {
+        return escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+    }
+
+    describe("Roles", function() {
+        it("should make the owner the only admin and let it rotate guardians", async function() {
+            expect(await factory.contract.hasRole(ethers.ZeroHash, deployer.address)).to.be.true;
+            expect(await factory.isGuardian(guardian.address)).to.be.true;
+            expect(await factory.isGuardian(deployer.address)).to.be.false;
+
+            await factory.addGuardian(newGuardian.address);
+            await factory.removeGuardian(guardian.address);
+
+            const escrow = await createFundedEscrow("rotated");
+            const error = await factory.connect(guardian).freeze(escrow.address).catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+            expect(error.reason).to.equal("AccessControlUnauthorizedAccount");
+            await factory.connect(newGuardian).freeze(escrow.address);
+            expect((await escrow.status()).frozen).to.be.true;
+        });
+
+        it("should not let anyone but the owner manage guardians", async function() {
+            await expect(factory.contract.connect(guardian).grantRole(guardianRole, other.address))
+                .to.be.revertedWithCustomError(factory.contract, "AccessControlUnauthorizedAccount")
+                .withArgs(guardian.address, ethers.ZeroHash);
+            expect(await factory.connect(other).removeGuardian(guardian.address).catch((e) => e)).to.be.instanceOf(UnauthorizedError);
+        });
+
+        it("should let a guardian step down", async function() {
+            await factory.contract.connect(guardian).renounceRole(guardianRole, guardian.address);
+            expect(await factory.isGuardian(guardian.address)).to.be.false;
+        });
+
+        it("should move the admin role with ownership", async function() {
+            await factory.contract.transferOwnership(other.address);
+            // Still the deployer's until the transfer is accepted
+            await factory.removeGuardian(guardian.address);
+            await factory.contract.connect(other).acceptOwnership();
+
+            expect(await factory.contract.hasRole(ethers.ZeroHash, other.address)).to.be.true;
+            expect(await factory.contract.hasRole(ethers.ZeroHash, deployer.address)).to.be.false;
+            expect(await factory.addGuardian(guardian.address).catch((e) => e)).to.be.instanceOf(UnauthorizedError);
+            await factory.connect(other).addGuardian(newGuardian.address);
+            expect(await factory.isGuardian(newGuardian.address)).to.be.true;
+        });
+
+        it("should keep the admin role tied to the owner", async function() {
+            await expect(factory.contract.grantRole(ethers.ZeroHash, other.address))
+                .to.be.revertedWithCustomError(factory.contract, "AdminIsOwner")
+                .withArgs(other.address);
+            await expect(factory.contract.renounceRole(ethers.ZeroHash, deployer.address))
+                .to.be.revertedWithCustomError(factory.contract, "AdminIsOwner")
+                .withArgs(deployer.address);
+
+            await factory.contract.renounceOwnership();
+            expect(await factory.contract.hasRole(ethers.ZeroHash, deployer.address)).to.be.false;
+            // Guardians already appointed stay
+            expect(await factory.isGuardian(guardian.address)).to.be.true;
+        });
+    });
+
+    describe("Freezing one escrow", function() {
+        it("should halt releases from that escrow only", async function() {
+            const frozen = await createFundedEscrow("frozen");
+            const open = await createFundedEscrow("open");
+
+            const receipt = await factory.connect(guardian).freeze(frozen.address);
+            await expect(receipt).to.emit(factory.contract, "EscrowFrozen").withArgs(frozen.address, guardian.address);
+
+            const error = await releaseAll(frozen).catch((e) => e);
+            expect(error).to.be.instanceOf(EscrowFrozenError);
+            expect(error.reason).to.equal("EscrowFrozen");
+            const relayed = await frozen.connect(depositor).signRelayedRelease(depositAmount, { relayerFee: 1n });
+            await expect(frozen.contract.connect(other).relayRelease(depositAmount, ethers.ZeroAddress, 1n, relayed.validUntil, relayed.signature))
+                .to.be.revertedWithCustomError(frozen.contract, "EscrowFrozen");
+
+            await releaseAll(open);
+            expect(await open.contract.released()).to.be.true;
+        });
+
+        it("should still let the depositor reclaim after the deadline", async function() {
+            const escrow = await createFundedEscrow("reclaim");
+            await factory.connect(guardian).freeze(escrow.address);
+            await time.increaseTo(deadline + 1);
+
+            await escrow.connect(depositor).reclaim();
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0n);
+        });
+
+        it("should keep an arbiter from paying the payee, but not from refunding the depositor", async function() {
+            const escrow = await createFundedEscrow("disputed", { arbiter: other.address });
+            await escrow.connect(payee).raiseDispute();
+            await factory.connect(guardian).freeze(escrow.address);
+
+            const error = await escrow.connect(other).resolve(depositAmount / 2n, depositAmount / 2n).catch((e) => e);
+            expect(error).to.be.instanceOf(EscrowFrozenError);
+            expect(error.reason).to.equal("EscrowFrozen");
+
+            const before = await ethers.provider.getBalance(depositor.address);
+            await escrow.connect(other).resolve(0n, depositAmount);
+            expect(await ethers.provider.getBalance(depositor.address)).to.equal(before + depositAmount);
+            expect(await escrow.contract.releasedAmount()).to.equal(0n);
+        });
+
+        it("should allow releases again once unfrozen", async function() {
+            const escrow = await createFundedEscrow("unfrozen");
+            await factory.connect(guardian).freeze(escrow.address);
+            const receipt = await factory.connect(guardian).unfreeze(escrow.address);
+            await expect(receipt).to.emit(factory.contract, "EscrowUnfrozen").withArgs(escrow.address, guardian.address);
+
+            await releaseAll(escrow);
+            expect(await escrow.contract.released()).to.be.true;
+        });
+
+        it("should reject freezing twice, unfreezing what is not frozen and anything but an escrow", async function() {
+            const escrow = await createFundedEscrow("twice");
+            await factory.connect(guardian).freeze(escrow.address);
+
+            await expect(factory.contract.connect(guardian).freezeEscrow(escrow.address))
+                .to.be.revertedWithCustomError(factory.contract, "AlreadyFrozen")
+                .withArgs(escrow.address);
+            await expect(factory.contract.connect(guardian).unfreezeEscrow(other.address))
+                .to.be.revertedWithCustomError(factory.contract, "NotFrozen")
+                .withArgs(other.address);
+            const error = await factory.connect(guardian).freeze(escrow.address).catch((e) => e);
+            expect(error).to.be.instanceOf(EscrowAlreadyFrozenError);
+            expect(error).to.not.be.instanceOf(EscrowFrozenError);
+            expect(await factory.connect(guardian).freeze(other.address).catch((e) => e)).to.be.instanceOf(UnknownEscrowError);
+        });
+    });
+
+    describe("Freezing all escrows", function() {
+        it("should halt releases from every escrow, including new ones", async function() {
+            const before = await createFundedEscrow("before");
+            const receipt = await factory.connect(guardian).freeze();
+            await expect(receipt).to.emit(factory.contract, "EscrowFrozen").withArgs(ethers.ZeroAddress, guardian.address);
+            const after = await createFundedEscrow("after");
+
+            for (const escrow of [before, after]) {
+                expect(await releaseAll(escrow).catch((e) => e)).to.be.instanceOf(EscrowFrozenError);
+            }
+            expect(await factory.contract.paused()).to.be.false;
+
+            await factory.connect(guardian).unfreeze();
+            await releaseAll(after);
+            expect(await after.contract.released()).to.be.true;
+        });
+
+        it("should keep escrows frozen one by one when the freeze on all is lifted", async function() {
+            const escrow = await createFundedEscrow("both");
+            await factory.connect(guardian).freeze(escrow.address);
+            await factory.connect(guardian).freeze();
+            await factory.connect(guardian).unfreeze();
+
+            expect(await factory.getFreezeStatus(escrow.address)).to.deep.equal({ frozen: true, frozenEscrow: true, allFrozen: false });
+            expect(await releaseAll(escrow).catch((e) => e)).to.be.instanceOf(EscrowFrozenError);
+        });
+
+        it("should be separate from pausing deployments", async function() {
+            const escrow = await createFundedEscrow("paused");
+            await factory.pause();
+
+            expect((await escrow.status()).frozen).to.be.false;
+            await releaseAll(escrow);
+
+            const error = await factory.connect(guardian).unfreeze().catch((e) => e);
+            expect(error).to.be.instanceOf(EscrowNotFrozenError);
+            expect(error.reason).to.equal("NotFrozen");
+        });
+    });
+});
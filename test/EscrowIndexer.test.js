@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowFactoryClient } = require("../sdk");
+const { EscrowIndexer, JsonFileStore } = require("../indexer");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Indexer", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let otherPayee;
+    let feeRecipient;
+    let deployBlock;
+    let deadline;
+    let storeDir;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, otherPayee] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deployBlock = await ethers.provider.getBlockNumber();
+        deadline = (await time.latest()) + 3600;
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-indexer-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    function createIndexer(options = {}) {
+        return new EscrowIndexer({
+            provider: ethers.provider,
+            factory: factory.address,
+            store: new JsonFileStore(path.join(storeDir, "index.json")),
+            fromBlock: deployBlock,
+            ...options,
+        });
+    }
+
+    const { deal, createFundedEscrow } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+    async function release(escrow, amount) {
+        return escrow.connect(payee).release(await escrow.connect(depositor).signRelease(amount));
+    }
+
+    describe("Following events", function() {
+        it("should rebuild each escrow's status from its logs", async function() {
+            const created = await factory.createEscrow(deal("created"));
+            const funded = await createFundedEscrow("funded");
+            const partial = await createFundedEscrow("partial");
+            await release(partial, ethers.parseEther("0.4"));
+            const released = await createFundedEscrow("released");
+            await release(released, ethers.parseEther("0.4"));
+            await release(released, ethers.parseEther("0.6"));
+            const reclaimed = await createFundedEscrow("reclaimed", { deadline: deadline - 1800 });
+
+            await time.increaseTo(deadline - 1800 + 1);
+            await reclaimed.connect(depositor).reclaim();
+
+            const indexer = createIndexer();
+            await indexer.sync();
+
+            expect(indexer.getEscrow(created.address).status).to.equal("created");
+            expect(indexer.getEscrow(funded.address)).to.include({ status: "funded", depositAmount });
+            expect(indexer.getEscrow(partial.address)).to.include({ status: "funded", releasedAmount: ethers.parseEther("0.4") });
+            expect(indexer.getEscrow(released.address)).to.include({ status: "released", releasedAmount: depositAmount });
+            expect(indexer.getEscrow(reclaimed.address)).to.include({ status: "reclaimed", reclaimedAmount: depositAmount });
+
+            const record = indexer.getEscrow(funded.address);
+            expect(record).to.include({ depositor: depositor.address, payee: payee.address, deadline: BigInt(deadline), token: ethers.ZeroAddress });
+        });
+
+        it("should track disputes and their resolution", async function() {
+            const arbiter = (await ethers.getSigners())[5];
+            const escrow = await createFundedEscrow("disputed", { arbiter: arbiter.address });
+            await escrow.connect(payee).raiseDispute();
+
+            const indexer = createIndexer();
+            await indexer.sync();
+            expect(indexer.getEscrow(escrow.address).status).to.equal("disputed");
+
+            await escrow.connect(arbiter).resolve(depositAmount / 2n, depositAmount / 2n);
+            await indexer.sync();
+            expect(indexer.getEscrow(escrow.address)).to.include({ status: "resolved", releasedAmount: depositAmount / 2n });
+        });
+
+        it("should follow deadline extensions and cancellations", async function() {
+            const extended = await createFundedEscrow("extended");
+            const newDeadline = BigInt(deadline + 86400);
+            await extended.connect(depositor).extendDeadline(await extended.connect(payee).signExtendDeadline(newDeadline));
+            const cancelled = await createFundedEscrow("cancelled");
+            await cancelled.connect(depositor).cancel(await cancelled.connect(payee).signCancel());
+
+            const indexer = createIndexer();
+            await indexer.sync();
+
+            expect(indexer.getEscrow(extended.address)).to.include({ status: "funded", deadline: newDeadline });
+            expect(indexer.getEscrow(cancelled.address)).to.include({ status: "cancelled", reclaimedAmount: depositAmount });
+            expect(indexer.findEscrows({ deadlineFrom: deadline + 1 }).map((e) => e.address)).to.deep.equal([extended.address]);
+        });
+
+        it("should mark closed escrows, keeping the amounts that show how they ended", async function() {
+            const escrow = await createFundedEscrow("closed");
+            await escrow.connect(depositor).cancel(await escrow.connect(payee).signCancel());
+            await escrow.connect(payee).close();
+
+            const indexer = createIndexer();
+            await indexer.sync();
+
+            expect(indexer.getEscrow(escrow.address)).to.include({ status: "closed", reclaimedAmount: depositAmount });
+            expect(indexer.findEscrows({ status: "closed" }).map((e) => e.address)).to.deep.equal([escrow.address]);
+        });
+
+        it("should ignore escrows from other factories", async function() {
+            const other = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+            await other.createEscrow(deal("other"));
+            const ours = await createFundedEscrow("ours");
+
+            const indexer = createIndexer();
+            await indexer.sync();
+            expect(indexer.findEscrows().map((e) => e.address)).to.deep.equal([ours.address]);
+        });
+
+        it("should backfill from a node that only serves the latest state", async function() {
+            const arbiter = (await ethers.getSigners())[5];
+            const escrow = await createFundedEscrow("pruned", { arbiter: arbiter.address });
+            const newDeadline = BigInt(deadline + 86400);
+            await escrow.connect(depositor).extendDeadline(await escrow.connect(payee).signExtendDeadline(newDeadline));
+            await mine(10);
+
+            // Like a pruned RPC node, which has no state for older blocks
+            const pruned = new Proxy(ethers.provider, {
+                get(target, property) {
+                    if (property === "call") {
+                        return async (tx) => {
+                            if (tx.blockTag !== undefined && tx.blockTag !== "latest") {
+                                throw new Error("missing trie node");
+                            }
+                            return target.call(tx);
+                        };
+                    }
+                    const value = target[property];
+                    return typeof value === "function" ? value.bind(target) : value;
+                },
+            });
+            const indexer = createIndexer({ provider: pruned });
+            await indexer.sync();
+
+            expect(indexer.getEscrow(escrow.address)).to.include({ status: "funded", deadline: newDeadline, arbiter: arbiter.address, token: ethers.ZeroAddress });
+        });
+
+        it("should index in batches up to a given block", async function() {
+            const first = await createFundedEscrow("first");
+            const target = await ethers.provider.getBlockNumber();
+            await createFundedEscrow("second");
+
+            const indexer = createIndexer({ batchSize: 1 });
+            const result = await indexer.sync({ toBlock: target });
+            expect(result.toBlock).to.equal(target);
+            expect(indexer.findEscrows().map((e) => e.address)).to.deep.equal([first.address]);
+
+            await indexer.sync();
+            expect(indexer.findEscrows()).to.have.length(2);
+        });
+    });
+
+    describe("Queries", function() {
+        let indexer;
+        let early;
+        let late;
+        let otherPayeeEscrow;
+
+        beforeEach(async function() {
+            early = await createFundedEscrow("early");
+            late = await createFundedEscrow("late", { deadline: deadline + 86400 });
+            otherPayeeEscrow = await factory.createEscrow({ depositor: depositor.address, payee: otherPayee.address, deadline: deadline + 60, salt: "other-payee" });
+
+            indexer = createIndexer();
+            await indexer.sync();
+        });
+
+        it("should find escrows by depositor and by payee", async function() {
+            expect(indexer.getEscrowsByDepositor(depositor.address)).to.have.length(3);
+            expect(indexer.getEscrowsByPayee(otherPayee.address).map((e) => e.address)).to.deep.equal([otherPayeeEscrow.address]);
+            expect(indexer.getEscrowsByPayee(payee.address.toLowerCase()).map((e) => e.address)).to.deep.equal([early.address, late.address]);
+        });
+
+        it("should find escrows by status", async function() {
+            expect(indexer.getEscrowsByStatus("created").map((e) => e.address)).to.deep.equal([otherPayeeEscrow.address]);
+            expect(indexer.getEscrowsByStatus(["funded", "created"])).to.have.length(3);
+            expect(() => indexer.getEscrowsByStatus("paid")).to.throw("Unknown escrow status");
+        });
+
+        it("should find funded escrows past their deadline", async function() {
+            expect(indexer.getEscrowsByDeadline(deadline, deadline + 60).map((e) => e.address)).to.deep.equal([early.address, otherPayeeEscrow.address]);
+
+            await time.increaseTo(deadline + 3600);
+            const overdue = indexer.findEscrows({ status: "funded", deadlineTo: await time.latest() });
+            expect(overdue.map((e) => e.address)).to.deep.equal([early.address]);
+        });
+    });
+
+    describe("Checkpoints and reorgs", function() {
+        it("should resume from its checkpoint after a restart", async function() {
+            const escrow = await createFundedEscrow("restart");
+
+            const first = createIndexer();
+            const initial = await first.sync();
+            expect(initial.fromBlock).to.equal(deployBlock);
+
+            await release(escrow, depositAmount);
+
+            const restarted = createIndexer();
+            const resumed = await restarted.sync();
+            expect(resumed.fromBlock).to.equal(initial.toBlock + 1);
+            expect(resumed.events).to.equal(1);
+            expect(restarted.getEscrow(escrow.address).status).to.equal("released");
+        });
+
+        it("should refuse a store written for another factory", async function() {
+            await createIndexer().sync();
+            const other = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+
+            await expect(createIndexer({ factory: other.address }).sync())
+                .to.be.rejectedWith("Indexer store belongs to factory");
+        });
+
+        it("should roll back events from blocks that were reorged out", async function() {
+            const escrow = await createFundedEscrow("reorg");
+            const forkPoint = await ethers.provider.getBlockNumber();
+            const snapshot = await network.provider.send("evm_snapshot");
+
+            await release(escrow, depositAmount);
+            const indexer = createIndexer();
+            await indexer.sync();
+            expect(indexer.getEscrow(escrow.address).status).to.equal("released");
+
+            // Replace the release block with empty ones
+            await network.provider.send("evm_revert", [snapshot]);
+            await mine(2);
+
+            const result = await indexer.sync();
+            expect(result.rolledBackTo).to.equal(forkPoint);
+            expect(indexer.getEscrow(escrow.address)).to.include({ status: "funded", releasedAmount: 0n });
+            expect(indexer.checkpoint.blockNumber).to.equal(forkPoint + 2);
+
+            // The rolled-back state was persisted too
+            const restarted = createIndexer();
+            await restarted.load();
+            expect(restarted.getEscrow(escrow.address).status).to.equal("funded");
+        });
+
+        it("should keep only the events a reorg can still replace", async function() {
+            const old = await createFundedEscrow("old");
+            await release(old, depositAmount / 4n);
+            await mine(10);
+            const recent = await createFundedEscrow("recent");
+            const snapshot = await network.provider.send("evm_snapshot");
+            await release(recent, depositAmount);
+
+            const indexer = createIndexer({ reorgDepth: 4 });
+            await indexer.sync();
+            const head = await ethers.provider.getBlockNumber();
+            const saved = JSON.parse(fs.readFileSync(path.join(storeDir, "index.json"), "utf8"));
+            expect(saved.events.every((e) => e.blockNumber > head - 4)).to.be.true;
+            expect(saved.events.map((e) => [e.name, e.escrow])).to.deep.equal([["EscrowCreated", recent.address], ["Funded", recent.address], ["Released", recent.address]]);
+            expect(Object.keys(saved.base)).to.deep.equal([old.address]);
+
+            // A rollback folds what is left of the window onto the compacted records
+            await network.provider.send("evm_revert", [snapshot]);
+            await mine(2);
+            await indexer.sync();
+            expect(indexer.getEscrow(recent.address)).to.include({ status: "funded", releasedAmount: 0n });
+            expect(indexer.getEscrow(old.address)).to.include({ status: "funded", releasedAmount: depositAmount / 4n });
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    toEscrowParams,
+    InvalidMilestoneError,
+    InvalidSignatureError,
+    AmountExceedsDepositError,
+    AlreadyReleasedError,
+    AlreadyReclaimedError,
+} = require("../sdk");
+
+describe("Escrow Milestones", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let deadline;
+
+    const depositAmount = ethers.parseEther("1.0");
+    const milestones = [ethers.parseEther("0.25"), ethers.parseEther("0.25"), ethers.parseEther("0.5")];
+    const salt = ethers.keccak256(ethers.toUtf8Bytes("milestone_salt"));
+
+    // Amount the payee receives after the 1% fee
+    const afterFee = (amount) => amount - amount / 100n;
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+    });
+
+    // Balance change of `account` across `action`, ignoring the gas it paid
+    async function balanceChange(account, action) {
+        const before = await ethers.provider.getBalance(account.address);
+        const receipt = await action();
+        const gas = receipt.from === account.address ? receipt.gasUsed * receipt.gasPrice : 0n;
+        return (await ethers.provider.getBalance(account.address)) - before + gas;
+    }
+
+    async function release(escrow, amount) {
+        const authorization = await escrow.connect(depositor).signRelease(amount);
+        return escrow.connect(payee).release(authorization);
+    }
+
+    describe("Partial releases", function() {
+        let escrow;
+
+        beforeEach(async function() {
+            escrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt });
+            await escrow.connect(depositor).fund(depositAmount);
+        });
+
+        it("should track releasedAmount across several signed releases", async function() {
+            const first = ethers.parseEther("0.3");
+            const second = ethers.parseEther("0.2");
+
+            expect(await balanceChange(payee, () => release(escrow, first))).to.equal(afterFee(first));
+            expect(await balanceChange(payee, () => release(escrow, second))).to.equal(afterFee(second));
+
+            const status = await escrow.status();
+            expect(status.releasedAmount).to.equal(first + second);
+            expect(status.remaining).to.equal(depositAmount - first - second);
+            expect(status.nonce).to.equal(2);
+            expect(status.released).to.be.false;
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(depositAmount - first - second);
+        });
+
+        it("should mark the escrow released once the whole deposit is paid out", async function() {
+            await release(escrow, ethers.parseEther("0.4"));
+            await release(escrow, ethers.parseEther("0.6"));
+
+            expect(await escrow.contract.released()).to.be.true;
+            expect(await escrow.contract.remaining()).to.equal(0);
+
+            const error = await release(escrow, 1n).catch((e) => e);
+            expect(error).to.be.instanceOf(AlreadyReleasedError);
+        });
+
+        it("should reject a release larger than what is left", async function() {
+            await release(escrow, ethers.parseEther("0.7"));
+
+            const error = await release(escrow, ethers.parseEther("0.4")).catch((e) => e);
+            expect(error).to.be.instanceOf(AmountExceedsDepositError);
+        });
+
+        it("should reject a zero release", async function() {
+            await expect(release(escrow, 0n)).to.be.revertedWithCustomError(escrow.contract, "ZeroAmount");
+        });
+
+        it("should not accept the same authorization twice", async function() {
+            const authorization = await escrow.connect(depositor).signRelease(ethers.parseEther("0.1"));
+            await escrow.connect(payee).release(authorization);
+
+            const error = await escrow.connect(payee).release(authorization).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
+        });
+
+        it("should reclaim only the unreleased remainder after the deadline", async function() {
+            const released = ethers.parseEther("0.3");
+            await release(escrow, released);
+
+            await time.increaseTo(deadline + 1);
+
+            await expect(escrow.connect(depositor).reclaim())
+                .to.emit(escrow.contract, "Reclaimed")
+                .withArgs(depositor.address, depositAmount - released);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0);
+            expect(await escrow.contract.remaining()).to.equal(0);
+
+            const error = await escrow.connect(depositor).reclaim().catch((e) => e);
+            expect(error).to.be.instanceOf(AlreadyReclaimedError);
+        });
+
+        it("should not reclaim after a full release", async function() {
+            await release(escrow, depositAmount);
+            await time.increaseTo(deadline + 1);
+
+            await expect(escrow.connect(depositor).reclaim())
+                .to.be.revertedWithCustomError(escrow.contract, "AlreadyReleased");
+        });
+    });
+
+    describe("Milestone schedule", function() {
+        let escrow;
+
+        beforeEach(async function() {
+            escrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, milestones, salt });
+        });
+
+        it("should store the schedule and predict the address offline", async function() {
+            const predicted = await factory.predictAddress({ depositor: depositor.address, payee: payee.address, deadline, milestones, salt });
+            expect(escrow.address).to.equal(predicted);
+
+            const params = toEscrowParams({ depositor: depositor.address, payee: payee.address, deadline, milestones });
+            expect(await factory.contract.predictAddress(params, salt)).to.equal(predicted);
+
+            const schedule = await escrow.milestones();
+            expect(schedule.amounts).to.deep.equal(milestones);
+            expect(schedule.next).to.equal(0);
+            expect(schedule.total).to.equal(depositAmount);
+        });
+
+        it("should require the deposit to match the schedule", async function() {
+            const error = await escrow.connect(depositor).fund(ethers.parseEther("0.9")).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidMilestoneError);
+            expect(error.reason).to.equal("DepositMismatch");
+            expect(error.args).to.deep.equal({ milestoneTotal: depositAmount, amount: ethers.parseEther("0.9") });
+        });
+
+        it("should pay each milestone in order with its own signature", async function() {
+            await escrow.connect(depositor).fund(depositAmount);
+
+            for (let i = 0; i < milestones.length; i++) {
+                const authorization = await escrow.connect(depositor).signNextMilestone();
+                expect(authorization.amount).to.equal(milestones[i]);
+
+                await expect(escrow.connect(payee).release(authorization))
+                    .to.emit(escrow.contract, "MilestoneReleased")
+                    .withArgs(i, milestones[i], afterFee(milestones[i]));
+            }
+
+            const status = await escrow.status();
+            expect(status.released).to.be.true;
+            expect(status.releasedAmount).to.equal(depositAmount);
+            expect(status.milestones.next).to.equal(milestones.length);
+            await expect(escrow.connect(depositor).signNextMilestone()).to.be.rejectedWith("All 3 milestones");
+        });
+
+        it("should reject an amount that is not the next milestone", async function() {
+            await escrow.connect(depositor).fund(depositAmount);
+
+            const error = await release(escrow, milestones[2]).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidMilestoneError);
+            expect(error.reason).to.equal("MilestoneMismatch");
+            expect(error.args).to.deep.equal({ index: 0n, milestone: milestones[0], amount: milestones[2] });
+        });
+
+        it("should return the unpaid milestones to the depositor after the deadline", async function() {
+            await escrow.connect(depositor).fund(depositAmount);
+            await release(escrow, milestones[0]);
+
+            await time.increaseTo(deadline + 1);
+
+            expect(await balanceChange(depositor, () => escrow.connect(depositor).reclaim()))
+                .to.equal(depositAmount - milestones[0]);
+        });
+
+        it("should reject a zero milestone at creation", async function() {
+            const error = await factory.createEscrow({
+                depositor: depositor.address,
+                payee: payee.address,
+                deadline,
+                milestones: [ethers.parseEther("1.0"), 0n],
+                salt: "zero_milestone",
+            }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidMilestoneError);
+        });
+    });
+});
@@ -0,0 +1,655 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowFactoryClient, toEscrowParams, toSalt, signRelease, decodeRevert, toJson } = require("../sdk");
+const { checkProperty, createRandom, generateSequence, shrinkFields, toSeed, PropertyError } = require("./helpers/stateful");
+
+// PROPERTY_SEED (a number, any string, or "random"), PROPERTY_RUNS and PROPERTY_STEPS change the
+// random runs; PROPERTY_SEQUENCE replays the JSON sequence a failed run printed
+const SEED = toSeed(process.env.PROPERTY_SEED ?? "escrow-accounting");
+const RUNS = Number(process.env.PROPERTY_RUNS || 10);
+const STEPS = Number(process.env.PROPERTY_STEPS || 40);
+const SEQUENCE = process.env.PROPERTY_SEQUENCE ? JSON.parse(process.env.PROPERTY_SEQUENCE) : undefined;
+
+const DAY = 86400;
+const PARTIES = 4;
+// The base fee is zeroed in before(), so with a zero gas price ETH is conserved to the wei
+const TX = { gasLimit: 5000000, gasPrice: 0 };
+// Deposits either side of 1 ETH pay different rates
+const FEE_TIERS = [{ minDeposit: 0n, feeBps: 100n }, { minDeposit: ethers.parseEther("1"), feeBps: 50n }];
+
+const CREATE_ESCROW = "createEscrow((address,address,uint256,uint256[],address,address,uint256,bytes32),bytes32)";
+const PREDICT_ADDRESS = "predictAddress((address,address,uint256,uint256[],address,address,uint256,bytes32),bytes32)";
+
+// Mostly milliether amounts either side of the 1 ETH tier, sometimes a few wei (fee rounding) or nothing
+function randomAmount(random) {
+    const roll = random.next();
+    if (roll < 0.03) {
+        return 0n;
+    }
+    if (roll < 0.2) {
+        return BigInt(random.int(1, 1000));
+    }
+    return BigInt(random.int(1, 3000)) * 10n ** 15n;
+}
+
+function feeBpsFor(amount) {
+    return [...FEE_TIERS].reverse().find((tier) => amount >= tier.minDeposit).feeBps;
+}
+
+// SimpleEscrow._fee(): rounded up
+function feeFor(amount, feeBps) {
+    return (amount * feeBps + 9999n) / 10000n;
+}
+
+// Commands are plain data. `from` and `signer` are a party index, or "depositor", "payee" or "owner";
+// `escrow` picks one of the escrows created so far (modulo their count).
+const COMMANDS = {
+    create: {
+        weight: 3,
+        generate: (random) => {
+            const milestones = random.bool(0.3) ? Array.from({ length: random.int(1, 3) }, () => randomAmount(random)) : [];
+            const total = milestones.reduce((sum, milestone) => sum + milestone, 0n);
+            const fund = random.bool(0.4);
+            return {
+                depositor: random.int(0, PARTIES - 1),
+                payee: random.int(0, PARTIES - 1),
+                from: random.bool(0.9) ? "depositor" : random.int(0, PARTIES - 1),
+                duration: random.bool(0.1) ? random.int(-600, 0) : random.int(60, 3 * DAY),
+                milestones,
+                // createAndFund() when set
+                amount: !fund ? null : milestones.length > 0 && random.bool(0.9) ? total : randomAmount(random),
+                salt: random.int(0, 2 ** 31),
+            };
+        },
+        shrink: (command) => [
+            ...(command.amount !== null ? [{ ...command, amount: null }] : []),
+            ...(command.milestones.length > 0 ? [{ ...command, milestones: command.milestones.slice(0, -1) }] : []),
+            ...shrinkFields(command, { depositor: 0, payee: 0, from: "depositor", duration: 60, amount: 0 }),
+        ],
+        execute: async (world, command) => {
+            const depositor = world.party(command.depositor);
+            const sender = command.from === "depositor" ? depositor : world.party(command.from);
+            const milestones = command.milestones.map(BigInt);
+            const total = milestones.reduce((sum, milestone) => sum + milestone, 0n);
+            const amount = command.amount === null ? null : BigInt(command.amount);
+            const timestamp = await world.nextTimestamp();
+            const params = toEscrowParams({ depositor: depositor.address, payee: world.party(command.payee).address, deadline: timestamp + command.duration, milestones });
+            const salt = toSalt(command.salt);
+            const address = await world.factory.getFunction(PREDICT_ADDRESS)(params, salt);
+
+            // Same order as EscrowFactory.createAndFund() and _createEscrow()
+            const expected =
+                world.paused ? "EnforcedPause" :
+                params.deadline <= timestamp ? "InvalidDeadline" :
+                milestones.includes(0n) ? "InvalidMilestone" :
+                world.balances.has(address) ? "FailedDeployment" :
+                amount === null ? null :
+                sender.address !== depositor.address ? "OnlyDepositor" :
+                amount === 0n ? "ZeroAmount" :
+                milestones.length > 0 && amount !== total ? "DepositMismatch" :
+                null;
+            const outcome = amount === null
+                ? await world.send(timestamp, sender, world.factory, CREATE_ESCROW, [params, salt])
+                : await world.send(timestamp, sender, world.factory, "createAndFund", [params, salt, amount], amount);
+            world.expectOutcome(outcome, expected);
+            if (outcome !== "success") {
+                return [];
+            }
+
+            const escrow = {
+                index: world.escrows.length,
+                address,
+                contract: await ethers.getContractAt("SimpleEscrow", address),
+                depositor,
+                payee: world.party(command.payee),
+                deadline: params.deadline,
+                milestones,
+                nextMilestone: 0,
+                funded: false,
+                depositAmount: 0n,
+                releasedAmount: 0n,
+                released: false,
+                reclaimed: false,
+                closed: false,
+                frozen: false,
+                stray: 0n, // Forced in with selfdestruct, so not part of the deal
+                nonce: 0n,
+            };
+            world.escrows.push(escrow);
+            world.track(address, `escrow ${escrow.index}`);
+            if (amount !== null) {
+                world.deposit(escrow, amount);
+            }
+            return [escrow];
+        },
+    },
+
+    fund: {
+        weight: 3,
+        generate: (random) => ({
+            escrow: random.int(0, 1000),
+            from: random.bool(0.85) ? "depositor" : random.int(0, PARTIES - 1),
+            amount: randomAmount(random),
+            // Deposit exactly the milestone total, if the escrow has milestones
+            matchSchedule: random.bool(0.8),
+        }),
+        shrink: (command) => [
+            ...shrinkFields(command, { escrow: 0, from: "depositor", matchSchedule: true, amount: 0 }),
+        ],
+        execute: async (world, command) => {
+            const escrow = world.escrow(command.escrow);
+            if (!escrow) {
+                return [];
+            }
+            const from = world.actor(command.from, escrow);
+            const total = escrow.milestones.reduce((sum, milestone) => sum + milestone, 0n);
+            const amount = escrow.milestones.length > 0 && command.matchSchedule ? total : BigInt(command.amount);
+            const timestamp = await world.nextTimestamp();
+
+            // SimpleEscrow.fund() and _recordDeposit(); the deadline is not checked
+            const expected =
+                from.address !== escrow.depositor.address ? "OnlyDepositor" :
+                escrow.funded ? "AlreadyFunded" :
+                amount === 0n ? "ZeroAmount" :
+                escrow.closed ? "EscrowClosed" :
+                escrow.milestones.length > 0 && amount !== total ? "DepositMismatch" :
+                null;
+            const outcome = await world.send(timestamp, from, escrow.contract, "fund", [], amount);
+            world.expectOutcome(outcome, expected);
+            if (outcome === "success") {
+                world.deposit(escrow, amount);
+            }
+            return [escrow];
+        },
+    },
+
+    release: {
+        weight: 4,
+        generate: (random) => ({
+            escrow: random.int(0, 1000),
+            from: random.bool(0.7) ? "payee" : random.int(0, PARTIES - 1),
+            signer: random.bool(0.85) ? "depositor" : random.int(0, PARTIES - 1),
+            // Basis points of what is left; over 10000 asks for more than there is
+            share: random.pick([10000, random.int(0, 10000), random.int(1, 11000)]),
+            // Release the next milestone, if the escrow has milestones
+            matchSchedule: random.bool(0.8),
+            validFor: random.bool(0.9) ? random.int(60, 3 * DAY) : random.int(-600, -1),
+        }),
+        shrink: (command) => shrinkFields(command, { escrow: 0, from: "payee", signer: "depositor", share: 10000, matchSchedule: true, validFor: 3600 }),
+        execute: async (world, command) => {
+            const escrow = world.escrow(command.escrow);
+            if (!escrow) {
+                return [];
+            }
+            const available = escrow.depositAmount - escrow.releasedAmount;
+            const milestone = escrow.milestones[escrow.nextMilestone];
+            const amount = milestone !== undefined && command.matchSchedule ? milestone : available * BigInt(command.share) / 10000n;
+            const timestamp = await world.nextTimestamp();
+            const validUntil = timestamp + command.validFor;
+            const signer = world.actor(command.signer, escrow);
+            const { signature } = await signRelease(signer, { chainId: world.chainId, escrow: escrow.address, payee: escrow.payee.address, amount, nonce: escrow.nonce, validUntil });
+
+            // SimpleEscrow._checkRelease(), then the signature
+            const expected =
+                !escrow.funded ? "NotFunded" :
+                escrow.released ? "AlreadyReleased" :
+                world.allFrozen || escrow.frozen ? "EscrowFrozen" :
+                timestamp > escrow.deadline ? "DeadlinePassed" :
+                timestamp > validUntil ? "SignatureExpired" :
+                amount === 0n ? "ZeroAmount" :
+                amount > available ? "AmountExceedsDeposit" :
+                milestone !== undefined && amount !== milestone ? "MilestoneMismatch" :
+                signer.address !== escrow.depositor.address ? "InvalidSignature" :
+                null;
+            const outcome = await world.send(timestamp, world.actor(command.from, escrow), escrow.contract, "release", [amount, validUntil, signature]);
+            world.expectOutcome(outcome, expected);
+            if (outcome === "success") {
+                const fee = world.feeFor(amount, feeBpsFor(escrow.depositAmount));
+                world.move(escrow.address, world.factoryAddress, fee);
+                world.move(escrow.address, escrow.payee.address, amount - fee);
+                world.fees += fee;
+                escrow.nonce++;
+                escrow.releasedAmount += amount;
+                escrow.released = escrow.releasedAmount === escrow.depositAmount;
+                if (milestone !== undefined) {
+                    escrow.nextMilestone++;
+                }
+            }
+            return [escrow];
+        },
+    },
+
+    reclaim: {
+        weight: 2,
+        generate: (random) => ({
+            escrow: random.int(0, 1000),
+            from: random.bool(0.85) ? "depositor" : random.int(0, PARTIES - 1),
+        }),
+        shrink: (command) => shrinkFields(command, { escrow: 0, from: "depositor" }),
+        execute: async (world, command) => {
+            const escrow = world.escrow(command.escrow);
+            if (!escrow) {
+                return [];
+            }
+            const from = world.actor(command.from, escrow);
+            const timestamp = await world.nextTimestamp();
+
+            // SimpleEscrow.reclaim() and _reclaim()
+            const expected =
+                from.address !== escrow.depositor.address ? "OnlyDepositor" :
+                timestamp <= escrow.deadline ? "DeadlineNotPassed" :
+                escrow.released ? "AlreadyReleased" :
+                !escrow.funded ? "NotFunded" :
+                escrow.reclaimed ? "AlreadyReclaimed" :
+                null;
+            const outcome = await world.send(timestamp, from, escrow.contract, "reclaim", []);
+            world.expectOutcome(outcome, expected);
+            if (outcome === "success") {
+                world.move(escrow.address, escrow.depositor.address, escrow.depositAmount - escrow.releasedAmount);
+                escrow.reclaimed = true;
+            }
+            return [escrow];
+        },
+    },
+
+    close: {
+        weight: 1,
+        generate: (random) => ({ escrow: random.int(0, 1000), from: random.bool(0.8) ? random.pick(["depositor", "payee"]) : random.int(0, PARTIES - 1) }),
+        shrink: (command) => shrinkFields(command, { escrow: 0, from: "depositor" }),
+        execute: async (world, command) => {
+            const escrow = world.escrow(command.escrow);
+            if (!escrow) {
+                return [];
+            }
+            const from = world.actor(command.from, escrow);
+            const timestamp = await world.nextTimestamp();
+
+            // SimpleEscrow.close(); an unfunded escrow is settled for its depositor only
+            const settled = escrow.released || escrow.reclaimed || (!escrow.funded && from.address === escrow.depositor.address);
+            const expected =
+                from.address !== escrow.depositor.address && from.address !== escrow.payee.address ? "OnlyParties" :
+                escrow.closed ? "EscrowClosed" :
+                !settled ? "EscrowNotSettled" :
+                null;
+            const outcome = await world.send(timestamp, from, escrow.contract, "close", []);
+            world.expectOutcome(outcome, expected);
+            escrow.closed = escrow.closed || outcome === "success";
+            return [escrow];
+        },
+    },
+
+    // ETH the escrow cannot refuse, through ForceSend's selfdestruct
+    forceSend: {
+        weight: 1,
+        generate: (random) => ({ escrow: random.int(0, 1000), from: random.int(0, PARTIES - 1), amount: randomAmount(random) }),
+        shrink: (command) => shrinkFields(command, { escrow: 0, from: 0, amount: 1 }),
+        execute: async (world, command) => {
+            const escrow = world.escrow(command.escrow);
+            if (!escrow) {
+                return [];
+            }
+            const from = world.actor(command.from, escrow);
+            const amount = BigInt(command.amount);
+            const timestamp = await world.nextTimestamp();
+            world.expectOutcome(await world.send(timestamp, from, world.forceSend, "forceSend", [escrow.address], amount), null);
+            world.move(from.address, escrow.address, amount);
+            escrow.stray += amount;
+            return [escrow];
+        },
+    },
+
+    recoverStray: {
+        weight: 1,
+        generate: (random) => ({ escrow: random.int(0, 1000), from: random.bool(0.8) ? random.pick(["depositor", "payee"]) : random.int(0, PARTIES - 1) }),
+        shrink: (command) => shrinkFields(command, { escrow: 0, from: "depositor" }),
+        execute: async (world, command) => {
+            const escrow = world.escrow(command.escrow);
+            if (!escrow) {
+                return [];
+            }
+            const from = world.actor(command.from, escrow);
+            const timestamp = await world.nextTimestamp();
+
+            // SimpleEscrow.recoverStray(); once closed, everything the escrow holds is stray
+            const expected =
+                from.address !== escrow.depositor.address && from.address !== escrow.payee.address ? "OnlyParties" :
+                !escrow.closed ? "NotClosed" :
+                escrow.stray === 0n ? "NothingToRecover" :
+                null;
+            const outcome = await world.send(timestamp, from, escrow.contract, "recoverStray", [ethers.ZeroAddress]);
+            world.expectOutcome(outcome, expected);
+            if (outcome === "success") {
+                world.move(escrow.address, escrow.depositor.address, escrow.stray);
+                escrow.stray = 0n;
+            }
+            return [escrow];
+        },
+    },
+
+    pause: {
+        weight: 1,
+        generate: (random) => ({ from: random.bool(0.8) ? "owner" : random.int(0, PARTIES - 1) }),
+        shrink: (command) => shrinkFields(command, { from: "owner" }),
+        execute: async (world, command) => {
+            const from = world.actor(command.from);
+            const timestamp = await world.nextTimestamp();
+            const expected = from !== world.owner ? "OwnableUnauthorizedAccount" : world.paused ? "EnforcedPause" : null;
+            const outcome = await world.send(timestamp, from, world.factory, "pause", []);
+            world.expectOutcome(outcome, expected);
+            world.paused = world.paused || outcome === "success";
+            return [];
+        },
+    },
+
+    unpause: {
+        weight: 1,
+        generate: (random) => ({ from: random.bool(0.8) ? "owner" : random.int(0, PARTIES - 1) }),
+        shrink: (command) => shrinkFields(command, { from: "owner" }),
+        execute: async (world, command) => {
+            const from = world.actor(command.from);
+            const timestamp = await world.nextTimestamp();
+            const expected = from !== world.owner ? "OwnableUnauthorizedAccount" : !world.paused ? "ExpectedPause" : null;
+            const outcome = await world.send(timestamp, from, world.factory, "unpause", []);
+            world.expectOutcome(outcome, expected);
+            world.paused = world.paused && outcome !== "success";
+            return [];
+        },
+    },
+
+    // The owner is also the guardian. `all` freezes every escrow rather than one.
+    freeze: {
+        weight: 1,
+        generate: (random) => ({ escrow: random.int(0, 1000), all: random.bool(0.3), from: random.bool(0.8) ? "owner" : random.int(0, PARTIES - 1) }),
+        shrink: (command) => shrinkFields(command, { escrow: 0, all: false, from: "owner" }),
+        execute: (world, command) => world.setFrozen(command, true),
+    },
+
+    unfreeze: {
+        weight: 1,
+        generate: (random) => ({ escrow: random.int(0, 1000), all: random.bool(0.3), from: random.bool(0.8) ? "owner" : random.int(0, PARTIES - 1) }),
+        shrink: (command) => shrinkFields(command, { escrow: 0, all: false, from: "owner" }),
+        execute: (world, command) => world.setFrozen(command, false),
+    },
+
+    withdrawFees: {
+        weight: 1,
+        generate: (random) => ({ from: random.bool(0.8) ? "owner" : random.int(0, PARTIES - 1) }),
+        shrink: (command) => shrinkFields(command, { from: "owner" }),
+        execute: async (world, command) => {
+            const from = world.actor(command.from);
+            const timestamp = await world.nextTimestamp();
+            const collected = world.balances.get(world.factoryAddress);
+            const expected = from !== world.owner ? "OwnableUnauthorizedAccount" : collected === 0n ? "NoFeesToWithdraw" : null;
+            const outcome = await world.send(timestamp, from, world.factory, "withdrawFees()", []);
+            world.expectOutcome(outcome, expected);
+            if (outcome === "success") {
+                world.move(world.factoryAddress, world.feeRecipient.address, collected);
+            }
+            return [];
+        },
+    },
+
+    advanceTime: {
+        weight: 2,
+        generate: (random) => ({ seconds: random.bool(0.5) ? random.int(1, 3600) : random.int(3600, 2 * DAY) }),
+        shrink: (command) => shrinkFields(command, { seconds: 1 }),
+        execute: async (world, command) => {
+            await time.increase(command.seconds);
+            return [];
+        },
+    },
+};
+
+describe("Escrow Accounting Properties", function() {
+    let initial;
+    let baseline;
+    let owner;
+    let feeRecipient;
+    let parties;
+    let factory;
+    let forceSend;
+    let chainId;
+
+    before(async function() {
+        initial = await takeSnapshot();
+        const signers = await ethers.getSigners();
+        [owner, feeRecipient] = signers;
+        parties = signers.slice(2, 2 + PARTIES);
+
+        await network.provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+        factory = (await EscrowFactoryClient.deploy(feeRecipient.address, owner)).contract;
+        await factory.setFeeSchedule(ethers.ZeroAddress, FEE_TIERS, TX);
+        forceSend = await (await ethers.getContractFactory("ForceSend")).deploy(ethers.ZeroAddress, TX);
+        await factory.grantRole(await factory.GUARDIAN_ROLE(), owner.address, TX);
+        chainId = (await ethers.provider.getNetwork()).chainId;
+        baseline = await takeSnapshot();
+    });
+
+    after(async function() {
+        await initial.restore();
+    });
+
+    // A fresh chain at the baseline and the model of what every account should hold on it
+    async function createWorld({ feeFor: fee = feeFor } = {}) {
+        await baseline.restore();
+        const world = {
+            owner,
+            feeRecipient,
+            factory,
+            factoryAddress: await factory.getAddress(),
+            forceSend,
+            chainId,
+            paused: false,
+            allFrozen: false,
+            escrows: [],
+            balances: new Map(),
+            names: new Map(),
+            total: 0n,
+            fees: 0n,
+            feeFor: fee,
+
+            party: (index) => parties[index % PARTIES],
+            actor: (from, escrow) => (from === "owner" ? owner : typeof from === "string" ? escrow[from] : parties[from % PARTIES]),
+            escrow: (index) => world.escrows[index % world.escrows.length],
+
+            track(address, name, balance = 0n) {
+                world.balances.set(address, balance);
+                world.names.set(address, name);
+                world.total += balance;
+            },
+            move(from, to, amount) {
+                world.balances.set(from, world.balances.get(from) - amount);
+                world.balances.set(to, world.balances.get(to) + amount);
+            },
+            // EscrowFactory.freezeEscrow()/freezeAll() and their unfreeze counterparts
+            async setFrozen(command, frozen) {
+                const escrow = command.all ? null : world.escrow(command.escrow);
+                if (!command.all && !escrow) {
+                    return [];
+                }
+                const from = world.actor(command.from);
+                const timestamp = await world.nextTimestamp();
+                const current = escrow ? escrow.frozen : world.allFrozen;
+                const expected =
+                    from !== world.owner ? "AccessControlUnauthorizedAccount" :
+                    current === frozen ? (frozen ? "AlreadyFrozen" : "NotFrozen") :
+                    null;
+                const method = `${frozen ? "freeze" : "unfreeze"}${escrow ? "Escrow" : "All"}`;
+                const outcome = await world.send(timestamp, from, world.factory, method, escrow ? [escrow.address] : []);
+                world.expectOutcome(outcome, expected);
+                if (outcome === "success") {
+                    if (escrow) {
+                        escrow.frozen = frozen;
+                    } else {
+                        world.allFrozen = frozen;
+                    }
+                }
+                return escrow ? [escrow] : world.escrows;
+            },
+            deposit(escrow, amount) {
+                world.move(escrow.depositor.address, escrow.address, amount);
+                escrow.funded = true;
+                escrow.depositAmount = amount;
+            },
+
+            // Transactions go in at the next second, so the model knows block.timestamp
+            async nextTimestamp() {
+                return (await time.latest()) + 1;
+            },
+
+            // "success" or the error name; a reverted transaction is still mined, at no cost
+            async send(timestamp, from, contract, method, args, value = 0n) {
+                await time.setNextBlockTimestamp(timestamp);
+                try {
+                    await contract.connect(from).getFunction(method)(...args, { ...TX, value });
+                    return "success";
+                } catch (error) {
+                    const revert = decodeRevert(error);
+                    if (!revert) {
+                        throw error;
+                    }
+                    return revert.name;
+                }
+            },
+
+            expectOutcome(outcome, expected) {
+                expect(outcome, "outcome").to.equal(expected || "success");
+            },
+        };
+
+        const accounts = [["owner", owner.address], ["fee recipient", feeRecipient.address], ["factory", world.factoryAddress], ...parties.map((party, i) => [`party ${i}`, party.address])];
+        for (const [name, address] of accounts) {
+            world.track(address, name, await ethers.provider.getBalance(address));
+        }
+        // The fee recipient only ever receives withdrawn fees
+        world.feesWithdrawnFrom = world.balances.get(feeRecipient.address);
+        return world;
+    }
+
+    async function checkInvariants(world, touched) {
+        const addresses = [...world.balances.keys()];
+        const balances = await Promise.all(addresses.map((address) => ethers.provider.getBalance(address)));
+        const balanceOf = (address) => balances[addresses.indexOf(address)];
+
+        // Gas is free, so ETH only ever moves between these accounts
+        expect(balances.reduce((sum, balance) => sum + balance, 0n), "total ETH").to.equal(world.total);
+        addresses.forEach((address, i) => {
+            expect(balances[i], `balance of ${world.names.get(address)}`).to.equal(world.balances.get(address));
+        });
+
+        // Every fee charged is still in the factory or went to the fee recipient
+        const withdrawn = balanceOf(world.feeRecipient.address) - world.feesWithdrawnFrom;
+        expect(balanceOf(world.factoryAddress) + withdrawn, "fees").to.equal(world.fees);
+
+        // Nothing is stuck: a finished escrow holds only stray ETH, any other what was not released yet as well
+        for (const escrow of world.escrows) {
+            const expected = escrow.released || escrow.reclaimed ? 0n : escrow.depositAmount - escrow.releasedAmount;
+            expect(balanceOf(escrow.address), `balance of escrow ${escrow.index}`).to.equal(expected + escrow.stray);
+        }
+
+        for (const escrow of touched) {
+            const c = escrow.contract;
+            const [remaining, funded, releasedAmount, released, reclaimed, closed, frozen, nonce] = await Promise.all([c.remaining(), c.funded(), c.releasedAmount(), c.released(), c.reclaimed(), c.closed(), c.frozen(), c.nonce()]);
+            expect(remaining, `remaining() of escrow ${escrow.index}`).to.equal(balanceOf(escrow.address) - escrow.stray);
+            expect({ funded, releasedAmount, released, reclaimed, closed, frozen, nonce }, `state of escrow ${escrow.index}`).to.deep.equal({
+                funded: escrow.funded,
+                releasedAmount: escrow.releasedAmount,
+                released: escrow.released,
+                reclaimed: escrow.reclaimed,
+                closed: escrow.closed,
+                frozen: world.allFrozen || escrow.frozen,
+                nonce: escrow.nonce,
+            });
+        }
+        expect(await world.factory.paused(), "paused()").to.equal(world.paused);
+    }
+
+    function runner(options) {
+        return async (sequence) => {
+            const world = await createWorld(options);
+            for (const [i, command] of sequence.entries()) {
+                try {
+                    await checkInvariants(world, await COMMANDS[command.type].execute(world, command));
+                } catch (error) {
+                    error.message = `step ${i + 1} ${toJson(command)}: ${error.message}`;
+                    throw error;
+                }
+            }
+        };
+    }
+
+    it("should conserve ETH and leave nothing stuck in random sequences", async function() {
+        this.timeout(0);
+        await checkProperty({
+            name: "escrow accounting",
+            seed: SEED,
+            runs: RUNS,
+            steps: STEPS,
+            sequence: SEQUENCE,
+            commands: COMMANDS,
+            run: runner(),
+            replay: "npx hardhat test test/EscrowProperties.test.js",
+        });
+    });
+
+    it("should shrink a failing sequence to a minimal repro", async function() {
+        this.timeout(0);
+        // A model that rounds fees down disagrees with the contract on any release with a fractional fee
+        const sequence = [
+            { type: "create", depositor: 0, payee: 1, from: "depositor", duration: DAY, milestones: [], amount: null, salt: 1 },
+            { type: "pause", from: "owner" },
+            { type: "fund", escrow: 0, from: "depositor", amount: 1234567n, matchSchedule: true },
+            { type: "advanceTime", seconds: 600 },
+            { type: "unpause", from: "owner" },
+            { type: "release", escrow: 0, from: "payee", signer: "depositor", share: 3333, matchSchedule: true, validFor: 3600 },
+            { type: "withdrawFees", from: "owner" },
+        ];
+        const error = await checkProperty({
+            name: "rounding",
+            sequence,
+            commands: COMMANDS,
+            run: runner({ feeFor: (amount, feeBps) => amount * feeBps / 10000n }),
+        }).catch((e) => e);
+
+        expect(error).to.be.instanceOf(PropertyError);
+        expect(error.shrunk.map((command) => command.type)).to.deep.equal(["create", "fund", "release"]);
+        expect(error.message).to.contain("failed on the given sequence");
+        expect(error.message).to.contain("Shrunk from 7 to 3 commands");
+        expect(error.message).to.match(/step 3 .*"type":"release".*: balance of/);
+        expect(error.message).to.contain("PROPERTY_SEQUENCE='[{\"type\":\"create\"");
+    });
+});
+
+describe("Stateful Property Harness", function() {
+    // Adds up `add` commands; fails once the total reaches 100
+    const commands = {
+        add: { weight: 3, generate: (random) => ({ value: random.int(0, 60) }), shrink: (command) => shrinkFields(command, { value: 0 }) },
+        skip: { generate: () => ({}) },
+    };
+    const run = async (sequence) => {
+        const total = sequence.filter((command) => command.type === "add").reduce((sum, command) => sum + command.value, 0);
+        expect(total).to.be.below(100);
+    };
+
+    it("should generate the same sequence from the same seed", function() {
+        const first = generateSequence(createRandom(toSeed("same")), commands, 20);
+        expect(generateSequence(createRandom(toSeed("same")), commands, 20)).to.deep.equal(first);
+        expect(generateSequence(createRandom(toSeed("other")), commands, 20)).to.not.deep.equal(first);
+        expect(toSeed("42")).to.equal(42);
+    });
+
+    it("should shrink a failure to commands that only just fail", async function() {
+        const error = await checkProperty({ name: "total", seed: 7, runs: 5, steps: 30, commands, run }).catch((e) => e);
+
+        expect(error).to.be.instanceOf(PropertyError);
+        expect(error.shrunk.every((command) => command.type === "add")).to.be.true;
+        expect(error.shrunk.reduce((sum, command) => sum + command.value, 0)).to.equal(100);
+        expect(error.shrunk.length).to.be.below(error.sequence.length);
+        expect(error.message).to.contain(`PROPERTY_SEED=${error.seed} PROPERTY_RUNS=1 PROPERTY_STEPS=30`);
+
+        // The printed seed reproduces the failing run on its own
+        const replayed = await checkProperty({ name: "total", seed: error.seed, runs: 1, steps: 30, commands, run }).catch((e) => e);
+        expect(replayed.sequence).to.deep.equal(error.sequence);
+    });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowFactoryClient, toEscrowParams, toSalt, toReference, toDeal, UnknownEscrowError } = require("../sdk");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Registry", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let other;
+    let deadline;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, other] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+    });
+
+    const { deal } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+    // Escrows for depositor -> payee, depositor -> other and other -> payee, in that order
+    async function createMixed() {
+        const escrows = await factory.createEscrowBatch([deal("a"), deal("b", { payee: other.address }), deal("c")]);
+        escrows.push(await factory.connect(other).createAndFund({ ...deal("d", { depositor: other.address }), amount: depositAmount }));
+        return escrows.map((escrow) => escrow.address);
+    }
+
+    describe("Records", function() {
+        it("should record each escrow's parties, deadline, salt and reference", async function() {
+            const escrow = await factory.createEscrow(deal("invoice", { reference: "INV-2024-001" }));
+            const { timestamp } = await ethers.provider.getBlock(escrow.receipt.blockNumber);
+
+            expect(await factory.getEscrowRecord(escrow.address)).to.deep.equal({
+                address: escrow.address,
+                depositor: depositor.address,
+                payee: payee.address,
+                token: ethers.ZeroAddress,
+                deadline: BigInt(deadline),
+                createdAt: BigInt(timestamp),
+                salt: toSalt("invoice"),
+                referenceHash: ethers.id("INV-2024-001"),
+            });
+
+            const plain = await factory.createEscrow(deal("plain"));
+            expect((await factory.getEscrowRecord(plain.address)).referenceHash).to.equal(ethers.ZeroHash);
+        });
+
+        it("should bind the reference to the escrow address", async function() {
+            const predicted = await factory.predictAddress(deal("bound", { reference: "INV-7" }));
+            expect(predicted).to.not.equal(await factory.predictAddress(deal("bound")));
+            expect(predicted).to.equal(await factory.contract["predictAddress((address,address,uint256,uint256[],address,address,uint256,bytes32),bytes32)"](toEscrowParams(deal("bound", { reference: "INV-7" })), toSalt("bound")));
+
+            const escrow = await factory.createEscrow(deal("bound", { reference: "INV-7" }));
+            expect(escrow.address).to.equal(predicted);
+        });
+
+        it("should keep bytes32 references and hash anything else", async function() {
+            const hash = ethers.id("already hashed");
+            expect(toReference(hash)).to.equal(hash);
+            expect(toReference("INV-1")).to.equal(ethers.id("INV-1"));
+            expect(toReference(undefined)).to.equal(ethers.ZeroHash);
+            expect(toReference("")).to.equal(ethers.ZeroHash);
+            expect((await toDeal({ ...deal("csv"), reference: "INV-9" })).reference).to.equal(ethers.id("INV-9"));
+        });
+    });
+
+    describe("Enumeration", function() {
+        it("should list escrows in creation order, in all and by depositor and payee", async function() {
+            const [a, b, c, d] = await createMixed();
+
+            expect(await factory.contract.getEscrowCount()).to.equal(4n);
+            expect(await factory.contract.getAllEscrows(0, 10)).to.deep.equal([a, b, c, d]);
+            expect(await factory.contract.getEscrowCountByDepositor(depositor.address)).to.equal(3n);
+            expect(await factory.contract.getEscrowsByDepositor(depositor.address, 0, 10)).to.deep.equal([a, b, c]);
+            expect(await factory.contract.getEscrowCountByPayee(payee.address)).to.equal(3n);
+            expect(await factory.contract.getEscrowsByPayee(payee.address, 0, 10)).to.deep.equal([a, c, d]);
+            expect(await factory.contract.getEscrowsByPayee(other.address, 0, 10)).to.deep.equal([b]);
+            expect(await factory.contract.getEscrowsByPayee(deployer.address, 0, 10)).to.be.empty;
+        });
+
+        it("should return partial and empty pages past the end", async function() {
+            const [, b, c, d] = await createMixed();
+
+            expect(await factory.contract.getAllEscrows(1, 2)).to.deep.equal([b, c]);
+            expect(await factory.contract.getAllEscrows(3, 2)).to.deep.equal([d]);
+            expect(await factory.contract.getAllEscrows(4, 2)).to.be.empty;
+            expect(await factory.contract.getAllEscrows(ethers.MaxUint256, 2)).to.be.empty;
+            expect(await factory.contract.getAllEscrows(0, 0)).to.be.empty;
+            expect(await factory.contract.getAllEscrows(2, ethers.MaxUint256)).to.deep.equal([c, d]);
+            expect(await factory.contract.getEscrowsByDepositor(depositor.address, 2, 5)).to.deep.equal([c]);
+        });
+    });
+
+    describe("isEscrow", function() {
+        it("should only recognise escrows this factory created", async function() {
+            const escrow = await factory.createEscrow(deal("known"));
+            const otherFactory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+            const foreign = await otherFactory.createEscrow(deal("known"));
+
+            expect(await factory.isEscrow(escrow.address)).to.be.true;
+            expect(await factory.isEscrow(foreign.address)).to.be.false;
+            expect(await factory.isEscrow(await factory.getImplementation())).to.be.false;
+            expect(await factory.isEscrow(depositor.address)).to.be.false;
+            expect(await factory.isEscrow(factory.address)).to.be.false;
+        });
+
+        it("should refuse records for anything else", async function() {
+            await expect(factory.contract.getEscrowRecord(other.address))
+                .to.be.revertedWithCustomError(factory.contract, "NotAnEscrow")
+                .withArgs(other.address);
+
+            const error = await factory.getEscrowRecord(other.address).catch((e) => e);
+            expect(error).to.be.instanceOf(UnknownEscrowError);
+            expect(error.reason).to.equal("NotAnEscrow");
+        });
+
+        it("should accept fees from escrows and reject ETH from anyone else", async function() {
+            const escrow = await factory.createEscrow(deal("fees"));
+            await escrow.connect(depositor).fund(depositAmount);
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount));
+            expect(await ethers.provider.getBalance(factory.address)).to.equal(depositAmount / 100n);
+
+            await expect(other.sendTransaction({ to: factory.address, value: 1n }))
+                .to.be.revertedWithCustomError(factory.contract, "NotAnEscrow")
+                .withArgs(other.address);
+        });
+    });
+
+    describe("SDK paging", function() {
+        it("should page through every escrow a few at a time", async function() {
+            const created = await createMixed();
+
+            const seen = [];
+            for await (const escrow of factory.iterateEscrows({ pageSize: 3 })) {
+                seen.push(escrow.address);
+            }
+            expect(seen).to.deep.equal(created);
+            expect((await factory.getEscrowsPage({ offset: 1, limit: 2 })).map((e) => e.address)).to.deep.equal(created.slice(1, 3));
+            expect(await factory.getEscrowCount()).to.equal(4n);
+        });
+
+        it("should filter by depositor or payee", async function() {
+            const [a, b, c, d] = await createMixed();
+
+            expect((await factory.listEscrows({ payee: payee.address, pageSize: 2 })).map((e) => e.address)).to.deep.equal([a, c, d]);
+            expect((await factory.getEscrows(depositor.address)).map((e) => e.address)).to.deep.equal([a, b, c]);
+            expect(await factory.getEscrowCount({ depositor: other.address })).to.equal(1n);
+            const error = await factory.getEscrowsPage({ depositor: depositor.address, payee: payee.address }).catch((e) => e);
+            expect(error.message).to.contain("by depositor or by payee, not both");
+        });
+
+        it("should include escrows created while paging", async function() {
+            await factory.createEscrowBatch([deal("first"), deal("second")]);
+
+            const seen = [];
+            for await (const escrow of factory.iterateEscrows({ pageSize: 2 })) {
+                seen.push(escrow.address);
+                if (seen.length === 1) {
+                    await factory.createEscrow(deal("late"));
+                }
+            }
+            expect(seen).to.have.lengthOf(3);
+            expect(seen[2]).to.equal(await factory.predictAddress(deal("late")));
+        });
+    });
+});
@@ -0,0 +1,361 @@
+const { expect } = require("chai");
+const http = require("http");
+const { ethers, network } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    RelayerClient,
+    RelayerRequestError,
+    calculateFee,
+    InvalidAmountError,
+    InvalidSignatureError,
+    SignatureExpiredError,
+    DeadlineNotPassedError,
+    AlreadyReclaimedError,
+    UnauthorizedError,
+} = require("../sdk");
+const { Relayer, createRelayerServer } = require("../relayer");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Relayer", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let feeRecipient;
+    let relayerAccount;
+    let stranger;
+    let payee;
+    let deadline;
+
+    const depositAmount = ethers.parseEther("1.0");
+    const relayerFee = ethers.parseEther("0.01");
+
+    beforeEach(async function() {
+        [deployer, depositor, feeRecipient, relayerAccount, stranger] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+
+        // A payee that has never held any ETH
+        payee = ethers.Wallet.createRandom().connect(ethers.provider);
+    });
+
+    const { deal, createFundedEscrow } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+    describe("Contract", function() {
+        it("should pay the relayer its fee out of a relayed release", async function() {
+            const escrow = await createFundedEscrow("relayed");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+            const relayerBalance = await ethers.provider.getBalance(relayerAccount.address);
+
+            const receipt = await escrow.connect(relayerAccount).relayRelease(authorization);
+
+            const protocolFee = calculateFee(depositAmount, 100n);
+            expect(await ethers.provider.getBalance(payee.address)).to.equal(depositAmount - protocolFee - relayerFee);
+            expect(await ethers.provider.getBalance(relayerAccount.address))
+                .to.equal(relayerBalance + relayerFee - receipt.gasUsed * receipt.gasPrice);
+            await expect(receipt).to.emit(escrow.contract, "RelayerPaid").withArgs(relayerAccount.address, relayerFee);
+            await expect(receipt).to.emit(escrow.contract, "Released").withArgs(payee.address, depositAmount, depositAmount - protocolFee - relayerFee);
+            expect(await escrow.contract.nonce()).to.equal(1n);
+        });
+
+        it("should bind the relayer fee into the signature", async function() {
+            const escrow = await createFundedEscrow("bound");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+
+            const error = await escrow.connect(relayerAccount).relayRelease({ ...authorization, relayerFee: relayerFee * 10n }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
+
+            // A plain release signature is not a relayed one, and vice versa
+            const plain = await escrow.connect(depositor).signRelease(depositAmount);
+            await expect(escrow.contract.connect(relayerAccount).relayRelease(depositAmount, ethers.ZeroAddress, 0, plain.validUntil, plain.signature))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidSignature");
+            await expect(escrow.contract.connect(relayerAccount).release(depositAmount, authorization.validUntil, authorization.signature))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidSignature");
+        });
+
+        it("should only let the chosen relayer submit an authorization bound to it", async function() {
+            const escrow = await createFundedEscrow("chosen");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayer: relayerAccount.address, relayerFee });
+            expect(authorization.relayer).to.equal(relayerAccount.address);
+
+            const stolen = await escrow.connect(stranger).relayRelease(authorization).catch((e) => e);
+            expect(stolen).to.be.instanceOf(UnauthorizedError);
+            expect(stolen.reason).to.equal("OnlyRelayer");
+            const unbound = await escrow.connect(stranger).relayRelease({ ...authorization, relayer: ethers.ZeroAddress }).catch((e) => e);
+            expect(unbound).to.be.instanceOf(InvalidSignatureError);
+
+            const receipt = await escrow.connect(relayerAccount).relayRelease(authorization);
+            await expect(receipt).to.emit(escrow.contract, "RelayerPaid").withArgs(relayerAccount.address, relayerFee);
+
+            const reclaimable = await createFundedEscrow("chosen-reclaim");
+            const reclaim = await reclaimable.connect(depositor).signReclaim({ relayer: relayerAccount.address, relayerFee });
+            await time.increaseTo(deadline + 1);
+            expect(await reclaimable.connect(stranger).relayReclaim(reclaim).catch((e) => e)).to.be.instanceOf(UnauthorizedError);
+            await expect(reclaimable.connect(relayerAccount).relayReclaim(reclaim)).to.be.fulfilled;
+        });
+
+        it("should not let the relayer fee exceed the payout after the protocol fee", async function() {
+            const escrow = await createFundedEscrow("greedy");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee: depositAmount });
+
+            const error = await escrow.connect(relayerAccount).relayRelease(authorization).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidAmountError);
+            expect(error.reason).to.equal("RelayerFeeTooHigh");
+            expect(error.args).to.deep.equal({ relayerFee: depositAmount, maxRelayerFee: depositAmount - depositAmount / 100n });
+        });
+
+        it("should let anyone reclaim with the depositor's signature after the deadline", async function() {
+            const escrow = await createFundedEscrow("reclaim");
+            const authorization = await escrow.connect(depositor).signReclaim({ relayerFee });
+
+            const early = await escrow.connect(relayerAccount).relayReclaim(authorization).catch((e) => e);
+            expect(early).to.be.instanceOf(DeadlineNotPassedError);
+
+            await time.increaseTo(deadline + 1);
+            const depositorBalance = await ethers.provider.getBalance(depositor.address);
+            const receipt = await escrow.connect(relayerAccount).relayReclaim(authorization);
+
+            expect(await ethers.provider.getBalance(depositor.address)).to.equal(depositorBalance + depositAmount - relayerFee);
+            await expect(receipt).to.emit(escrow.contract, "Reclaimed").withArgs(depositor.address, depositAmount);
+            await expect(receipt).to.emit(escrow.contract, "RelayerPaid").withArgs(relayerAccount.address, relayerFee);
+            await expect(escrow.connect(relayerAccount).relayReclaim(authorization)).to.be.rejectedWith(AlreadyReclaimedError);
+        });
+
+        it("should reject reclaim signatures from anyone but the depositor, or expired ones", async function() {
+            const escrow = await createFundedEscrow("reclaim-sad");
+            await time.increaseTo(deadline + 1);
+
+            const forged = await escrow.connect(stranger).signReclaim({ relayerFee });
+            expect(await escrow.connect(stranger).relayReclaim(forged).catch((e) => e)).to.be.instanceOf(InvalidSignatureError);
+
+            const expired = await escrow.connect(depositor).signReclaim({ validUntil: BigInt(deadline) });
+            expect(await escrow.connect(stranger).relayReclaim(expired).catch((e) => e)).to.be.instanceOf(SignatureExpiredError);
+
+            const greedy = await escrow.connect(depositor).signReclaim({ relayerFee: depositAmount + 1n });
+            expect(await escrow.connect(stranger).relayReclaim(greedy).catch((e) => e)).to.be.instanceOf(InvalidAmountError);
+        });
+
+        it("should pay the relayer fee in the escrowed token", async function() {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+            await token.mint(depositor.address, ethers.parseUnits("100", 6));
+
+            const escrow = await factory.createEscrow(deal("token", { token: await token.getAddress() }));
+            await escrow.connect(depositor).fund(ethers.parseUnits("100", 6));
+            const authorization = await escrow.connect(depositor).signRelayedRelease(ethers.parseUnits("100", 6), { relayerFee: ethers.parseUnits("2", 6) });
+            await escrow.connect(relayerAccount).relayRelease(authorization);
+
+            expect(await token.balanceOf(relayerAccount.address)).to.equal(ethers.parseUnits("2", 6));
+            expect(await token.balanceOf(payee.address)).to.equal(ethers.parseUnits("97", 6));
+        });
+    });
+
+    describe("HTTP service", function() {
+        let relayer;
+        let server;
+        let client;
+
+        beforeEach(async function() {
+            relayer = new Relayer({ signer: relayerAccount, factory: factory.address, minRelayerFee: relayerFee, retryDelay: 10 });
+            server = createRelayerServer(relayer);
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            client = new RelayerClient(`http://127.0.0.1:${server.address().port}`);
+        });
+
+        afterEach(async function() {
+            await relayer.idle();
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        it("should report its account and factory", async function() {
+            const health = await client.health();
+            expect(health).to.deep.equal({ relayer: relayerAccount.address, factory: factory.address, chainId: "31337", minRelayerFee: relayerFee.toString(), queued: 0 });
+        });
+
+        it("should relay a release the payee never pays gas for", async function() {
+            const escrow = await createFundedEscrow("http-release");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayer: relayerAccount.address, relayerFee });
+
+            const queued = await client.submitRelease(escrow.address, authorization);
+            expect(queued).to.include({ escrow: escrow.address, method: "relayRelease" });
+            const job = await client.waitForJob(queued.id, { interval: 10 });
+
+            expect(job).to.include({ status: "confirmed", attempts: 1 });
+            expect(await ethers.provider.getTransactionCount(payee.address)).to.equal(0);
+            expect(await ethers.provider.getBalance(payee.address)).to.equal(depositAmount - calculateFee(depositAmount, 100n) - relayerFee);
+            expect((await ethers.provider.getTransaction(job.txHash)).from).to.equal(relayerAccount.address);
+        });
+
+        it("should relay a plain release without a fee when the minimum allows it", async function() {
+            await new Promise((resolve) => server.close(resolve));
+            relayer = new Relayer({ signer: relayerAccount, factory: factory.address });
+            server = createRelayerServer(relayer);
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            client = new RelayerClient(`http://127.0.0.1:${server.address().port}`);
+
+            const escrow = await createFundedEscrow("http-plain");
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount / 2n);
+            const job = await client.waitForJob((await client.submitRelease(escrow.address, authorization)).id, { interval: 10 });
+
+            expect(job).to.include({ status: "confirmed", method: "release" });
+            expect(await escrow.contract.releasedAmount()).to.equal(depositAmount / 2n);
+        });
+
+        it("should relay a reclaim after the deadline", async function() {
+            const escrow = await createFundedEscrow("http-reclaim");
+            const authorization = await escrow.connect(depositor).signReclaim({ relayerFee });
+
+            const early = await client.submitReclaim(escrow.address, authorization).catch((e) => e);
+            expect(early).to.be.instanceOf(RelayerRequestError);
+            expect(early).to.include({ status: 422, reason: "DeadlineNotPassed" });
+            expect(early.message).to.contain(`Rejected on-chain: DeadlineNotPassed(deadline: ${deadline}, timestamp: `);
+
+            await time.increaseTo(deadline + 1);
+            const job = await client.waitForJob((await client.submitReclaim(escrow.address, authorization)).id, { interval: 10 });
+            expect(job.status).to.equal("confirmed");
+            expect(await escrow.contract.reclaimed()).to.be.true;
+        });
+
+        it("should validate against on-chain state before spending gas", async function() {
+            const escrow = await createFundedEscrow("http-invalid");
+            const nonceBefore = await ethers.provider.getTransactionCount(relayerAccount.address);
+
+            const forged = await escrow.connect(stranger).signRelayedRelease(depositAmount, { relayerFee, signer: stranger });
+            const error = await client.submitRelease(escrow.address, forged).catch((e) => e);
+            expect(error).to.include({ status: 422, reason: "InvalidSignature" });
+
+            const tooMuch = await escrow.connect(depositor).signRelayedRelease(depositAmount * 2n, { relayerFee });
+            expect(await client.submitRelease(escrow.address, tooMuch).catch((e) => e)).to.include({ status: 422, reason: "AmountExceedsDeposit" });
+
+            expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(nonceBefore);
+        });
+
+        it("should refuse malformed requests, low fees and contracts that are not our escrows", async function() {
+            const escrow = await createFundedEscrow("http-refused");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee: relayerFee - 1n });
+
+            expect(await client.submitRelease(escrow.address, authorization).catch((e) => e))
+                .to.include({ status: 400, message: `Relayer fee below the minimum of ${relayerFee}` });
+            const plain = await escrow.connect(depositor).signRelease(depositAmount);
+            expect(await client.submitRelease(escrow.address, plain).catch((e) => e))
+                .to.include({ status: 400, message: `Plain releases pay no relayer fee; sign a relayed release paying at least ${relayerFee}` });
+            const valid = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+            expect(await client.submitRelease(escrow.address, { ...valid, amount: "lots" }).catch((e) => e))
+                .to.include({ status: 400, message: "Invalid amount" });
+            expect(await client.submitRelease("0x1234", valid).catch((e) => e))
+                .to.include({ status: 400, message: "Invalid escrow address" });
+            const elsewhere = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayer: stranger.address, relayerFee });
+            expect(await client.submitRelease(escrow.address, elsewhere).catch((e) => e))
+                .to.include({ status: 400, message: `Authorization is bound to relayer ${stranger.address}` });
+
+            // Another factory's escrow, and a plain contract
+            const other = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+            const foreign = await other.createEscrow(deal("foreign"));
+            const foreignAuthorization = await foreign.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+            expect(await client.submitRelease(foreign.address, foreignAuthorization).catch((e) => e)).to.include({ status: 404 });
+            expect(await client.submitRelease(other.address, foreignAuthorization).catch((e) => e)).to.include({ status: 404 });
+
+            const response = await fetch(`${client.url}/release`, { method: "POST", body: "{not json" });
+            expect(response.status).to.equal(400);
+            expect((await fetch(`${client.url}/jobs/unknown`)).status).to.equal(404);
+        });
+
+        it("should return the existing job when an authorization is submitted twice", async function() {
+            const escrow = await createFundedEscrow("http-twice");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+
+            const first = await client.submitRelease(escrow.address, authorization);
+            const second = await client.submitRelease(escrow.address, authorization);
+            expect(second.id).to.equal(first.id);
+        });
+
+        it("should fail a queued job whose authorization was used up in the meantime", async function() {
+            const escrow = await createFundedEscrow("http-stale");
+            // Two signatures for the same nonce: both valid when submitted, only one can be used
+            const first = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+            const second = await escrow.connect(depositor).signRelayedRelease(depositAmount / 2n, { relayerFee });
+
+            // Hold the first transaction in the mempool while the second is accepted
+            await network.provider.send("evm_setAutomine", [false]);
+            let jobs;
+            try {
+                jobs = [await client.submitRelease(escrow.address, first)];
+                while (!(await client.getJob(jobs[0].id)).txHash) {
+                    await new Promise((resolve) => setTimeout(resolve, 10));
+                }
+                jobs.push(await client.submitRelease(escrow.address, second));
+                await mine();
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+            const [done, stale] = await Promise.all(jobs.map((job) => client.waitForJob(job.id, { interval: 10 })));
+
+            expect(done.status).to.equal("confirmed");
+            expect(stale).to.include({ status: "failed", txHash: null });
+            expect(stale.error).to.equal("AlreadyReleased");
+        });
+
+        it("should retry submissions that fail before reaching the chain", async function() {
+            const escrow = await createFundedEscrow("http-retry");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+
+            let failures = 2;
+            const sendTransaction = relayerAccount.sendTransaction;
+            relayerAccount.sendTransaction = async function(tx) {
+                if (failures-- > 0) {
+                    throw new Error("socket hang up");
+                }
+                return sendTransaction.call(this, tx);
+            };
+            try {
+                const job = await client.waitForJob((await client.submitRelease(escrow.address, authorization)).id, { interval: 10 });
+                expect(job).to.include({ status: "confirmed", attempts: 3 });
+            } finally {
+                relayerAccount.sendTransaction = sendTransaction;
+            }
+        });
+
+        it("should give up after the last attempt", async function() {
+            const escrow = await createFundedEscrow("http-give-up");
+            const authorization = await escrow.connect(depositor).signRelayedRelease(depositAmount, { relayerFee });
+
+            const sendTransaction = relayerAccount.sendTransaction;
+            relayerAccount.sendTransaction = async () => {
+                throw new Error("socket hang up");
+            };
+            try {
+                const job = await client.waitForJob((await client.submitRelease(escrow.address, authorization)).id, { interval: 10 });
+                expect(job).to.include({ status: "failed", attempts: 3, error: "socket hang up" });
+            } finally {
+                relayerAccount.sendTransaction = sendTransaction;
+            }
+            expect(await escrow.contract.released()).to.be.false;
+        });
+
+        it("should report answers that are not JSON with their HTTP status", async function() {
+            const proxy = http.createServer((req, res) => {
+                if (req.url === "/health") {
+                    res.writeHead(502, { "Content-Type": "text/html" });
+                    res.end("<html><body>Bad Gateway</body></html>");
+                } else {
+                    res.writeHead(200, { "Content-Type": "application/json" });
+                    res.end("{\"id\":");
+                }
+            });
+            await new Promise((resolve) => proxy.listen(0, "127.0.0.1", resolve));
+            const proxied = new RelayerClient(`http://127.0.0.1:${proxy.address().port}`);
+            try {
+                const gateway = await proxied.health().catch((e) => e);
+                expect(gateway).to.be.instanceOf(RelayerRequestError);
+                expect(gateway).to.include({ status: 502, message: "Relayer answered 502 Bad Gateway without a JSON body" });
+
+                const truncated = await proxied.getJob("cut-off").catch((e) => e);
+                expect(truncated).to.be.instanceOf(RelayerRequestError);
+                expect(truncated.status).to.equal(200);
+                expect(truncated.cause).to.be.instanceOf(SyntaxError);
+            } finally {
+                await new Promise((resolve) => proxy.close(resolve));
+            }
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    toEscrowParams,
+    toSalt,
+    getErrorInterface,
+    decodeRevert,
+    formatRevert,
+    toEscrowError,
+    REVERT_REASONS,
+    EscrowError,
+    AmountExceedsDepositError,
+    InvalidMilestoneError,
+    InsufficientAllowanceError,
+    EscrowNotSettledError,
+    EscrowNotClosedError,
+} = require("../sdk");
+
+describe("Escrow Revert Decoder", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let deadline;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 3600;
+    });
+
+    function encode(signature, args) {
+        return getErrorInterface().encodeErrorResult(signature, args);
+    }
+
+    it("should give every custom error the contracts declare a typed SDK error", function() {
+        for (const file of ["SimpleEscrow.sol", "EscrowFactory.sol"]) {
+            const source = fs.readFileSync(path.join(__dirname, "..", "contracts", file), "utf8");
+            const declared = [...source.matchAll(/^\s*error (\w+)\(/gm)].map((match) => match[1]);
+            expect(declared).to.not.be.empty;
+            for (const name of declared) {
+                expect(REVERT_REASONS[name], `${file}: ${name}`).to.exist;
+                expect(getErrorInterface().getError(name), `${file}: ${name}`).to.exist;
+            }
+        }
+    });
+
+    it("should decode an escrow error with its arguments", async function() {
+        const escrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt: "decode" });
+        await escrow.connect(depositor).fund(depositAmount);
+        const authorization = await escrow.connect(depositor).signRelease(depositAmount * 2n);
+
+        const error = await escrow.contract.connect(payee).release.staticCall(depositAmount * 2n, authorization.validUntil, authorization.signature).catch((e) => e);
+        const revert = decodeRevert(error);
+
+        expect(revert).to.deep.include({
+            name: "AmountExceedsDeposit",
+            signature: "AmountExceedsDeposit(uint256,uint256)",
+            selector: ethers.id("AmountExceedsDeposit(uint256,uint256)").slice(0, 10),
+            args: { requested: depositAmount * 2n, available: depositAmount },
+        });
+        expect(decodeRevert(revert.data)).to.deep.equal(revert);
+        expect(formatRevert(revert)).to.equal(`AmountExceedsDeposit(requested: ${depositAmount * 2n}, available: ${depositAmount})`);
+
+        const typed = toEscrowError(error);
+        expect(typed).to.be.instanceOf(AmountExceedsDepositError);
+        expect(typed.message).to.equal(formatRevert(revert));
+        expect(typed.args).to.deep.equal(revert.args);
+    });
+
+    it("should decode escrow errors that surface through a factory call", async function() {
+        const params = toEscrowParams({ depositor: depositor.address, payee: payee.address, deadline, milestones: [depositAmount] });
+        const error = await factory.contract.connect(depositor).createAndFund.staticCall(params, toSalt("bubbled"), 1n, { value: 1n }).catch((e) => e);
+
+        // Not in the factory's ABI, so ethers alone cannot name it
+        expect(factory.contract.interface.getError("DepositMismatch")).to.be.null;
+        expect(decodeRevert(error)).to.deep.include({ name: "DepositMismatch", args: { milestoneTotal: depositAmount, amount: 1n } });
+        expect(toEscrowError(error)).to.be.instanceOf(InvalidMilestoneError);
+    });
+
+    it("should decode token errors passed on by an escrow", async function() {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const escrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt: "token", token: await token.getAddress() });
+
+        const error = await escrow.contract.connect(depositor).fundToken.staticCall(100n).catch((e) => e);
+        expect(decodeRevert(error)).to.deep.include({ name: "ERC20InsufficientAllowance", args: { spender: escrow.address, allowance: 0n, needed: 100n } });
+        expect(toEscrowError(error)).to.be.instanceOf(InsufficientAllowanceError);
+    });
+
+    it("should tell an escrow that is not closed from one that is not settled", async function() {
+        const escrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt: "open" });
+        await escrow.connect(depositor).fund(depositAmount);
+
+        const notClosed = toEscrowError(await escrow.contract.connect(depositor).recoverStray.staticCall(ethers.ZeroAddress).catch((e) => e));
+        expect(notClosed).to.be.instanceOf(EscrowNotClosedError);
+        expect(notClosed).to.not.be.instanceOf(EscrowNotSettledError);
+        expect(notClosed.reason).to.equal("NotClosed");
+
+        const notSettled = toEscrowError(await escrow.contract.connect(depositor).close.staticCall().catch((e) => e));
+        expect(notSettled).to.be.instanceOf(EscrowNotSettledError);
+        expect(notSettled.reason).to.equal("EscrowNotSettled");
+    });
+
+    it("should decode revert strings and panics", function() {
+        const revertString = decodeRevert(encode("Error(string)", ["ERC20: transfer amount exceeds balance"]));
+        expect(revertString).to.deep.include({ name: "Error", args: { message: "ERC20: transfer amount exceeds balance" } });
+        expect(formatRevert(revertString)).to.equal("ERC20: transfer amount exceeds balance");
+
+        const panic = decodeRevert("0x4e487b71" + ethers.toBeHex(0x11, 32).slice(2));
+        expect(panic).to.deep.include({ name: "Panic", args: { code: 0x11n } });
+        expect(formatRevert(panic)).to.equal("Panic(code: 17)");
+    });
+
+    it("should return null for empty or unknown revert data", function() {
+        expect(decodeRevert("0x")).to.be.null;
+        expect(decodeRevert(undefined)).to.be.null;
+        expect(decodeRevert(new Error("network down"))).to.be.null;
+        expect(decodeRevert("0xdeadbeef")).to.be.null;
+        expect(decodeRevert({ data: "0x12" })).to.be.null;
+
+        const unknown = new Error("call reverted");
+        unknown.data = "0xdeadbeef";
+        expect(toEscrowError(unknown)).to.equal(unknown);
+    });
+
+    it("should keep typed errors catchable as EscrowError", async function() {
+        const error = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline: 1, salt: "past" }).catch((e) => e);
+
+        expect(error).to.be.instanceOf(EscrowError);
+        expect(error.reason).to.equal("InvalidDeadline");
+        expect(error.args.deadline).to.equal(1n);
+        expect(error.message).to.match(/^InvalidDeadline\(deadline: 1, timestamp: \d+\)$/);
+        expect(decodeRevert(error.data).name).to.equal("InvalidDeadline");
+    });
+});
@@ -1,331 +1,228 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+    EscrowFactoryClient,
+    UnauthorizedError,
+    DeadlineNotPassedError,
+    DeadlinePassedError,
+    InvalidSignatureError,
+    InvalidDepositorError,
+    InvalidPayeeError,
+    InvalidDeadlineError,
+    AlreadyFundedError,
+    FactoryPausedError,
+} = require("../sdk");
 
 describe("Escrow Sad Path", function() {
-    let escrowFactory;
-    let EscrowFactory;
-    let SimpleEscrow;
+    let factory;
     let deployer;
     let depositor;
     let payee;
     let feeRecipient;
     let nonOwner;
 
-    const feePercent = 1;
     const depositAmount = ethers.parseEther("1.0");
     const salt = ethers.keccak256(ethers.toUtf8Bytes("sad_path_salt"));
 
     beforeEach(async function() {
         [deployer, depositor, payee, feeRecipient, nonOwner] = await ethers.getSigners();
 
-        EscrowFactory = await ethers.getContractFactory("EscrowFactory");
-        SimpleEscrow = await ethers.getContractFactory("SimpleEscrow");
-
         // Deploy EscrowFactory
-        escrowFactory = await EscrowFactory.deploy(feeRecipient.address);
-        await escrowFactory.waitForDeployment();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
     });
 
+    // Deploy an escrow with a deadline 1 hour from the current block timestamp
+    async function createEscrow() {
+        const deadline = (await time.latest()) + 3600;
+        const escrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt });
+        return { escrow, deadline };
+    }
+
+    async function createFundedEscrow() {
+        const { escrow, deadline } = await createEscrow();
+        await escrow.connect(depositor).fund(depositAmount);
+        return { escrow, deadline };
+    }
+
     describe("Reclaiming Funds After Deadline", function() {
         it("should allow depositor to reclaim funds after deadline passes", async function() {
-            // Set deadline to 1 hour from current block timestamp
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            // Deploy escrow
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            
-            // Fund the escrow
-            await escrow.connect(depositor).fund({ value: depositAmount });
-            expect(await ethers.provider.getBalance(deployedAddress)).to.equal(depositAmount);
-            
+            const { escrow, deadline } = await createFundedEscrow();
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(depositAmount);
+
             // Fast-forward time past deadline
             await time.increaseTo(deadline + 1);
-            
+
             // Reclaim funds
             const depositorInitialBalance = await ethers.provider.getBalance(depositor.address);
-            const tx2 = await escrow.connect(depositor).reclaim();
-            const receipt2 = await tx2.wait();
-            const gasUsed = receipt2.gasUsed * receipt2.gasPrice;
-            
+            const receipt = await escrow.connect(depositor).reclaim();
+            const gasUsed = receipt.gasUsed * receipt.gasPrice;
+
             // Verify depositor received funds back (minus gas)
             const depositorFinalBalance = await ethers.provider.getBalance(depositor.address);
             expect(depositorFinalBalance).to.be.closeTo(
-                depositorInitialBalance + depositAmount - gasUsed, 
+                depositorInitialBalance + depositAmount - gasUsed,
                 ethers.parseEther("0.01")
             );
-            
+
             // Verify escrow is empty
-            expect(await ethers.provider.getBalance(deployedAddress)).to.equal(0);
+            expect(await ethers.provider.getBalance(escrow.address)).to.equal(0);
         });
 
         it("should revert if non-depositor tries to reclaim", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            await escrow.connect(depositor).fund({ value: depositAmount });
-            
+            const { escrow, deadline } = await createFundedEscrow();
+
             // Fast-forward time past deadline
             await time.increaseTo(deadline + 1);
-            
+
             // Try to reclaim from non-depositor account
             await expect(escrow.connect(payee).reclaim())
-                .to.be.revertedWith("Only depositor can reclaim");
+                .to.be.revertedWithCustomError(escrow.contract, "OnlyDepositor")
+                .withArgs(payee.address);
+
+            const error = await escrow.connect(payee).reclaim().catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
         });
 
         it("should revert if trying to reclaim before deadline", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            await escrow.connect(depositor).fund({ value: depositAmount });
-            
+            const { escrow, deadline } = await createFundedEscrow();
+
             // Try to reclaim before deadline
-            await expect(escrow.connect(depositor).reclaim())
-                .to.be.revertedWith("Deadline not passed");
+            const error = await escrow.connect(depositor).reclaim().catch((e) => e);
+            expect(error).to.be.instanceOf(DeadlineNotPassedError);
+            expect(error.reason).to.equal("DeadlineNotPassed");
+            expect(error.args.deadline).to.equal(BigInt(deadline));
         });
     });
 
     describe("Invalid Signature Tests", function() {
         it("should revert release with invalid signature", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            await escrow.connect(depositor).fund({ value: depositAmount });
-            
+            const { escrow } = await createFundedEscrow();
+
             // Create invalid signature (signed by wrong person)
-            const messageHash = ethers.keccak256(ethers.solidityPacked(["string", "address", "uint256"], ["RELEASE", deployedAddress, depositAmount]));
-            const invalidSignature = await payee.signMessage(ethers.getBytes(messageHash)); // Wrong signer
-            
+            const invalidAuthorization = await escrow.connect(payee).signRelease(depositAmount);
+
             // Try to release with invalid signature
-            await expect(escrow.connect(payee).release(depositAmount, invalidSignature))
-                .to.be.revertedWith("Invalid signature");
+            await expect(escrow.connect(payee).release(invalidAuthorization))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidSignature");
+
+            const error = await escrow.connect(payee).release(invalidAuthorization).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
         });
 
         it("should revert release with malformed signature", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            await escrow.connect(depositor).fund({ value: depositAmount });
-            
+            const { escrow, deadline } = await createFundedEscrow();
+
             // Create malformed signature (wrong length)
             const malformedSignature = "0x1234";
-            
+
             // Try to release with malformed signature
-            await expect(escrow.connect(payee).release(depositAmount, malformedSignature))
-                .to.be.revertedWith("Invalid signature length");
+            const error = await escrow.connect(payee).release({ amount: depositAmount, validUntil: deadline, signature: malformedSignature }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
+            expect(error.reason).to.equal("InvalidSignatureLength");
+            expect(error.args).to.deep.equal({ length: 2n });
         });
     });
 
     describe("Owner-Only Functions Tests", function() {
         it("should revert pause() when called by non-owner", async function() {
-            await expect(escrowFactory.connect(nonOwner).pause())
-                .to.be.revertedWithCustomError(escrowFactory, "OwnableUnauthorizedAccount")
+            await expect(factory.connect(nonOwner).pause())
+                .to.be.revertedWithCustomError(factory.contract, "OwnableUnauthorizedAccount")
                 .withArgs(nonOwner.address);
         });
 
         it("should revert unpause() when called by non-owner", async function() {
             // First pause as owner
-            await escrowFactory.connect(deployer).pause();
-            
+            await factory.connect(deployer).pause();
+
             // Try to unpause as non-owner
-            await expect(escrowFactory.connect(nonOwner).unpause())
-                .to.be.revertedWithCustomError(escrowFactory, "OwnableUnauthorizedAccount")
+            await expect(factory.connect(nonOwner).unpause())
+                .to.be.revertedWithCustomError(factory.contract, "OwnableUnauthorizedAccount")
                 .withArgs(nonOwner.address);
         });
 
         it("should revert withdrawFees() when called by non-owner", async function() {
-            await expect(escrowFactory.connect(nonOwner).withdrawFees())
-                .to.be.revertedWithCustomError(escrowFactory, "OwnableUnauthorizedAccount")
-                .withArgs(nonOwner.address);
+            const error = await factory.connect(nonOwner).withdrawFees().catch((e) => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+            expect(error.reason).to.equal("OwnableUnauthorizedAccount");
         });
 
         it("should allow owner to pause and unpause", async function() {
             // Pause
-            await escrowFactory.connect(deployer).pause();
-            expect(await escrowFactory.paused()).to.be.true;
-            
+            await factory.connect(deployer).pause();
+            expect(await factory.contract.paused()).to.be.true;
+
             // Try to create escrow while paused
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            await expect(escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt))
-                .to.be.revertedWithCustomError(escrowFactory, "EnforcedPause");
-            
+            const error = await createEscrow().catch((e) => e);
+            expect(error).to.be.instanceOf(FactoryPausedError);
+
             // Unpause
-            await escrowFactory.connect(deployer).unpause();
-            expect(await escrowFactory.paused()).to.be.false;
-            
+            await factory.connect(deployer).unpause();
+            expect(await factory.contract.paused()).to.be.false;
+
             // Should work now
-            await expect(escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt))
-                .to.not.be.reverted;
+            await expect(createEscrow()).to.not.be.reverted;
         });
     });
 
     describe("Edge Cases", function() {
         it("should revert createEscrow with invalid depositor address", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            await expect(escrowFactory.createEscrow(ethers.ZeroAddress, payee.address, deadline, salt))
-                .to.be.revertedWith("Invalid Depositor");
+            const deadline = (await time.latest()) + 3600;
+
+            const error = await factory.createEscrow({ depositor: ethers.ZeroAddress, payee: payee.address, deadline, salt }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidDepositorError);
         });
 
         it("should revert createEscrow with invalid payee address", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            await expect(escrowFactory.createEscrow(depositor.address, ethers.ZeroAddress, deadline, salt))
-                .to.be.revertedWith("Invalid Payee");
+            const deadline = (await time.latest()) + 3600;
+
+            const error = await factory.createEscrow({ depositor: depositor.address, payee: ethers.ZeroAddress, deadline, salt }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidPayeeError);
         });
 
         it("should revert createEscrow with past deadline", async function() {
-            const currentTime = await time.latest();
-            const pastDeadline = currentTime - 3600; // 1 hour ago
-            
-            await expect(escrowFactory.createEscrow(depositor.address, payee.address, pastDeadline, salt))
-                .to.be.revertedWith("Invalid Deadline");
+            const pastDeadline = (await time.latest()) - 3600; // 1 hour ago
+
+            await expect(factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline: pastDeadline, salt }))
+                .to.be.revertedWithCustomError(factory.contract, "InvalidDeadline")
+                .withArgs(pastDeadline, anyUint);
+
+            const error = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline: pastDeadline, salt }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidDeadlineError);
         });
 
         it("should revert fund() when called by non-depositor", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            
-            await expect(escrow.connect(payee).fund({ value: depositAmount }))
-                .to.be.revertedWith("Only depositor can fund");
+            const { escrow } = await createEscrow();
+
+            await expect(escrow.connect(payee).fund(depositAmount))
+                .to.be.revertedWithCustomError(escrow.contract, "OnlyDepositor")
+                .withArgs(payee.address);
         });
 
         it("should revert fund() when already funded", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            
-            // Fund once
-            await escrow.connect(depositor).fund({ value: depositAmount });
-            
+            const { escrow } = await createFundedEscrow();
+
             // Try to fund again
-            await expect(escrow.connect(depositor).fund({ value: depositAmount }))
-                .to.be.revertedWith("Already funded");
+            const error = await escrow.connect(depositor).fund(depositAmount).catch((e) => e);
+            expect(error).to.be.instanceOf(AlreadyFundedError);
         });
 
         it("should revert release() after deadline passes", async function() {
-            const currentTime = await time.latest();
-            const deadline = currentTime + 3600;
-            
-            const tx = await escrowFactory.createEscrow(depositor.address, payee.address, deadline, salt);
-            const receipt = await tx.wait();
-            const escrowAddress = receipt.logs.find(log => {
-                try {
-                    const parsed = escrowFactory.interface.parseLog(log);
-                    return parsed.name === "EscrowCreated";
-                } catch {
-                    return false;
-                }
-            });
-            const deployedAddress = escrowFactory.interface.parseLog(escrowAddress).args.escrowAddress;
-            
-            const escrow = SimpleEscrow.attach(deployedAddress);
-            await escrow.connect(depositor).fund({ value: depositAmount });
-            
+            const { escrow, deadline } = await createFundedEscrow();
+
             // Fast-forward past deadline
             await time.increaseTo(deadline + 1);
-            
+
             // Try to release after deadline
-            const messageHash = ethers.keccak256(ethers.solidityPacked(["string", "address", "uint256"], ["RELEASE", deployedAddress, depositAmount]));
-            const signature = await depositor.signMessage(ethers.getBytes(messageHash));
-            
-            await expect(escrow.connect(payee).release(depositAmount, signature))
-                .to.be.revertedWith("Deadline has passed");
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount);
+
+            await expect(escrow.connect(payee).release(authorization))
+                .to.be.revertedWithCustomError(escrow.contract, "DeadlinePassed")
+                .withArgs(deadline, anyUint);
+
+            const error = await escrow.connect(payee).release(authorization).catch((e) => e);
+            expect(error).to.be.instanceOf(DeadlinePassedError);
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    buildReleaseTypedData,
+    hashRelease,
+    signRelease,
+    InvalidSignatureError,
+    SignatureExpiredError,
+} = require("../sdk");
+
+// secp256k1 curve order
+const SECP256K1_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+
+describe("Escrow EIP-712 Signatures", function() {
+    let factory;
+    let escrow;
+    let deadline;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+
+    const depositAmount = ethers.parseEther("1.0");
+    const salt = ethers.keccak256(ethers.toUtf8Bytes("eip712_salt"));
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+
+        deadline = (await time.latest()) + 3600;
+        escrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt });
+        await escrow.connect(depositor).fund(depositAmount);
+    });
+
+    describe("Typed data", function() {
+        it("should expose an EIP-712 domain bound to the escrow and chain", async function() {
+            const domain = await escrow.contract.eip712Domain();
+            expect(domain.name).to.equal("SimpleEscrow");
+            expect(domain.version).to.equal("1");
+            expect(domain.chainId).to.equal(31337);
+            expect(domain.verifyingContract).to.equal(escrow.address);
+        });
+
+        it("should build the same digest as SimpleEscrow.hashRelease()", async function() {
+            const release = await escrow.buildRelease(depositAmount);
+            expect(release.payee).to.equal(payee.address);
+            expect(release.nonce).to.equal(0);
+            expect(release.validUntil).to.equal(deadline);
+
+            expect(hashRelease(release)).to.equal(await escrow.contract.hashRelease(depositAmount, 0, deadline));
+        });
+
+        it("should release with a signature from signTypedData", async function() {
+            const release = await escrow.buildRelease(depositAmount);
+            const { domain, types, value } = buildReleaseTypedData(release);
+            const signature = await depositor.signTypedData(domain, types, value);
+
+            await expect(escrow.connect(payee).release({ amount: depositAmount, validUntil: deadline, signature }))
+                .to.emit(escrow.contract, "Released");
+            expect(await escrow.contract.nonce()).to.equal(1);
+        });
+    });
+
+    describe("Binding", function() {
+        it("should reject a signature made for another chain", async function() {
+            const release = await escrow.buildRelease(depositAmount);
+            const authorization = await signRelease(depositor, { ...release, chainId: 1 });
+
+            const error = await escrow.connect(payee).release(authorization).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
+            expect(error.reason).to.equal("InvalidSignature");
+        });
+
+        it("should reject a signature made for another escrow", async function() {
+            const other = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt: "other" });
+            const release = await escrow.buildRelease(depositAmount);
+            const authorization = await signRelease(depositor, { ...release, escrow: other.address });
+
+            await expect(escrow.connect(payee).release(authorization))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidSignature");
+        });
+
+        it("should reject a signature for a stale nonce", async function() {
+            const release = await escrow.buildRelease(depositAmount);
+            const authorization = await signRelease(depositor, { ...release, nonce: 1 });
+
+            await expect(escrow.connect(payee).release(authorization))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidSignature");
+        });
+
+        it("should reject a signature with a different amount", async function() {
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount / 2n);
+
+            await expect(escrow.connect(payee).release({ ...authorization, amount: depositAmount }))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidSignature");
+        });
+    });
+
+    describe("Expiry", function() {
+        it("should reject an expired signature", async function() {
+            const validUntil = (await time.latest()) + 60;
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount, { validUntil });
+
+            await time.increaseTo(validUntil + 1);
+
+            const error = await escrow.connect(payee).release(authorization).catch((e) => e);
+            expect(error).to.be.instanceOf(SignatureExpiredError);
+            expect(error.reason).to.equal("SignatureExpired");
+            expect(error.args.validUntil).to.equal(BigInt(validUntil));
+        });
+
+        it("should accept a signature on its last valid second", async function() {
+            const validUntil = (await time.latest()) + 60;
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount, { validUntil });
+
+            await time.setNextBlockTimestamp(validUntil);
+
+            await expect(escrow.connect(payee).release(authorization))
+                .to.emit(escrow.contract, "Released");
+        });
+    });
+
+    describe("Malleability", function() {
+        it("should reject the high-s twin of a valid signature", async function() {
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount);
+            const { r, s, v } = ethers.Signature.from(authorization.signature);
+
+            // (r, n - s) with the flipped v recovers the same address through a raw ecrecover
+            const highS = ethers.toBeHex(SECP256K1_N - BigInt(s), 32);
+            const signature = ethers.concat([r, highS, ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+
+            const error = await escrow.connect(payee).release({ ...authorization, signature }).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidSignatureError);
+            expect(error.reason).to.equal("InvalidSignatureS");
+            expect(error.args.s).to.equal(highS);
+        });
+
+        it("should reject a v other than 27 or 28", async function() {
+            const authorization = await escrow.connect(depositor).signRelease(depositAmount);
+            const { r, s, v } = ethers.Signature.from(authorization.signature);
+
+            // Compact v (0/1) is not accepted either
+            const signature = ethers.concat([r, s, ethers.toBeHex(v - 27, 1)]);
+
+            await expect(escrow.connect(payee).release({ ...authorization, signature }))
+                .to.be.revertedWithCustomError(escrow.contract, "InvalidSignatureV")
+                .withArgs(v - 27);
+        });
+    });
+});
@@ -0,0 +1,310 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowFactoryClient } = require("../sdk");
+const { writeDeployment } = require("../scripts/lib/deployments");
+
+const { ethers } = hre;
+
+describe("Escrow Tasks", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let deploymentsDir;
+
+    // Run a task and parse the JSON it prints
+    async function runTask(name, args = {}) {
+        const lines = [];
+        const log = console.log;
+        console.log = (line) => lines.push(line);
+        try {
+            await hre.run(name, args);
+        } finally {
+            console.log = log;
+        }
+        return JSON.parse(lines.join("\n"));
+    }
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+
+        // Save the deployment where the tasks look for it
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-deployments-"));
+        process.env.DEPLOYMENTS_DIR = deploymentsDir;
+        writeDeployment(hre.network.name, { network: hre.network.name, EscrowFactory: { address: factory.address } });
+    });
+
+    afterEach(function() {
+        delete process.env.DEPLOYMENTS_DIR;
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("should run the full lifecycle: predict, create, fund, sign, release, status", async function() {
+        const deadline = (await time.latest()) + 3600;
+
+        const predicted = await runTask("escrow:predict", { depositor: depositor.address, payee: payee.address, deadline: String(deadline), salt: "invoice-1" });
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, deadline: String(deadline), salt: "invoice-1" });
+        expect(created.escrow).to.equal(predicted.escrow);
+        expect(created.deadline).to.equal(String(deadline));
+
+        const funded = await runTask("escrow:fund", { escrow: created.escrow, amount: "1.0", from: depositor.address });
+        expect(funded.amount).to.equal(ethers.parseEther("1.0").toString());
+
+        const signed = await runTask("escrow:sign-release", { escrow: created.escrow, amount: "1.0", from: depositor.address });
+        expect(signed.signer).to.equal(depositor.address);
+        expect(signed.validUntil).to.equal(String(deadline));
+
+        await runTask("escrow:release", { escrow: created.escrow, amount: "1.0", validUntil: signed.validUntil, signature: signed.signature, from: payee.address });
+
+        const status = await runTask("escrow:status", { escrow: created.escrow });
+        expect(status.funded).to.be.true;
+        expect(status.released).to.be.true;
+        expect(status.balance).to.equal("0");
+
+        const list = await runTask("escrow:list", { depositor: depositor.address });
+        expect(list.map((e) => e.address)).to.deep.equal([created.escrow]);
+    });
+
+    it("should list escrows by payee a page at a time and show their registry reference", async function() {
+        const created = [];
+        for (const salt of ["page-1", "page-2", "page-3"]) {
+            created.push(await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, duration: 3600, salt, reference: `INV-${salt}` }));
+        }
+        await runTask("escrow:create", { depositor: depositor.address, payee: deployer.address, duration: 3600, salt: "other-payee" });
+        expect(created[0].referenceHash).to.equal(ethers.id("INV-page-1"));
+
+        const page = await runTask("escrow:list", { payee: payee.address, offset: 1, limit: 1 });
+        expect(page.map((e) => e.address)).to.deep.equal([created[1].escrow]);
+        const rest = await runTask("escrow:list", { payee: payee.address, offset: 1 });
+        expect(rest.map((e) => e.address)).to.deep.equal([created[1].escrow, created[2].escrow]);
+        expect(await runTask("escrow:list")).to.have.lengthOf(4);
+
+        const status = await runTask("escrow:status", { escrow: created[2].escrow });
+        expect(status).to.include({ registered: true, referenceHash: ethers.id("INV-page-3") });
+    });
+
+    it("should predict the address of an escrow created with a reference", async function() {
+        const deadline = (await time.latest()) + 3600;
+        const deal = { depositor: depositor.address, payee: payee.address, deadline: String(deadline), salt: "invoice-ref" };
+        const predicted = await runTask("escrow:predict", { ...deal, reference: "INV-2024-042" });
+        const unreferenced = await runTask("escrow:predict", deal);
+
+        const created = await runTask("escrow:create", { ...deal, reference: "INV-2024-042" });
+        expect(created.escrow).to.equal(predicted.escrow);
+        expect(created.escrow).to.not.equal(unreferenced.escrow);
+    });
+
+    it("should reclaim after the deadline", async function() {
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, duration: 60, salt: "invoice-2" });
+        await runTask("escrow:fund", { escrow: created.escrow, amount: "0.5", from: depositor.address });
+
+        await time.increaseTo(BigInt(created.deadline) + 1n);
+
+        const reclaimed = await runTask("escrow:reclaim", { escrow: created.escrow, from: depositor.address });
+        expect(reclaimed.amount).to.equal(ethers.parseEther("0.5").toString());
+        expect(await ethers.provider.getBalance(created.escrow)).to.equal(0);
+    });
+
+    it("should close a settled escrow and recover ETH forced into it", async function() {
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, duration: 60, salt: "invoice-8" });
+        await runTask("escrow:fund", { escrow: created.escrow, amount: "0.5", from: depositor.address });
+        await time.increaseTo(BigInt(created.deadline) + 1n);
+        await runTask("escrow:reclaim", { escrow: created.escrow, from: depositor.address });
+
+        const closed = await runTask("escrow:close", { escrow: created.escrow, from: payee.address });
+        expect(closed.closedBy).to.equal(payee.address);
+        expect(await runTask("escrow:status", { escrow: created.escrow })).to.include({ closed: true });
+
+        const ForceSend = await ethers.getContractFactory("ForceSend");
+        await ForceSend.deploy(created.escrow, { value: ethers.parseEther("0.1") });
+        const recovered = await runTask("escrow:recover-stray", { escrow: created.escrow, from: payee.address });
+        expect(recovered).to.include({ to: depositor.address, amount: ethers.parseEther("0.1").toString() });
+        expect(await ethers.provider.getBalance(created.escrow)).to.equal(0);
+    });
+
+    it("should appoint a guardian who freezes and unfreezes releases", async function() {
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-9" });
+        await runTask("factory:add-guardian", { account: feeRecipient.address });
+
+        await runTask("factory:freeze", { escrow: created.escrow, from: feeRecipient.address });
+        expect(await runTask("escrow:status", { escrow: created.escrow })).to.include({ frozen: true, frozenEscrow: true, allFrozen: false });
+        await runTask("factory:freeze", { from: feeRecipient.address });
+        await runTask("factory:unfreeze", { escrow: created.escrow, from: feeRecipient.address });
+        expect(await runTask("escrow:status", { escrow: created.escrow })).to.include({ frozen: true, frozenEscrow: false, allFrozen: true });
+
+        await runTask("factory:remove-guardian", { account: feeRecipient.address });
+        const error = await runTask("factory:unfreeze", { from: feeRecipient.address }).catch((e) => e);
+        expect(error.reason).to.equal("AccessControlUnauthorizedAccount");
+    });
+
+    it("should pause, unpause and withdraw fees as the owner", async function() {
+        await runTask("factory:pause");
+        expect(await factory.contract.paused()).to.be.true;
+        await runTask("factory:unpause");
+        expect(await factory.contract.paused()).to.be.false;
+
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-3" });
+        await runTask("escrow:fund", { escrow: created.escrow, amount: "1.0", from: depositor.address });
+        const signed = await runTask("escrow:sign-release", { escrow: created.escrow, amount: "1.0", from: depositor.address });
+        await runTask("escrow:release", { escrow: created.escrow, amount: "1.0", validUntil: signed.validUntil, signature: signed.signature });
+
+        const withdrawn = await runTask("factory:withdraw-fees");
+        expect(withdrawn.feeRecipient).to.equal(feeRecipient.address);
+        expect(withdrawn.amount).to.equal(ethers.parseEther("0.01").toString());
+    });
+
+    it("should change the fee schedule and recipient as the owner", async function() {
+        const set = await runTask("factory:set-fees", { tiers: "0:50, 10:25" });
+        expect(set.tiers).to.deep.equal([
+            { minDeposit: "0", feeBps: "50" },
+            { minDeposit: ethers.parseEther("10").toString(), feeBps: "25" },
+        ]);
+        await runTask("factory:set-fee-recipient", { recipient: payee.address });
+
+        const fees = await runTask("factory:fees");
+        expect(fees.feeRecipient).to.equal(payee.address);
+        expect(fees.tiers).to.deep.equal(set.tiers);
+
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-7" });
+        await runTask("escrow:fund", { escrow: created.escrow, amount: "1.0", from: depositor.address });
+        const status = await runTask("escrow:status", { escrow: created.escrow });
+        expect(status.feeBps).to.equal("50");
+    });
+
+    it("should create, fund and sweep fees for a token escrow with --token", async function() {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const tokenAddress = await token.getAddress();
+        await token.mint(depositor.address, ethers.parseUnits("100", 6));
+
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-5", token: tokenAddress, milestones: "40,60" });
+        expect(created.token).to.equal(tokenAddress);
+        expect(created.milestones).to.deep.equal([ethers.parseUnits("40", 6).toString(), ethers.parseUnits("60", 6).toString()]);
+
+        await runTask("escrow:fund", { escrow: created.escrow, amount: "100", permit: true, from: depositor.address });
+        const signed = await runTask("escrow:sign-release", { escrow: created.escrow, amount: "40", from: depositor.address });
+        await runTask("escrow:release", { escrow: created.escrow, amount: "40", validUntil: signed.validUntil, signature: signed.signature });
+
+        const status = await runTask("escrow:status", { escrow: created.escrow });
+        expect(status.balance).to.equal(ethers.parseUnits("60", 6).toString());
+
+        const withdrawn = await runTask("factory:withdraw-fees", { token: tokenAddress });
+        expect(withdrawn.amount).to.equal(ethers.parseUnits("0.4", 6).toString());
+        expect(await token.balanceOf(feeRecipient.address)).to.equal(ethers.parseUnits("0.4", 6));
+    });
+
+    it("should extend the deadline and cancel with the payee's consent", async function() {
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-10", amount: "1.0", from: depositor.address });
+        const newDeadline = String(BigInt(created.deadline) + 86400n);
+
+        const extension = await runTask("escrow:sign-extension", { escrow: created.escrow, deadline: newDeadline, from: payee.address });
+        expect(extension.signer).to.equal(payee.address);
+        const extended = await runTask("escrow:extend", { escrow: created.escrow, deadline: newDeadline, signature: extension.signature, from: depositor.address });
+        expect(extended).to.include({ previousDeadline: created.deadline, deadline: newDeadline });
+
+        const consent = await runTask("escrow:sign-cancel", { escrow: created.escrow, from: payee.address });
+        const cancelled = await runTask("escrow:cancel", { escrow: created.escrow, validUntil: consent.validUntil, signature: consent.signature, from: depositor.address });
+        expect(cancelled.amount).to.equal(ethers.parseEther("1.0").toString());
+
+        const status = await runTask("escrow:status", { escrow: created.escrow });
+        expect(status).to.include({ cancelled: true, deadline: newDeadline, balance: "0" });
+    });
+
+    it("should dispute and resolve through the arbiter", async function() {
+        const arbiter = (await ethers.getSigners())[5];
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-6", arbiter: arbiter.address, arbiterFeeBps: 100 });
+        expect(created.arbiter).to.equal(arbiter.address);
+
+        await runTask("escrow:fund", { escrow: created.escrow, amount: "1.0", from: depositor.address });
+        await runTask("escrow:dispute", { escrow: created.escrow, from: payee.address });
+
+        const resolved = await runTask("escrow:resolve", { escrow: created.escrow, payeeShare: "0.5", from: arbiter.address });
+        expect(resolved.arbiterFee).to.equal(ethers.parseEther("0.01").toString());
+        expect(resolved.depositorShare).to.equal(ethers.parseEther("0.49").toString());
+
+        const status = await runTask("escrow:status", { escrow: created.escrow });
+        expect(status.disputeState).to.equal("Resolved");
+        expect(status.balance).to.equal("0");
+    });
+
+    it("should index escrows and query them by payee and status", async function() {
+        process.env.INDEXER_DIR = path.join(deploymentsDir, "index");
+        try {
+            const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-8" });
+            await runTask("escrow:fund", { escrow: created.escrow, amount: "1.0", from: depositor.address });
+            await runTask("escrow:create", { depositor: depositor.address, payee: feeRecipient.address, salt: "invoice-9" });
+
+            const synced = await runTask("indexer:sync", { fromBlock: 0 });
+            expect(synced.events).to.equal(3);
+
+            const funded = await runTask("indexer:query", { payee: payee.address, status: "funded" });
+            expect(funded.map((e) => e.address)).to.deep.equal([created.escrow]);
+            expect(funded[0].depositAmount).to.equal(ethers.parseEther("1.0").toString());
+        } finally {
+            delete process.env.INDEXER_DIR;
+        }
+    });
+
+    it("should reclaim expired escrows with the deadline watcher", async function() {
+        process.env.WATCHER_DIR = path.join(deploymentsDir, "watcher");
+        try {
+            const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, duration: 60, salt: "invoice-11", amount: "1.0", from: depositor.address });
+            await time.increaseTo(BigInt(created.deadline) + 1n);
+
+            const checked = await runTask("watcher:start", { once: true, quiet: true, autoReclaim: true, from: depositor.address });
+            expect(checked.notifications.map((n) => n.type)).to.deep.equal(["deadline-passed", "reclaimed"]);
+            expect(await ethers.provider.getBalance(created.escrow)).to.equal(0n);
+
+            // Already sent, and saved to WATCHER_DIR
+            const again = await runTask("watcher:start", { once: true, quiet: true, autoReclaim: true, from: depositor.address });
+            expect(again.notifications).to.be.empty;
+            expect(fs.existsSync(path.join(deploymentsDir, "watcher", `${hre.network.name}.json`))).to.be.true;
+        } finally {
+            delete process.env.WATCHER_DIR;
+        }
+    });
+
+    it("should dry-run and then create a batch of deals from a CSV file", async function() {
+        const file = path.join(deploymentsDir, "deals.csv");
+        fs.writeFileSync(file, [
+            "depositor,payee,salt,duration,amount",
+            `${depositor.address},${payee.address},payroll-1,3600,0.5`,
+            `${depositor.address},${feeRecipient.address},payroll-2,3600,1.5`,
+            `${depositor.address},${payee.address},payroll-3,3600,`,
+        ].join("\n"));
+
+        const dryRun = await runTask("escrow:batch", { file, dryRun: true, from: depositor.address });
+        expect(dryRun.counts).to.deep.equal({ predicted: 3 });
+        expect(await ethers.provider.getCode(dryRun.results[0].escrow)).to.equal("0x");
+
+        const batch = await runTask("escrow:batch", { file, from: depositor.address });
+        expect(batch.counts).to.deep.equal({ funded: 2, created: 1 });
+        expect(batch.results[1]).to.include({ row: 3, status: "funded", amount: ethers.parseEther("1.5").toString() });
+        expect(await ethers.provider.getBalance(batch.results[1].escrow)).to.equal(ethers.parseEther("1.5"));
+
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "payroll-4", amount: "0.25", from: depositor.address });
+        expect(created.amount).to.equal(ethers.parseEther("0.25").toString());
+        expect(await ethers.provider.getBalance(created.escrow)).to.equal(ethers.parseEther("0.25"));
+    });
+
+    it("should use --factory over the saved deployment", async function() {
+        const other = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        const created = await runTask("escrow:create", { depositor: depositor.address, payee: payee.address, salt: "invoice-4", factory: other.address });
+
+        expect((await other.getEscrows(depositor.address)).map((e) => e.address)).to.deep.equal([created.escrow]);
+        expect(await factory.getEscrows(depositor.address)).to.be.empty;
+    });
+
+    it("should fail clearly when there is no saved deployment", async function() {
+        fs.rmSync(path.join(deploymentsDir, `${hre.network.name}.json`));
+
+        const error = await hre.run("escrow:list", { depositor: depositor.address }).catch((e) => e);
+        expect(error.message).to.contain("No EscrowFactory deployment found");
+    });
+});
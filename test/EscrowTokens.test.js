@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    EscrowFactoryClient,
+    signPermit,
+    getPermitDomain,
+    InsufficientAllowanceError,
+    InvalidMilestoneError,
+    NoFeesError,
+} = require("../sdk");
+
+describe("Escrow ERC-20 Tokens", function() {
+    let factory;
+    let token;
+    let tokenAddress;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let other;
+    let deadline;
+
+    const units = (amount) => ethers.parseUnits(amount, 6);
+    const depositAmount = units("1000");
+    const salt = ethers.keccak256(ethers.toUtf8Bytes("token_salt"));
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, other] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        tokenAddress = await token.getAddress();
+        await token.mint(depositor.address, units("10000"));
+
+        deadline = (await time.latest()) + 3600;
+    });
+
+    async function createTokenEscrow(params = {}) {
+        return factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, token: tokenAddress, salt, ...params });
+    }
+
+    describe("Funding", function() {
+        it("should predict the address of a token escrow", async function() {
+            const predicted = await factory.predictAddress({ depositor: depositor.address, payee: payee.address, deadline, token: tokenAddress, salt });
+            const escrow = await createTokenEscrow();
+
+            expect(escrow.address).to.equal(predicted);
+            expect(await escrow.contract.token()).to.equal(tokenAddress);
+            expect(predicted).to.not.equal(await factory.predictAddress({ depositor: depositor.address, payee: payee.address, deadline, salt }));
+        });
+
+        it("should fund through approve and transferFrom", async function() {
+            const escrow = await createTokenEscrow();
+
+            await expect(escrow.connect(depositor).fund(depositAmount))
+                .to.emit(escrow.contract, "Funded")
+                .withArgs(depositAmount);
+            expect(await token.balanceOf(escrow.address)).to.equal(depositAmount);
+            expect(await escrow.contract.depositAmount()).to.equal(depositAmount);
+        });
+
+        it("should fund in one transaction with an EIP-2612 permit", async function() {
+            const escrow = await createTokenEscrow();
+
+            await escrow.connect(depositor).fund(depositAmount, { permit: true });
+
+            expect(await token.balanceOf(escrow.address)).to.equal(depositAmount);
+            expect(await token.allowance(depositor.address, escrow.address)).to.equal(0);
+            expect(await token.nonces(depositor.address)).to.equal(1);
+        });
+
+        it("should still fund when the permit was front-run", async function() {
+            const escrow = await createTokenEscrow();
+            const { v, r, s } = await signPermit(depositor, tokenAddress, escrow.address, depositAmount, deadline);
+
+            // Someone submits the permit first, consuming the nonce
+            await token.connect(other).permit(depositor.address, escrow.address, depositAmount, deadline, v, r, s);
+
+            await escrow.contract.connect(depositor).fundWithPermit(depositAmount, deadline, v, r, s);
+            expect(await token.balanceOf(escrow.address)).to.equal(depositAmount);
+        });
+
+        it("should sign permits for tokens whose domain version is not 1", async function() {
+            const VersionedPermitToken = await ethers.getContractFactory("VersionedPermitToken");
+            const reporting = await VersionedPermitToken.deploy("Reporting USD", "2", true);
+            const silent = await VersionedPermitToken.deploy("Silent USD", "2", false);
+
+            expect(await getPermitDomain(await reporting.getAddress(), depositor)).to.include({ name: "Reporting USD", version: "2" });
+            // Read from the token where it reports its domain, otherwise taken from `permitVersion`
+            for (const [permitToken, options] of [[reporting, {}], [silent, { permitVersion: "2" }]]) {
+                await permitToken.mint(depositor.address, depositAmount);
+                const escrow = await createTokenEscrow({ token: await permitToken.getAddress() });
+                await escrow.connect(depositor).fund(depositAmount, { permit: true, ...options });
+                expect(await permitToken.balanceOf(escrow.address)).to.equal(depositAmount);
+            }
+
+            // Without eip712Domain() or a version, the "1" default signs for the wrong domain
+            const unversioned = await createTokenEscrow({ token: await silent.getAddress(), salt: "unversioned" });
+            const { v, r, s } = await signPermit(depositor, await silent.getAddress(), unversioned.address, depositAmount, deadline);
+            await expect(silent.permit(depositor.address, unversioned.address, depositAmount, deadline, v, r, s)).to.be.revertedWith("Invalid permit");
+        });
+
+        it("should revert without an allowance", async function() {
+            const escrow = await createTokenEscrow();
+
+            await expect(escrow.contract.connect(depositor).fundToken(depositAmount))
+                .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+
+            const error = await escrow.connect(depositor).fund(depositAmount, { approve: false }).catch((e) => e);
+            expect(error).to.be.instanceOf(InsufficientAllowanceError);
+        });
+
+        it("should keep ETH and token funding apart", async function() {
+            const tokenEscrow = await createTokenEscrow();
+            await expect(tokenEscrow.contract.connect(depositor).fund({ value: 1n }))
+                .to.be.revertedWithCustomError(tokenEscrow.contract, "NotEthEscrow");
+
+            const ethEscrow = await factory.createEscrow({ depositor: depositor.address, payee: payee.address, deadline, salt: "eth" });
+            await expect(ethEscrow.contract.connect(depositor).fundToken(depositAmount))
+                .to.be.revertedWithCustomError(ethEscrow.contract, "NotTokenEscrow");
+            await expect(ethEscrow.contract.connect(depositor).fundWithPermit(depositAmount, deadline, 27, ethers.ZeroHash, ethers.ZeroHash))
+                .to.be.revertedWithCustomError(ethEscrow.contract, "NotTokenEscrow");
+        });
+    });
+
+    describe("Release, reclaim and fees", function() {
+        it("should pay the payee in tokens and collect the fee per token", async function() {
+            const escrow = await createTokenEscrow();
+            await escrow.connect(depositor).fund(depositAmount);
+
+            const amount = units("400");
+            const authorization = await escrow.connect(depositor).signRelease(amount);
+            await escrow.connect(payee).release(authorization);
+
+            const fee = amount / 100n;
+            expect(await token.balanceOf(payee.address)).to.equal(amount - fee);
+            expect(await token.balanceOf(factory.address)).to.equal(fee);
+
+            await expect(factory.contract.connect(deployer)["withdrawFees(address)"](tokenAddress))
+                .to.emit(factory.contract, "FeesWithdrawn")
+                .withArgs(tokenAddress, feeRecipient.address, fee);
+            expect(await token.balanceOf(feeRecipient.address)).to.equal(fee);
+            expect(await token.balanceOf(factory.address)).to.equal(0);
+
+            // ETH fees are untouched and still reported separately
+            const error = await factory.withdrawFees().catch((e) => e);
+            expect(error).to.be.instanceOf(NoFeesError);
+        });
+
+        it("should return the unreleased tokens on reclaim", async function() {
+            const escrow = await createTokenEscrow();
+            await escrow.connect(depositor).fund(depositAmount);
+
+            const amount = units("250");
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(amount));
+            await time.increaseTo(deadline + 1);
+
+            const before = await token.balanceOf(depositor.address);
+            await escrow.connect(depositor).reclaim();
+            expect(await token.balanceOf(depositor.address)).to.equal(before + depositAmount - amount);
+            expect(await token.balanceOf(escrow.address)).to.equal(0);
+        });
+
+        it("should not let close() strand tokens", async function() {
+            const escrow = await createTokenEscrow();
+            await escrow.connect(depositor).fund(depositAmount);
+
+            await expect(escrow.contract.connect(depositor).close())
+                .to.be.revertedWithCustomError(escrow.contract, "EscrowNotSettled");
+            expect(await token.balanceOf(escrow.address)).to.equal(depositAmount);
+        });
+    });
+
+    describe("Fee-on-transfer tokens", function() {
+        let feeToken;
+        let feeTokenAddress;
+
+        beforeEach(async function() {
+            const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+            feeToken = await FeeOnTransferToken.deploy(200); // 2% burned per transfer
+            feeTokenAddress = await feeToken.getAddress();
+            await feeToken.mint(depositor.address, ethers.parseEther("100"));
+        });
+
+        it("should record the amount actually received as the deposit", async function() {
+            const escrow = await createTokenEscrow({ token: feeTokenAddress });
+            const sent = ethers.parseEther("10");
+            const received = sent - sent * 200n / 10000n;
+
+            await escrow.connect(depositor).fund(sent);
+            expect(await escrow.contract.depositAmount()).to.equal(received);
+            expect(await feeToken.balanceOf(escrow.address)).to.equal(received);
+
+            // Releasing everything recorded leaves nothing stuck in the escrow
+            await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(received));
+            expect(await feeToken.balanceOf(escrow.address)).to.equal(0);
+            expect(await escrow.contract.released()).to.be.true;
+        });
+
+        it("should reject a milestone schedule the received amount cannot cover", async function() {
+            const milestones = [ethers.parseEther("5"), ethers.parseEther("5")];
+            const escrow = await createTokenEscrow({ token: feeTokenAddress, milestones });
+
+            const error = await escrow.connect(depositor).fund(ethers.parseEther("10")).catch((e) => e);
+            expect(error).to.be.instanceOf(InvalidMilestoneError);
+        });
+    });
+});
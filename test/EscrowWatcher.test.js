@@ -0,0 +1,272 @@
+const { expect } = require("chai");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowFactoryClient } = require("../sdk");
+const { JsonFileStore } = require("../indexer");
+const { DeadlineWatcher, WebhookNotifier, ConsoleNotifier } = require("../watcher");
+const { escrowFixtures } = require("./helpers/fixtures");
+
+describe("Escrow Deadline Watcher", function() {
+    let factory;
+    let deployer;
+    let depositor;
+    let payee;
+    let feeRecipient;
+    let arbiter;
+    let deadline;
+    let sink;
+    let received;
+    let failNext;
+
+    const depositAmount = ethers.parseEther("1.0");
+
+    // Local HTTP server standing in for the webhook; answers 500 while `failNext` is positive
+    before(async function() {
+        sink = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", (chunk) => (body += chunk));
+            req.on("end", () => {
+                if (failNext > 0) {
+                    failNext--;
+                    res.writeHead(500).end();
+                    return;
+                }
+                received.push(JSON.parse(body));
+                res.writeHead(204).end();
+            });
+        });
+        await new Promise((resolve) => sink.listen(0, "127.0.0.1", resolve));
+    });
+
+    after(function() {
+        sink.close();
+    });
+
+    beforeEach(async function() {
+        [deployer, depositor, payee, feeRecipient, arbiter] = await ethers.getSigners();
+        factory = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+        deadline = (await time.latest()) + 7200;
+        received = [];
+        failNext = 0;
+    });
+
+    function webhookUrl() {
+        return `http://127.0.0.1:${sink.address().port}/hooks/escrow`;
+    }
+
+    function createWatcher(options = {}) {
+        return new DeadlineWatcher({
+            provider: ethers.provider,
+            factory: factory.address,
+            depositors: [depositor.address],
+            leadTimes: [3600, 600],
+            notifiers: [new WebhookNotifier(webhookUrl())],
+            onError: () => {},
+            ...options,
+        });
+    }
+
+    const { deal, createFundedEscrow } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+    it("should notify once at each lead time before the deadline", async function() {
+        const escrow = await createFundedEscrow("lead-times");
+        const watcher = createWatcher();
+
+        expect((await watcher.check()).notifications).to.be.empty;
+
+        await time.increaseTo(deadline - 3600);
+        const first = await watcher.check();
+        expect(first.watched).to.equal(1);
+        expect(received).to.have.lengthOf(1);
+        expect(received[0]).to.include({
+            type: "deadline-approaching",
+            escrow: escrow.address,
+            depositor: depositor.address,
+            payee: payee.address,
+            amount: depositAmount.toString(),
+            deadline,
+            leadTime: 3600,
+            secondsLeft: 3600,
+        });
+
+        await time.increase(60);
+        expect((await watcher.check()).notifications).to.be.empty;
+
+        await time.increaseTo(deadline - 300);
+        await watcher.check();
+        expect(received.map((n) => n.leadTime)).to.deep.equal([3600, 600]);
+    });
+
+    it("should send only the closest lead time when started late", async function() {
+        await createFundedEscrow("late-start");
+        await time.increaseTo(deadline - 100);
+
+        await createWatcher().check();
+        expect(received).to.have.lengthOf(1);
+        expect(received[0]).to.include({ type: "deadline-approaching", leadTime: 600 });
+    });
+
+    it("should report a passed deadline without touching the escrow", async function() {
+        const escrow = await createFundedEscrow("passed");
+        await time.increaseTo(deadline + 1);
+
+        const watcher = createWatcher();
+        await watcher.check();
+        await watcher.check();
+
+        expect(received.map((n) => n.type)).to.deep.equal(["deadline-passed"]);
+        expect(await ethers.provider.getBalance(escrow.address)).to.equal(depositAmount);
+    });
+
+    it("should log what is left of a partly released escrow when its deadline passes", async function() {
+        const escrow = await createFundedEscrow("partly-released");
+        await escrow.connect(payee).release(await escrow.connect(depositor).signRelease(depositAmount / 4n));
+        await time.increaseTo(deadline + 1);
+
+        const log = [];
+        await createWatcher({ notifiers: [new ConsoleNotifier({ log: (line) => log.push(line) })] }).check();
+        expect(log).to.deep.equal([`[watcher] deadline-passed ${escrow.address} deadline ${deadline} passed with ${depositAmount - depositAmount / 4n} unreleased`]);
+    });
+
+    it("should reclaim expired escrows with the depositor's key", async function() {
+        const escrow = await createFundedEscrow("auto-reclaim");
+        await time.increaseTo(deadline + 1);
+
+        const watcher = createWatcher({ signer: depositor, autoReclaim: true });
+        await watcher.check();
+
+        expect(await escrow.contract.reclaimed()).to.be.true;
+        expect(await ethers.provider.getBalance(escrow.address)).to.equal(0n);
+        expect(received.map((n) => n.type)).to.deep.equal(["deadline-passed", "reclaimed"]);
+        expect(received[1].txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        // Reclaimed escrows are no longer watched
+        expect(await watcher.check()).to.deep.include({ watched: 0, notifications: [] });
+    });
+
+    it("should leave other depositors' escrows to them", async function() {
+        const other = await factory.createEscrow({ depositor: deployer.address, payee: payee.address, deadline, salt: "other" });
+        await other.connect(deployer).fund(depositAmount);
+        await time.increaseTo(deadline + 1);
+
+        const watcher = createWatcher({ depositors: [depositor.address, deployer.address], signer: depositor, autoReclaim: true });
+        await watcher.check();
+
+        expect(received.map((n) => n.type)).to.deep.equal(["deadline-passed"]);
+        expect(await other.contract.reclaimed()).to.be.false;
+    });
+
+    it("should report a failed reclaim once", async function() {
+        const escrow = await createFundedEscrow("failed-reclaim");
+        await time.increaseTo(deadline + 1);
+
+        // Reclaimed by hand after the watcher read the escrow, so the watcher's reclaim reverts
+        const watcher = createWatcher({ signer: depositor, autoReclaim: true });
+        const read = watcher._read.bind(watcher);
+        watcher._read = async (handle) => {
+            const state = await read(handle);
+            await escrow.connect(depositor).reclaim();
+            return state;
+        };
+        await watcher.check();
+
+        expect(received.map((n) => n.type)).to.deep.equal(["deadline-passed", "reclaim-failed"]);
+        expect(received[1].error).to.equal("AlreadyReclaimed");
+    });
+
+    it("should skip unfunded, released, cancelled and disputed escrows", async function() {
+        await factory.createEscrow(deal("unfunded"));
+        const released = await createFundedEscrow("released");
+        await released.connect(payee).release(await released.connect(depositor).signRelease(depositAmount));
+        const cancelled = await createFundedEscrow("cancelled");
+        await cancelled.connect(depositor).cancel(await cancelled.connect(payee).signCancel());
+        const disputed = await createFundedEscrow("disputed", { arbiter: arbiter.address });
+        await disputed.connect(payee).raiseDispute();
+        await time.increaseTo(deadline + 1);
+
+        const result = await createWatcher({ signer: depositor, autoReclaim: true }).check();
+        expect(result.watched).to.equal(0);
+        expect(received).to.be.empty;
+    });
+
+    it("should warn again after the deadline is extended", async function() {
+        const escrow = await createFundedEscrow("extended");
+        const watcher = createWatcher();
+        await time.increaseTo(deadline - 300);
+        await watcher.check();
+
+        const newDeadline = BigInt(deadline + 86400);
+        await escrow.connect(depositor).extendDeadline(await escrow.connect(payee).signExtendDeadline(newDeadline));
+        expect((await watcher.check()).notifications).to.be.empty;
+
+        await time.increaseTo(newDeadline - 3600n);
+        await watcher.check();
+        expect(received.map((n) => [n.deadline, n.leadTime])).to.deep.equal([[deadline, 600], [Number(newDeadline), 3600]]);
+    });
+
+    it("should retry a failed webhook on the next check", async function() {
+        await createFundedEscrow("retry");
+        const log = [];
+        const errors = [];
+        const watcher = createWatcher({
+            notifiers: [new ConsoleNotifier({ log: (line) => log.push(line) }), new WebhookNotifier(webhookUrl())],
+            onError: (error) => errors.push(error),
+        });
+        await time.increaseTo(deadline - 3600);
+
+        failNext = 1;
+        await watcher.check();
+        expect(received).to.be.empty;
+        expect(errors[0].message).to.contain("answered 500");
+
+        await watcher.check();
+        expect(received).to.have.lengthOf(1);
+        // The console already had it
+        expect(log).to.have.lengthOf(1);
+        expect(log[0]).to.match(/^\[watcher\] deadline-approaching 0x[0-9a-fA-F]{40} deadline \d+ \(3600s left\)$/);
+    });
+
+    it("should not repeat notifications after a restart", async function() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-watcher-"));
+        try {
+            const file = path.join(dir, "state.json");
+            await createFundedEscrow("restart");
+            await time.increaseTo(deadline - 3600);
+
+            await createWatcher({ store: new JsonFileStore(file) }).check();
+            await createWatcher({ store: new JsonFileStore(file) }).check();
+            expect(received).to.have.lengthOf(1);
+
+            const other = await EscrowFactoryClient.deploy(feeRecipient.address, deployer);
+            const error = await createWatcher({ factory: other.address, store: new JsonFileStore(file) }).check().catch((e) => e);
+            expect(error.message).to.contain("Watcher store belongs to factory");
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("should keep checking until stopped", async function() {
+        await createFundedEscrow("polling");
+        await time.increaseTo(deadline + 1);
+
+        const watcher = createWatcher({ signer: depositor, autoReclaim: true });
+        watcher.start({ pollInterval: 20 });
+        try {
+            while (received.length < 2) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+        } finally {
+            watcher.stop();
+        }
+        expect(received.map((n) => n.type)).to.deep.equal(["deadline-passed", "reclaimed"]);
+    });
+
+    it("should reject bad options", function() {
+        expect(() => createWatcher({ autoReclaim: true })).to.throw("autoReclaim needs a signer");
+        expect(() => createWatcher({ leadTimes: [3600, -1] })).to.throw("Lead times must be positive whole seconds");
+    });
+});
@@ -0,0 +1,26 @@
+// test/helpers/fixtures.js - the depositor -> payee deal most escrow tests start from
+//
+// The factory, signers and deadline are only known once a test's beforeEach has run, so the
+// helpers read them through `get()` on every call:
+//
+//   const { deal, createFundedEscrow } = escrowFixtures(() => ({ factory, depositor, payee, deadline, depositAmount }));
+
+function escrowFixtures(get) {
+    // deal() - createEscrow() params for depositor -> payee at the current deadline
+    function deal(salt, params = {}) {
+        const { depositor, payee, deadline } = get();
+        return { depositor: depositor.address, payee: payee.address, deadline, salt, ...params };
+    }
+
+    // createFundedEscrow() - deploys deal(salt, params) and funds it with depositAmount as the depositor
+    async function createFundedEscrow(salt, params = {}) {
+        const { factory, depositor, depositAmount } = get();
+        const escrow = await factory.createEscrow(deal(salt, params));
+        await escrow.connect(depositor).fund(depositAmount);
+        return escrow;
+    }
+
+    return { deal, createFundedEscrow };
+}
+
+module.exports = { escrowFixtures };
@@ -0,0 +1,192 @@
+// test/helpers/stateful.js - seedable random command sequences for stateful property tests
+//
+// A command is plain data, e.g. { type: "release", escrow: 3, share: 5000 }, so a sequence can be
+// printed, pasted back in and replayed. checkProperty() runs random sequences against a property;
+// when one fails it is shrunk (commands dropped, then their values simplified) to the smallest
+// sequence that still fails, and the error says which seed and which commands reproduce it.
+const { toJson } = require("../../sdk");
+
+// mulberry32 - tiny and fast, which is all picking test inputs needs
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const random = {
+        next,
+        // Whole number in [min, max]
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        bool: (probability = 0.5) => next() < probability,
+        pick: (items) => items[Math.floor(next() * items.length)],
+        // Key of `weights` ({ key: weight }), picked in proportion to its weight
+        weighted: (weights) => {
+            const entries = Object.entries(weights);
+            let roll = next() * entries.reduce((total, [, weight]) => total + weight, 0);
+            for (const [key, weight] of entries) {
+                roll -= weight;
+                if (roll < 0) {
+                    return key;
+                }
+            }
+            return entries[entries.length - 1][0];
+        },
+    };
+    return random;
+}
+
+// toSeed() - a 32-bit seed from a number or any string (e.g. PROPERTY_SEED), or a fresh one
+function toSeed(value) {
+    if (value === undefined || value === "" || value === "random") {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    if (/^\d+$/.test(String(value))) {
+        return Number(value) >>> 0;
+    }
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (const char of String(value)) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seed of run `index`; run 0 uses the seed itself, so any failing run replays alone with runs = 1
+function runSeed(seed, index) {
+    return (seed + Math.imul(index, 0x9e3779b9)) >>> 0;
+}
+
+// generateSequence() - `length` commands, each type picked by its `weight` and built by its generate(random)
+function generateSequence(random, commands, length) {
+    const weights = Object.fromEntries(Object.entries(commands).map(([type, command]) => [type, command.weight ?? 1]));
+    return Array.from({ length }, () => {
+        const type = random.weighted(weights);
+        return { type, ...commands[type].generate(random) };
+    });
+}
+
+// shrinkValue() - smaller candidates for a number or bigint, closest to `target` first
+function shrinkValue(value, target = 0) {
+    const isBigInt = typeof value === "bigint";
+    const to = isBigInt ? BigInt(target) : target;
+    if (value === to) {
+        return [];
+    }
+    const half = isBigInt ? to + (value - to) / 2n : to + Math.trunc((value - to) / 2);
+    const step = isBigInt ? (value > to ? value - 1n : value + 1n) : (value > to ? value - 1 : value + 1);
+    return [...new Set([to, half, step])].filter((candidate) => candidate !== value);
+}
+
+// shrinkFields() - simpler versions of `command`, one field at a time: numbers move towards their
+// target, anything else is replaced by it. Fields that are null or missing are left alone.
+function shrinkFields(command, targets) {
+    return Object.entries(targets).flatMap(([field, target]) => {
+        const value = command[field];
+        if (value === null || value === undefined) {
+            return [];
+        }
+        if (typeof target === "number" && (typeof value === "number" || typeof value === "bigint")) {
+            return shrinkValue(value, target).map((simpler) => ({ ...command, [field]: simpler }));
+        }
+        return value !== target ? [{ ...command, [field]: target }] : [];
+    });
+}
+
+// Runs `run(sequence)` and returns what it threw, or null
+async function attempt(run, sequence) {
+    try {
+        await run(sequence);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+// shrinkSequence() - the smallest sequence found that still fails, with its error. Drops chunks of
+// commands (halves first, then smaller), then tries each command's shrink(command) candidates,
+// and repeats until nothing changes or `maxAttempts` runs were spent.
+async function shrinkSequence(sequence, error, { commands, run, maxAttempts = 300 }) {
+    let smallest = { sequence, error, attempts: 0 };
+    const tryCandidate = async (candidate) => {
+        if (smallest.attempts >= maxAttempts) {
+            return false;
+        }
+        smallest.attempts++;
+        const failure = await attempt(run, candidate);
+        if (failure) {
+            smallest = { sequence: candidate, error: failure, attempts: smallest.attempts };
+        }
+        return Boolean(failure);
+    };
+
+    let progress = true;
+    while (progress && smallest.attempts < maxAttempts) {
+        progress = false;
+
+        for (let size = Math.floor(smallest.sequence.length / 2); size >= 1; size = Math.floor(size / 2)) {
+            for (let start = 0; start + size <= smallest.sequence.length;) {
+                const candidate = [...smallest.sequence.slice(0, start), ...smallest.sequence.slice(start + size)];
+                if (await tryCandidate(candidate)) {
+                    progress = true;
+                } else {
+                    start += size;
+                }
+            }
+        }
+
+        for (let i = 0; i < smallest.sequence.length; i++) {
+            const shrink = commands[smallest.sequence[i].type].shrink;
+            for (const simpler of shrink ? shrink(smallest.sequence[i]) : []) {
+                const candidate = [...smallest.sequence];
+                candidate[i] = { ...simpler, type: smallest.sequence[i].type };
+                if (await tryCandidate(candidate)) {
+                    progress = true;
+                    break;
+                }
+            }
+        }
+    }
+    return smallest;
+}
+
+class PropertyError extends Error {
+    constructor(message, { seed, run, sequence, shrunk, cause }) {
+        super(message, { cause });
+        this.name = "PropertyError";
+        this.seed = seed;
+        this.run = run;
+        this.sequence = sequence;
+        this.shrunk = shrunk;
+    }
+}
+
+// checkProperty() - runs `runs` random sequences of `steps` commands (or just `sequence`, to replay one)
+// through `run(sequence)`, which throws when the property does not hold. Throws a PropertyError with
+// the shrunk sequence and the command line that reproduces it. `replay` is that command without the seed.
+async function checkProperty({ name, seed, runs, steps, commands, run, sequence, maxShrinkAttempts, replay = "npx hardhat test" }) {
+    const sequences = sequence ? [{ seed, sequence }] : Array.from({ length: runs }, (_, index) => {
+        const seedOfRun = runSeed(seed, index);
+        return { seed: seedOfRun, sequence: generateSequence(createRandom(seedOfRun), commands, steps) };
+    });
+
+    for (const [index, candidate] of sequences.entries()) {
+        const error = await attempt(run, candidate.sequence);
+        if (!error) {
+            continue;
+        }
+        const shrunk = await shrinkSequence(candidate.sequence, error, { commands, run, maxAttempts: maxShrinkAttempts });
+        const message = [
+            `Property "${name}" failed on ${sequence ? "the given sequence" : `run ${index + 1} of ${sequences.length} (seed ${candidate.seed})`}: ${shrunk.error.message}`,
+            `Shrunk from ${candidate.sequence.length} to ${shrunk.sequence.length} commands in ${shrunk.attempts} attempts:`,
+            ...shrunk.sequence.map((command, i) => `  ${i + 1}. ${toJson(command)}`),
+            ...(sequence ? [] : [`Replay the run:      PROPERTY_SEED=${candidate.seed} PROPERTY_RUNS=1 PROPERTY_STEPS=${candidate.sequence.length} ${replay}`]),
+            `Replay the sequence: PROPERTY_SEQUENCE='${toJson(shrunk.sequence)}' ${replay}`,
+        ].join("\n");
+        throw new PropertyError(message, { seed: candidate.seed, run: index, sequence: candidate.sequence, shrunk: shrunk.sequence, cause: shrunk.error });
+    }
+}
+
+module.exports = { createRandom, toSeed, runSeed, generateSequence, shrinkValue, shrinkFields, shrinkSequence, checkProperty, PropertyError };
@@ -0,0 +1,164 @@
+// watcher/DeadlineWatcher.js - warns about escrow deadlines and reclaims expired deposits
+const { ethers } = require("ethers");
+const { EscrowFactoryClient } = require("../sdk/EscrowFactoryClient");
+const { MemoryStore } = require("../indexer/stores");
+const { ConsoleNotifier } = require("./notifiers");
+
+// Warn a day and an hour before each deadline unless told otherwise
+const DEFAULT_LEAD_TIMES = [86400, 3600];
+
+// Notification types, in the order an escrow can go through them
+const NOTIFICATION_TYPES = ["deadline-approaching", "deadline-passed", "reclaimed", "reclaim-failed"];
+
+class DeadlineWatcher {
+    // Watches every escrow `factory` created for `depositors`. Notifications go out when a funded escrow
+    // is within one of `leadTimes` (seconds) of its deadline, and once the deadline has passed. With
+    // `autoReclaim`, `signer` reclaims the expired escrows it is the depositor of. What was already sent
+    // is kept in `store` (see indexer/stores.js), so a restart does not repeat it.
+    constructor({ provider, factory, depositors, leadTimes = DEFAULT_LEAD_TIMES, notifiers = [new ConsoleNotifier()], signer, autoReclaim = false, store = new MemoryStore(), onError = (error) => console.error(error) }) {
+        if (autoReclaim && !signer) {
+            throw new Error("autoReclaim needs a signer");
+        }
+        if (!leadTimes.every((leadTime) => Number.isInteger(leadTime) && leadTime > 0)) {
+            throw new Error("Lead times must be positive whole seconds");
+        }
+        this.provider = provider;
+        this.factory = new EscrowFactoryClient(ethers.getAddress(factory), provider);
+        this.depositors = depositors.map((depositor) => ethers.getAddress(depositor));
+        this.leadTimes = [...new Set(leadTimes)].sort((a, b) => a - b);
+        this.notifiers = notifiers;
+        this.signer = signer;
+        this.autoReclaim = autoReclaim;
+        this.store = store;
+        this.onError = onError;
+        this.state = null;
+    }
+
+    // check() - one pass over the watched escrows at the latest block's timestamp
+    async check() {
+        if (!this._checking) {
+            this._checking = this._check().finally(() => {
+                this._checking = null;
+            });
+        }
+        return this._checking;
+    }
+
+    // start() - check every `pollInterval` ms until stop()
+    start({ pollInterval = 15000 } = {}) {
+        if (this._running) {
+            return;
+        }
+        this._running = true;
+        const tick = async () => {
+            try {
+                await this.check();
+            } catch (error) {
+                this.onError(error);
+            }
+            if (this._running) {
+                this._timer = setTimeout(tick, pollInterval);
+            }
+        };
+        tick();
+    }
+
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+    }
+
+    async load() {
+        if (this.state) {
+            return;
+        }
+        const { chainId } = await this.provider.getNetwork();
+        const saved = await this.store.load();
+        if (saved && (saved.chainId !== chainId.toString() || saved.factory !== this.factory.address)) {
+            throw new Error(`Watcher store belongs to factory ${saved.factory} on chain ${saved.chainId}`);
+        }
+        this.state = saved || { chainId: chainId.toString(), factory: this.factory.address, sent: {} };
+    }
+
+    async _check() {
+        await this.load();
+        const { timestamp: now } = await this.provider.getBlock("latest");
+        const reclaimer = this.autoReclaim ? await this.signer.getAddress() : null;
+
+        const notifications = [];
+        let watched = 0;
+        for (const depositor of this.depositors) {
+            for (const handle of await this.factory.getEscrows(depositor)) {
+                const escrow = await this._read(handle);
+                if (!escrow) {
+                    continue;
+                }
+                watched++;
+                const base = { escrow: handle.address, depositor: escrow.depositor, payee: escrow.payee, token: escrow.token, amount: escrow.remaining, deadline: escrow.deadline, chainId: this.state.chainId, timestamp: now };
+                const key = `${handle.address}:${escrow.deadline}`;
+
+                if (now <= escrow.deadline) {
+                    // Only the closest lead time counts, so a watcher started late sends one warning, not all of them
+                    const secondsLeft = escrow.deadline - now;
+                    const leadTime = this.leadTimes.find((lead) => secondsLeft <= lead);
+                    if (leadTime !== undefined) {
+                        await this._notify(notifications, `${key}:approaching:${leadTime}`, { type: "deadline-approaching", ...base, leadTime, secondsLeft });
+                    }
+                    continue;
+                }
+
+                await this._notify(notifications, `${key}:passed`, { type: "deadline-passed", ...base });
+                if (reclaimer === escrow.depositor) {
+                    try {
+                        const receipt = await handle.connect(this.signer).reclaim();
+                        await this._notify(notifications, `${key}:reclaimed`, { type: "reclaimed", ...base, txHash: receipt.hash });
+                    } catch (error) {
+                        // Tried again on the next check, but reported only once
+                        await this._notify(notifications, `${key}:reclaim-failed`, { type: "reclaim-failed", ...base, error: error.reason || error.message });
+                    }
+                }
+            }
+        }
+
+        await this.store.save(this.state);
+        return { timestamp: now, watched, notifications };
+    }
+
+    // Deadline and amount of an escrow that still holds a deposit nobody has claimed, or null.
+    // Escrows in a dispute are the arbiter's to settle, so they are left alone.
+    async _read(handle) {
+        const c = handle.contract;
+        const [depositor, payee, token, deadline, funded, released, reclaimed, cancelled, disputeState, remaining] = await Promise.all([
+            c.depositor(), c.payee(), c.token(), c.deadline(), c.funded(), c.released(), c.reclaimed(), c.cancelled(), c.disputeState(), c.remaining(),
+        ]);
+        if (!funded || released || reclaimed || cancelled || disputeState !== 0n || remaining === 0n) {
+            return null;
+        }
+        return { depositor, payee, token, deadline: Number(deadline), remaining };
+    }
+
+    // Send `notification` to each notifier that has not had it yet; it is returned from check()
+    // the first time round and whenever a notifier is retried
+    async _notify(notifications, key, notification) {
+        let pending = !this.state.sent[key];
+        this.state.sent[key] = notification.timestamp;
+        for (const notifier of this.notifiers) {
+            const sentKey = `${key}:${notifier.name}`;
+            if (this.state.sent[sentKey]) {
+                continue;
+            }
+            pending = true;
+            try {
+                await notifier.notify(notification);
+                this.state.sent[sentKey] = notification.timestamp;
+            } catch (error) {
+                this.onError(error);
+            }
+        }
+        if (pending) {
+            notifications.push(notification);
+        }
+    }
+}
+
+module.exports = { DeadlineWatcher, DEFAULT_LEAD_TIMES, NOTIFICATION_TYPES };
@@ -0,0 +1,11 @@
+// watcher/index.js - deadline notifications and automatic reclaims for a depositor's escrows
+const { DeadlineWatcher, DEFAULT_LEAD_TIMES, NOTIFICATION_TYPES } = require("./DeadlineWatcher");
+const { ConsoleNotifier, WebhookNotifier } = require("./notifiers");
+
+module.exports = {
+    DeadlineWatcher,
+    DEFAULT_LEAD_TIMES,
+    NOTIFICATION_TYPES,
+    ConsoleNotifier,
+    WebhookNotifier,
+};
@@ -0,0 +1,51 @@
+// watcher/notifiers.js - where DeadlineWatcher notifications go
+//
+// A notifier is any object with a `name` and an async notify(notification). A notifier that throws
+// is retried on the next check; the others are not sent the same notification twice.
+const { toJson } = require("../sdk/json");
+
+// One line per notification, e.g. "deadline-approaching 0xabc... deadline 1700000000 (3600s left)"
+function describe({ type, escrow, amount, deadline, secondsLeft, txHash, error }) {
+    const details = {
+        "deadline-approaching": `deadline ${deadline} (${secondsLeft}s left)`,
+        "deadline-passed": `deadline ${deadline} passed with ${amount} unreleased`,
+        "reclaimed": `reclaimed in ${txHash}`,
+        "reclaim-failed": `reclaim failed: ${error}`,
+    };
+    return `${type} ${escrow} ${details[type] || ""}`.trim();
+}
+
+class ConsoleNotifier {
+    constructor({ name = "console", log = console.log } = {}) {
+        this.name = name;
+        this.log = log;
+    }
+
+    async notify(notification) {
+        this.log(`[watcher] ${describe(notification)}`);
+    }
+}
+
+// POSTs each notification as JSON to `url`; anything but a 2xx answer counts as a failure
+class WebhookNotifier {
+    constructor(url, { name = "webhook", headers = {}, timeout = 5000 } = {}) {
+        this.url = url;
+        this.name = name;
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    async notify(notification) {
+        const response = await fetch(this.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...this.headers },
+            body: toJson(notification),
+            signal: AbortSignal.timeout(this.timeout),
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook ${this.url} answered ${response.status}`);
+        }
+    }
+}
+
+module.exports = { ConsoleNotifier, WebhookNotifier, describe };